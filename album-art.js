@@ -0,0 +1,274 @@
+// Album Art Module
+// Finds cover art for tracks ( the embedded picture from the tags, or a cover.jpg/folder.jpg
+// picked alongside the files ), decodes it for the renderer and pulls a few dominant colours
+// out of it for the palette engine. AlbumArt keeps it on the GPU as a texture visualizers
+// can sample and can draw it into the background layer.
+
+const ART_NAMES = ['cover', 'folder']; // in order of preference
+const ART_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp'];
+const MAX_ART_SIZE = 1024; // px, bigger art is scaled down before it becomes a texture
+const SAMPLE_SIZE = 32; // px, art is shrunk to this before looking for colours
+const MIN_COLOR_DISTANCE = 80; // rgb distance between extracted colours
+
+function splitName(file) {
+    const match = file.name.toLowerCase().match(/^(.*)\.([^.]+)$/);
+    return match ? { base: match[1], extension: match[2] } : { base: file.name.toLowerCase(), extension: '' };
+}
+
+// Folder a picked file came from, only known when a directory was picked ( otherwise '' )
+function folderOf(file) {
+    const path = file.webkitRelativePath || '';
+    return path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+}
+
+// cover.jpg, folder.png...
+export function isArtFile(file) {
+    const { base, extension } = splitName(file);
+    return ART_NAMES.includes(base) && ART_EXTENSIONS.includes(extension);
+}
+
+// Folder -> the best cover file picked from it
+export function folderArt(files) {
+    const art = new Map();
+    for (const file of files.filter(isArtFile)) {
+        const folder = folderOf(file);
+        const current = art.get(folder);
+        if (!current || ART_NAMES.indexOf(splitName(file).base) < ART_NAMES.indexOf(splitName(current).base)) {
+            art.set(folder, file);
+        }
+    }
+    return art;
+}
+
+// Cover file for a track picked in the same batch, from its own folder or the batch at large
+export function artForFile(file, art) {
+    return art.get(folderOf(file)) || art.get('') || null;
+}
+
+// The front cover from music-metadata's common.picture ( or whatever picture there is ) as a Blob
+export function embeddedArt(metadata) {
+    const pictures = metadata && metadata.common && metadata.common.picture;
+    if (!pictures || pictures.length === 0) return null;
+    const picture = pictures.find((p) => p.type && /front/i.test(p.type)) || pictures[0];
+    return new Blob([picture.data], { type: picture.format || 'image/jpeg' });
+}
+
+// Decode art for the renderer, scaled down to MAX_ART_SIZE on the long side
+export async function loadArtBitmap(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const longest = Math.max(bitmap.width, bitmap.height);
+    if (longest <= MAX_ART_SIZE) {
+        return bitmap;
+    }
+    const scale = MAX_ART_SIZE / longest;
+    const resized = await createImageBitmap(bitmap, {
+        resizeWidth: Math.round(bitmap.width * scale),
+        resizeHeight: Math.round(bitmap.height * scale),
+        resizeQuality: 'high'
+    });
+    bitmap.close();
+    return resized;
+}
+
+function createSampleCanvas() {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(SAMPLE_SIZE, SAMPLE_SIZE);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = SAMPLE_SIZE;
+    canvas.height = SAMPLE_SIZE;
+    return canvas;
+}
+
+function toHex(value) {
+    return Math.round(value).toString(16).padStart(2, '0');
+}
+
+// Up to count dominant colours as '#rrggbb', most prominent first. Pixels are bucketed
+// at 4 bits per channel and weighted towards saturated mid tones, near black/white/grey
+// pixels barely count so a dark cover still gives usable colours.
+export function extractArtColors(bitmap, count=5) {
+    const canvas = createSampleCanvas();
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+    const pixels = ctx.getImageData(0, 0, SAMPLE_SIZE, SAMPLE_SIZE).data;
+
+    const buckets = new Map();
+    for (let i = 0; i < pixels.length; i += 4) {
+        const r = pixels[i];
+        const g = pixels[i + 1];
+        const b = pixels[i + 2];
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const saturation = max > 0 ? (max - min) / max : 0;
+        const weight = 0.05 + saturation * (1 - Math.abs(max / 255 - 0.7));
+        const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+        const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, weight: 0 };
+        bucket.r += r * weight;
+        bucket.g += g * weight;
+        bucket.b += b * weight;
+        bucket.weight += weight;
+        buckets.set(key, bucket);
+    }
+
+    const colors = [];
+    const ranked = Array.from(buckets.values()).sort((a, b) => b.weight - a.weight);
+    for (const bucket of ranked) {
+        const color = { r: bucket.r / bucket.weight, g: bucket.g / bucket.weight, b: bucket.b / bucket.weight };
+        // Skip colours too close to one we already have
+        const distinct = colors.every((other) => Math.hypot(other.r - color.r, other.g - color.g, other.b - color.b) >= MIN_COLOR_DISTANCE);
+        if (distinct) {
+            colors.push(color);
+            if (colors.length === count) break;
+        }
+    }
+    return colors.map((color) => '#' + toHex(color.r) + toHex(color.g) + toHex(color.b));
+}
+
+// Part of the art to show so it covers a width x height area without stretching, as uv scale
+export function coverScale(artWidth, artHeight, width, height) {
+    const layerAspect = width / height;
+    const artAspect = artWidth / artHeight;
+    return layerAspect > artAspect ? [1, artAspect / layerAspect] : [layerAspect / artAspect, 1];
+}
+
+// Canvas 2D version of the background art
+export function drawAlbumArt(ctx, bitmap, width, height, opacity) {
+    const [scaleX, scaleY] = coverScale(bitmap.width, bitmap.height, width, height);
+    const sourceWidth = bitmap.width * scaleX;
+    const sourceHeight = bitmap.height * scaleY;
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = opacity;
+    ctx.drawImage(bitmap, (bitmap.width - sourceWidth) / 2, (bitmap.height - sourceHeight) / 2, sourceWidth, sourceHeight, 0, 0, width, height);
+    ctx.globalAlpha = 1;
+}
+
+const albumArtShader = `
+    struct VertexOutput {
+        @builtin(position) position: vec4<f32>,
+        @location(0) uv: vec2<f32>, // 0,0 top left
+    }
+
+    struct ArtUniforms {
+        scale: vec2<f32>, // part of the art that's shown ( see coverScale )
+        opacity: f32,
+    }
+
+    @group(0) @binding(0) var artTexture: texture_2d<f32>;
+    @group(0) @binding(1) var artSampler: sampler;
+    @group(0) @binding(2) var<uniform> uniforms: ArtUniforms;
+
+    @vertex
+    fn vertMain(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
+        // One triangle covering the screen
+        let corner = vec2<f32>(f32((vertexIndex << 1u) & 2u), f32(vertexIndex & 2u));
+        var output: VertexOutput;
+        output.position = vec4<f32>(corner * 2.0 - 1.0, 0.0, 1.0);
+        output.uv = vec2<f32>(corner.x, 1.0 - corner.y);
+        return output;
+    }
+
+    @fragment
+    fn fragMain(input: VertexOutput) -> @location(0) vec4<f32> {
+        let uv = (input.uv - 0.5) * uniforms.scale + 0.5;
+        return vec4<f32>(textureSample(artTexture, artSampler, uv).rgb, uniforms.opacity);
+    }
+`;
+
+// Holds the current art as a texture ( for visualizers ) and draws it into the background layer
+export class AlbumArt {
+    // uniforms is the renderer's UniformArena
+    constructor(device, uniforms) {
+        this.device = device;
+        this.uniforms = uniforms;
+        this.pipeline = null;
+        this.sampler = null;
+        this.uniformSlot = null;
+
+        // { texture, width, height } or null
+        this.art = null;
+        this.bindGroup = null;
+        this.opacity = 0; // background opacity, 0 leaves the background alone
+    }
+
+    async init() {
+        const module = this.device.createShaderModule({ code: albumArtShader });
+        this.pipeline = this.device.createRenderPipeline({
+            layout: 'auto',
+            vertex: {
+                module: module,
+                entryPoint: 'vertMain'
+            },
+            fragment: {
+                module: module,
+                entryPoint: 'fragMain',
+                targets: [{
+                    format: 'rgba8unorm',
+                    blend: {
+                        color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+                        alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
+                    }
+                }]
+            },
+            primitive: {
+                topology: 'triangle-list'
+            }
+        });
+        this.sampler = this.device.createSampler({
+            magFilter: 'linear',
+            minFilter: 'linear'
+        });
+        this.uniformSlot = this.uniforms.allocate(); // scale, opacity
+    }
+
+    // Upload an ImageBitmap ( or drop the art with null )
+    set(bitmap) {
+        if (this.art) {
+            this.art.texture.destroy();
+            this.art = null;
+            this.bindGroup = null;
+        }
+        if (!bitmap) return;
+
+        const texture = this.device.createTexture({
+            size: [bitmap.width, bitmap.height],
+            format: 'rgba8unorm',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
+        });
+        this.device.queue.copyExternalImageToTexture({ source: bitmap }, { texture: texture }, [bitmap.width, bitmap.height]);
+        this.art = { texture: texture, width: bitmap.width, height: bitmap.height };
+        this.bindGroup = this.device.createBindGroup({
+            layout: this.pipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: texture.createView() },
+                { binding: 1, resource: this.sampler },
+                { binding: 2, resource: this.uniformSlot.binding }
+            ]
+        });
+    }
+
+    // Draw the art over layer ( { view, width, height } ), cropped to cover it
+    render(encoder, layer) {
+        if (!this.art || this.opacity <= 0 || !layer.view) return;
+
+        const scale = coverScale(this.art.width, this.art.height, layer.width, layer.height);
+        this.uniformSlot.floats.set([scale[0], scale[1], this.opacity, 0], 0);
+
+        const renderPass = encoder.beginRenderPass({
+            colorAttachments: [{
+                view: layer.view,
+                loadOp: 'load',
+                storeOp: 'store'
+            }]
+        });
+        renderPass.setPipeline(this.pipeline);
+        renderPass.setBindGroup(0, this.bindGroup);
+        renderPass.draw(3);
+        renderPass.end();
+    }
+
+    dispose() {
+        this.set(null);
+        this.uniforms.release(this.uniformSlot);
+    }
+}
@@ -0,0 +1,70 @@
+// Analysis Worklet
+// Runs on the audio thread and loads on its own ( no imports ), see live-analysis.js for the other
+// end. Every render quantum of the input ( up-mixed to stereo by the node ) goes into a ring of
+// ringSize frames: left channel then right channel, with a running count of the frames written.
+// Given SharedArrayBuffers it writes the ring in place, otherwise it posts batchSize frames at a
+// time and the main thread keeps the ring itself.
+
+class AnalysisTapProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { samples, control, ringSize, batchSize } = options.processorOptions;
+        this.ringSize = ringSize;
+        this.mask = ringSize - 1;
+        this.samples = samples ? new Float32Array(samples) : null;
+        this.control = control ? new Int32Array(control) : null;
+
+        this.batchSize = batchSize;
+        this.batchFilled = 0;
+        this.newBatch();
+    }
+
+    newBatch() {
+        this.batchLeft = new Float32Array(this.batchSize);
+        this.batchRight = new Float32Array(this.batchSize);
+        this.batchFilled = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        // Nothing connected or playing, nothing to add
+        if (!input || input.length === 0) return true;
+        const left = input[0];
+        const right = input.length > 1 ? input[1] : input[0];
+
+        if (this.samples) {
+            this.writeShared(left, right);
+        } else {
+            this.writeBatch(left, right);
+        }
+        return true;
+    }
+
+    writeShared(left, right) {
+        const written = Atomics.load(this.control, 0);
+        for (let i = 0; i < left.length; i++) {
+            const index = (written + i) & this.mask;
+            this.samples[index] = left[i];
+            this.samples[this.ringSize + index] = right[i];
+        }
+        // Published after the samples, so a reader never sees frames that aren't there yet
+        Atomics.store(this.control, 0, (written + left.length) | 0);
+    }
+
+    writeBatch(left, right) {
+        let offset = 0;
+        while (offset < left.length) {
+            const count = Math.min(left.length - offset, this.batchSize - this.batchFilled);
+            this.batchLeft.set(left.subarray(offset, offset + count), this.batchFilled);
+            this.batchRight.set(right.subarray(offset, offset + count), this.batchFilled);
+            this.batchFilled += count;
+            offset += count;
+            if (this.batchFilled === this.batchSize) {
+                this.port.postMessage({ left: this.batchLeft, right: this.batchRight }, [this.batchLeft.buffer, this.batchRight.buffer]);
+                this.newBatch();
+            }
+        }
+    }
+}
+
+registerProcessor('analysis-tap', AnalysisTapProcessor);
@@ -1,4 +1,41 @@
 import { WebGPURenderer } from './webgpu-renderer.js';
+import { Canvas2DRenderer } from './canvas2d-renderer.js';
+import { listVisualizers } from './visualizers/index.js';
+import { NOW_PLAYING_POSITIONS } from './now-playing-overlay.js';
+import {
+    builtinPresets,
+    createPreset,
+    parsePreset,
+    serializePreset,
+    presetFilename,
+    defaultVisualSettings,
+    coerceVisualSettings,
+    visualSettingsParams
+} from './presets.js';
+import { BeatDetector } from './beat-detector.js';
+import { PaletteEngine } from './palette.js';
+import { VisualizationRecorder, recordingParams, defaultRecordingSettings, coerceRecordingSettings, recordingFilename, recordingSize } from './recorder.js';
+import { OfflineAnalyser, downmix } from './offline-analyser.js';
+import { analysisParams, defaultAnalysisSettings, coerceAnalysisSettings, analysisSize, createWaveformArray, readWaveform, createAnalysisTap, RingAnalyser } from './live-analysis.js';
+import {
+    offlineRenderParams,
+    defaultOfflineRenderSettings,
+    coerceOfflineRenderSettings,
+    createSeededRandom,
+    decodeTrack,
+    renderOffline,
+    offlineRenderFilename,
+    PngSequenceSink,
+    WebMSink
+} from './offline-render.js';
+import { FrameClock } from './frame-clock.js';
+import { IdleSignal, idleParams, defaultIdleSettings, coerceIdleSettings, clockText } from './idle.js';
+import { QualityManager, QUALITY_LEVELS, qualityParams, defaultQualitySettings, coerceQualitySettings } from './quality.js';
+import { screenshotParams, defaultScreenshotSettings, coerceScreenshotSettings, screenshotFilename, screenshotPng, copyPngToClipboard } from './screenshot.js';
+import { kioskParams, defaultKioskSettings, coerceKioskSettings, isFullscreen, toggleFullscreen, InactivityWatcher, ScreenWakeLock } from './kiosk.js';
+import { PopoutLink, POPOUT_WINDOW, POPOUT_FEATURES } from './popout-link.js';
+import { LiveInput, defaultInputSettings, coerceInputSettings, listInputDevices, liveInputErrorMessage } from './live-input.js';
+import { isArtFile, folderArt, artForFile, embeddedArt, loadArtBitmap, extractArtColors } from './album-art.js';
 import { parseBlob } from 'music-metadata-browser';
 import Stats from 'stats.js';
 import { Notyf } from 'notyf';
@@ -12,9 +49,9 @@ globalThis.Buffer = BufferPolyfill;
 // Add icons
 import { addIcons } from 'ionicons';
 import { defineCustomElement } from 'ionicons/components/ion-icon.js';
-import { musicalNotesOutline, musicalNotes, repeatOutline, addCircleOutline, trashOutline, closeCircleOutline, chevronBack, playSharp, pauseSharp, chevronForward, volumeMedium, volumeMute, chevronBackOutline, chevronForwardOutline, reorderTwo  } from 'ionicons/icons';
+import { musicalNotesOutline, musicalNotes, repeatOutline, addCircleOutline, trashOutline, closeCircleOutline, chevronBack, playSharp, pauseSharp, chevronForward, volumeMedium, volumeMute, chevronBackOutline, chevronForwardOutline, reorderTwo, settingsOutline, saveOutline, cloudUploadOutline, downloadOutline, playOutline, refreshOutline, codeSlashOutline, radioButtonOnOutline, stopOutline, filmOutline, cameraOutline, openOutline, expandOutline, contractOutline } from 'ionicons/icons';
 
-addIcons({ musicalNotesOutline, musicalNotes, repeatOutline, addCircleOutline, trashOutline, closeCircleOutline, chevronBack, playSharp, pauseSharp, chevronForward, volumeMedium, volumeMute, chevronBackOutline, chevronForwardOutline, reorderTwo });
+addIcons({ musicalNotesOutline, musicalNotes, repeatOutline, addCircleOutline, trashOutline, closeCircleOutline, chevronBack, playSharp, pauseSharp, chevronForward, volumeMedium, volumeMute, chevronBackOutline, chevronForwardOutline, reorderTwo, settingsOutline, saveOutline, cloudUploadOutline, downloadOutline, playOutline, refreshOutline, codeSlashOutline, radioButtonOnOutline, stopOutline, filmOutline, cameraOutline, openOutline, expandOutline, contractOutline });
 defineCustomElement();
 
 // Make Stats and Notyf globally available
@@ -30,10 +67,17 @@ function getStorage(name) {
     return sessionStorage.getItem(name);
 }
 
-function getRandomIntInclusive(min, max) {
-    const minCeiled = Math.ceil(min);
-    const maxFloored = Math.floor(max);
-    return Math.floor(Math.random() * (maxFloored - minCeiled + 1) + minCeiled); // The maximum is inclusive and the minimum is inclusive
+// Hand a Blob to the browser as a download
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the download a moment to pick up big files before the URL goes away
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 function secondsToTime(inputsec) {
@@ -46,8 +90,9 @@ function secondsToTime(inputsec) {
 }
 
 /* Configuration and Global Variables */
-let bufferLength = 512;
-let dataArray = new Uint8Array(bufferLength);
+// Analysis window size, precision and overlap ( see live-analysis.js ), bufferLength is the window size
+let analysisSettings = defaultAnalysisSettings();
+let bufferLength = analysisSize(analysisSettings);
 
 // Playlist management
 let playlist = [];
@@ -56,246 +101,2085 @@ let repeatMode = 'off'; // 'off', 'all', 'one'
 
 var notyf = new Notyf({
     duration: 3000,
+    types: [
+        {
+            type: 'info',
+            background: '#667eea',
+            icon: false
+        }
+    ]
 });
 
-var canvas, audio, source, context, analyser, stats, mid_y, heightChunks, sliceWidth;
+var canvas, audio, source, context, inputBus, outputGain, analyser, stereoUpmix, splitter, leftAnalyser, rightAnalyser, beatAnalyser, stats;
+
+var savedFile = '';
+var savedTime = 0;
+
+var lastFrameTime = 0;
+var frameRequest = null;
+var wasPlaying = 0;
+var targetFrameTime = 0; // ms, 0 renders every display frame
+const FRAME_SLACK = 1; // ms a frame can come early and still count against the cap
+
+// Elapsed time, decay ticks and waveform refreshes for each frame, from the frame timestamps
+const frameClock = new FrameClock();
+
+// Frame rate, colour and beat knobs ( see presets.js ), targetFrameTime and the frame clock follow them
+let visualSettings = defaultVisualSettings();
+
+// Colours for every frame, configured from visualSettings
+const paletteEngine = new PaletteEngine();
+
+// Track whose cover art is showing, so a slow decode doesn't overwrite a newer track's art
+let artTrack = null;
+
+// Presets the user saved or imported
+let userPresets = [];
+
+// Onsets/beats/tempo, fed every frame and handed to the visualizers as frame.rhythm
+const beatDetector = new BeatDetector();
+let beatDebugEnabled = false;
+
+// Video recording of the canvas and audio, created with the audio graph
+let recorder = null;
+let recordingSettings = defaultRecordingSettings();
+let recordingTimer = null;
+
+// Analysers and friends buildFrame reads during playback, set up with the audio graph
+let liveGraph = null;
+// Worklet the live analysers read from once it's loaded ( see live-analysis.js ), null before that
+// and where AudioWorklet isn't available, the analyser nodes do the job then
+let analysisTap = null;
+
+// Microphone or line in visualized instead of the playlist ( see live-input.js ), built with the
+// audio graph. resumeAfterLive remembers whether the playlist was playing when it took over.
+let inputSettings = defaultInputSettings();
+let liveInput = null;
+let resumeAfterLive = false;
+
+// Offline render in progress ( { controller } ), the live loop stays out of the renderer meanwhile
+let offlineRender = null;
+let offlineRenderSettings = defaultOfflineRenderSettings();
+
+let screenshotSettings = defaultScreenshotSettings();
+let screenshotPending = false;
+
+// Render scale, MSAA and action layer resolution, picked from frame times when the preset is auto
+const quality = new QualityManager();
+let qualitySettings = defaultQualitySettings();
+
+// Ambient animation while paused or with nothing loaded ( see idle.js )
+let idleSettings = defaultIdleSettings();
+let idleSignal = null; // the synthetic pad, built the first time idle kicks in
+let idleGraph = null;
+let idleTimer = null; // waiting out the delay, then for the next idle frame
+let idleFrameRequest = null;
+let idleActive = false;
+
+// Fullscreen, auto-hiding the controls and keeping the screen on ( see kiosk.js )
+let kioskSettings = defaultKioskSettings();
+let kioskWatcher = null;
+const wakeLock = new ScreenWakeLock();
+
+// The pop out window, if one's open, gets every frame and the look to draw it with ( see popout-link.js )
+const popout = new PopoutLink('player');
+
+// Renderer instance ( WebGPU, or Canvas 2D when WebGPU isn't available )
+let renderer = null;
+
+// Stats panels for the WebGPU renderer's allocation counters, only with ?gpustats in the address
+// ( counting wraps every GPU call ) and null on Canvas 2D
+const gpuStatsRequested = new URLSearchParams(window.location.search).has('gpustats');
+let gpuStatsPanels = null;
+
+/* Main Application Methods */
+function resizeCanvas() {
+    // An offline render sets its own size
+    if (!renderer || offlineRender) return;
+    
+    // Cleanup resize within renderer ( the active visualizer recalculates its layout there )
+    renderer.resizeCanvas();
+}
+
+function frameLooper(currentTime){
+
+    // Short cirucuit if paused and not live ( or an offline render has the renderer )
+    if ( ( audio.paused && !isLive() ) || offlineRender ) {
+        return;
+    }
+
+    // Cap framerate based on targetFrameTime ( with a little slack, display frames jitter around
+    // their interval and a cap at the display's rate shouldn't drop every other one )
+    const elapsed = currentTime - lastFrameTime;
+    if (targetFrameTime > 0 && elapsed < targetFrameTime - FRAME_SLACK) {
+        frameRequest = window.requestAnimationFrame(frameLooper);
+        return;
+    }
+    lastFrameTime = currentTime;
+
+    stats.begin();
+
+    const frame = buildFrame(liveGraph, frameClock.tick(currentTime / 1000));
+    if (beatDebugEnabled) {
+        updateBeatDebug(frame.rhythm, currentTime / 1000);
+    }
+    sendPopoutFrame(frame);
+
+    // Render frame using WebGPU renderer
+    renderer.renderFrame(frame);
+    // Frames go by without rendering while the GPU is restored, they say nothing about quality
+    if (!renderer.restoring) {
+        quality.frame(currentTime);
+    }
+    if (gpuStatsPanels) {
+        updateGpuStatsPanels();
+    }
+
+    // Scaled copy for the recording, if one's running at another resolution
+    if (recorder && recorder.recording) {
+        recorder.captureFrame(canvas);
+    }
+
+    // End stats monitoring ( report )
+    stats.end();
+
+    // Request next frame
+    frameRequest = window.requestAnimationFrame(frameLooper);
+}
+
+// (Re)start frameLooper, one loop at a time even when the player and live input hand over
+function startFrameLoop() {
+    window.cancelAnimationFrame(frameRequest);
+    frameRequest = window.requestAnimationFrame(frameLooper);
+}
+
+// Read what the active visualizer wants from the analysers and work out the frame's colours and
+// rhythm, gives renderFrame's params. graph is liveGraph or an offline render's ( see
+// createOfflineGraph ): the analysers, arrays to read them into, the beat detector and palette engine.
+// timing is the frame clock's { time, deltaTime, clearFrame, updateWaveform } for this frame.
+function buildFrame(graph, timing) {
+    const { time, deltaTime, clearFrame, updateWaveform } = timing;
+    // Get the audio data the active visualizer asked for if needed
+    const inputs = renderer.inputs;
+    let audioDataToRender = null;
+    let frequencyDataToRender = null;
+    let stereoDataToRender = null;
+    if (updateWaveform) {
+        if ( inputs.includes('timeDomain') ) {
+            readWaveform(graph.analyser, graph.dataArray);
+            audioDataToRender = graph.dataArray;
+        }
+        if ( inputs.includes('frequency') ) {
+            graph.analyser.getFloatFrequencyData(graph.frequencyArray);
+            frequencyDataToRender = graph.frequencyArray;
+        }
+        if ( inputs.includes('stereo') ) {
+            graph.leftAnalyser.getFloatTimeDomainData(graph.leftArray);
+            graph.rightAnalyser.getFloatTimeDomainData(graph.rightArray);
+            stereoDataToRender = { left: graph.leftArray, right: graph.rightArray };
+        }
+
+    }
+
+    // Beat detection runs every frame, 50ms is too coarse to catch onsets
+    graph.beatAnalyser.getFloatFrequencyData(graph.beatArray);
+    const rhythm = graph.beatDetector.update(graph.beatArray, graph.sampleRate, time);
+
+    // This frame's colours ( waveform, accent, shadow and background )
+    const palette = graph.paletteEngine.update(time, {
+        frequencyData: graph.beatArray,
+        sampleRate: graph.sampleRate,
+        rhythm: rhythm
+    });
+
+    return {
+        clearFrame: clearFrame,
+        updateWaveform: updateWaveform,
+        deltaTime: deltaTime,
+        audioData: audioDataToRender,
+        frequencyData: frequencyDataToRender,
+        stereoData: stereoDataToRender,
+        sampleRate: graph.sampleRate,
+        time: time,
+        colorRGB: palette.primary,
+        palette: palette,
+        rhythm: rhythm
+    };
+}
+
+function setupStatsOverlay() {
+    // Setup Stats overlay
+    stats = new Stats();
+    stats.showPanel( 0 ); // 0: fps, 1: ms, 2: mb, 3+: custom
+    stats.dom.id = 'stats-overlay';
+    stats.dom.style.setProperty('right','0px');
+    stats.dom.style.setProperty('left','unset');
+    document.body.appendChild( stats.dom );
+}
+
+// Extra Stats panels ( click the overlay to cycle ) showing what the WebGPU renderer allocates each
+// frame, uploads each frame and keeps alive, should sit at 1 ( the canvas view ) / a handful / flat
+// during playback
+function setupGpuStatsPanels() {
+    if (!renderer || !renderer.counters) return;
+    gpuStatsPanels = {
+        created: stats.addPanel(new Stats.Panel('GPU new/f', '#ff8', '#221')),
+        uploads: stats.addPanel(new Stats.Panel('uploads/f', '#f8f', '#212')),
+        live: stats.addPanel(new Stats.Panel('GPU bufs', '#8ff', '#122'))
+    };
+}
+
+function updateGpuStatsPanels() {
+    const { lastFrame, live } = renderer.counters;
+    const created = lastFrame.buffers + lastFrame.textures + lastFrame.views + lastFrame.bindGroups;
+    gpuStatsPanels.created.update(created, 10);
+    gpuStatsPanels.uploads.update(lastFrame.uploads, 20);
+    gpuStatsPanels.live.update(live.buffers, 100);
+}
+
+async function setupRenderer() {
+    // Setup Canvas and WebGPU
+    canvas = document.getElementById('canvas');
+    
+    // Handle resize events
+    window.addEventListener('resize', resizeCanvas, false);
+    
+    // Handle orientation changes (especially important for iOS)
+    window.addEventListener('orientationchange', () => {
+        // iOS needs a small delay after orientation change
+        setTimeout(() => {
+            resizeCanvas();
+        }, 100);
+    }, false);
+    
+    // Also handle visual viewport resize (for iOS address bar appearing/disappearing)
+    if (window.visualViewport) {
+        window.visualViewport.addEventListener('resize', () => {
+            resizeCanvas();
+        });
+    }
+    
+    // Initialize WebGPU Renderer
+    try {
+        renderer = new WebGPURenderer({ countAllocations: gpuStatsRequested });
+        await renderer.initialize(canvas,bufferLength,getStorage('visualizer'));
+    } catch (error) {
+        // No WebGPU ( or no adapter ), fall back to Canvas 2D so there's still something to watch
+        console.log('WebGPU unavailable, falling back to Canvas 2D:', error);
+        notyf.open({ type: 'info', message: 'WebGPU unavailable (' + error.message + '), using the Canvas 2D renderer.' });
+        try {
+            renderer = await setupCanvas2DRenderer();
+        } catch (fallbackError) {
+            renderer = null;
+            notyf.error('Renderer Initialization Error: ' + fallbackError.message);
+            return;
+        }
+    }
+    restoreVisualizerState();
+    renderer.configureAlbumArt({ opacity: visualSettings.artBackground });
+    await applyQuality();
+    setupGpuStatsPanels();
+
+    // The WebGPU renderer restores itself after losing the device, the frame loop carries on meanwhile
+    renderer.onDeviceLost = (message) => {
+        notyf.open({ type: 'info', message: 'Lost the GPU (' + message + '), restoring...' });
+    };
+    renderer.onDeviceRestored = () => {
+        quality.reset();
+        notyf.success('GPU restored');
+    };
+    renderer.onError = (error) => {
+        notyf.error('GPU error: ' + error.message);
+    };
+}
+
+async function setupCanvas2DRenderer() {
+    // A canvas that already handed out a webgpu context won't give us a 2d one, so swap in a fresh element
+    if (!canvas.getContext('2d')) {
+        const freshCanvas = canvas.cloneNode(false);
+        canvas.replaceWith(freshCanvas);
+        canvas = freshCanvas;
+    }
+    const fallback = new Canvas2DRenderer();
+    await fallback.initialize(canvas,bufferLength,getStorage('visualizer'));
+    return fallback;
+}
+
+async function changeVisualizer(id) {
+    if (!renderer || renderer.visualizerId === id) return;
+    try {
+        await renderer.setVisualizer(id);
+        restoreVisualizerState();
+        setStorage('visualizer', id, 7);
+    } catch (error) {
+        console.error('Error changing visualizer:', error);
+        notyf.error('Error changing visualizer: ' + error.message);
+    }
+    renderVisualizerParams();
+    syncShaderEditor();
+}
+
+// Each visualizer remembers its own params and animations
+function restoreVisualizerState() {
+    let saved = null;
+    try {
+        saved = JSON.parse(getStorage('visualizer_state_' + renderer.visualizerId));
+    } catch (error) {
+        console.log('Ignoring saved visualizer state', error);
+    }
+    if (saved) {
+        renderer.setVisualizerState(saved);
+    }
+    sendPopoutVisualizer();
+}
+
+function saveVisualizerState() {
+    setStorage('visualizer_state_' + renderer.visualizerId, JSON.stringify(renderer.visualizerState), 7);
+    sendPopoutVisualizer();
+}
+
+function applyVisualSettings(values) {
+    visualSettings = coerceVisualSettings(values, visualSettings);
+    targetFrameTime = visualSettings.targetFps > 0 ? 1000 / visualSettings.targetFps : 0;
+    frameClock.waveformRate = visualSettings.waveformRate;
+    quality.setMinFrameTime(targetFrameTime);
+    beatDetector.sensitivity = visualSettings.beatSensitivity;
+    paletteEngine.configure(visualSettings);
+    if (renderer) {
+        renderer.configureAlbumArt({ opacity: visualSettings.artBackground });
+    }
+    popout.send('settings', popoutSettings());
+    setStorage('visual_settings', JSON.stringify(visualSettings), 7);
+}
+
+function restoreVisualSettings() {
+    let saved = null;
+    try {
+        saved = JSON.parse(getStorage('visual_settings'));
+    } catch (error) {
+        console.log('Ignoring saved visual settings', error);
+    }
+    applyVisualSettings(saved || {});
+}
+
+function setupAudioPlayerAndAnalyser() {
+    context = new AudioContext();
+    // Whatever's being visualized ( the player or a live input ) goes into inputBus, everything
+    // analysing it reads from there
+    inputBus = context.createGain();
+    source = context.createMediaElementSource(audio);
+    source.connect(inputBus);
+
+    // The analyser stays in the output path ( the recorder taps it ) once the worklet takes over
+    // analysing, outputGain mutes a live input that isn't being monitored
+    analyser = context.createAnalyser();
+    outputGain = context.createGain();
+    inputBus.connect(analyser);
+    analyser.connect(outputGain);
+    outputGain.connect(context.destination);
+
+    // Per channel analysers for the stereo visualizers, these only tap the signal
+    // The splitter's own mixing is locked to 'discrete', so a gain in front of it up-mixes a mono
+    // file to both sides ( 'speakers' ) instead of leaving the right one silent
+    stereoUpmix = context.createGain();
+    stereoUpmix.channelCount = 2;
+    stereoUpmix.channelCountMode = 'explicit';
+    stereoUpmix.channelInterpretation = 'speakers';
+    splitter = context.createChannelSplitter(2);
+    leftAnalyser = context.createAnalyser();
+    rightAnalyser = context.createAnalyser();
+    inputBus.connect(stereoUpmix);
+    stereoUpmix.connect(splitter);
+    splitter.connect(leftAnalyser, 0);
+    splitter.connect(rightAnalyser, 1);
+
+    // Unsmoothed analyser for the beat detector, smoothing would blur the onsets away
+    beatAnalyser = context.createAnalyser();
+    beatAnalyser.fftSize = 1024;
+    beatAnalyser.smoothingTimeConstant = 0;
+    inputBus.connect(beatAnalyser);
+
+    liveGraph = createLiveGraph();
+    setupAnalysisTap();
+
+    liveInput = new LiveInput(context);
+    // Unplugged or otherwise gone, the playlist takes back over
+    liveInput.onEnded = () => {
+        notyf.error('The live input went away.');
+        stopLiveInput();
+    };
+}
+
+// Sample accurate windows from the worklet once it's loaded, the analyser nodes fill in till then
+async function setupAnalysisTap() {
+    try {
+        analysisTap = await createAnalysisTap(context);
+    } catch (error) {
+        console.log('Analysis worklet unavailable, staying on analyser nodes:', error);
+        return;
+    }
+    inputBus.connect(analysisTap.node);
+    // It only outputs silence, but it has to be pulled to run
+    analysisTap.node.connect(context.destination);
+    inputBus.disconnect(stereoUpmix);
+    inputBus.disconnect(beatAnalyser);
+    liveGraph = createLiveGraph();
+}
+
+// liveGraph at the current analysis settings, reading the worklet's ring or the analyser nodes
+function createLiveGraph() {
+    let analysers;
+    if (analysisTap) {
+        const ring = analysisTap.ring;
+        analysers = {
+            analyser: new RingAnalyser(ring, { fftSize: bufferLength, overlap: analysisSettings.overlap }),
+            leftAnalyser: new RingAnalyser(ring, { fftSize: bufferLength, channel: 0, overlap: analysisSettings.overlap }),
+            rightAnalyser: new RingAnalyser(ring, { fftSize: bufferLength, channel: 1, overlap: analysisSettings.overlap }),
+            beatAnalyser: new RingAnalyser(ring, { fftSize: 1024, smoothingTimeConstant: 0 })
+        };
+    } else {
+        analyser.fftSize = bufferLength;
+        leftAnalyser.fftSize = bufferLength;
+        rightAnalyser.fftSize = bufferLength;
+        analysers = { analyser, leftAnalyser, rightAnalyser, beatAnalyser };
+    }
+    return {
+        ...analysers,
+        ...graphArrays(analysers.analyser, analysers.beatAnalyser),
+        sampleRate: context.sampleRate,
+        beatDetector: beatDetector,
+        paletteEngine: paletteEngine
+    };
+}
+
+// What a graph's analysers read into, at the current window size and precision
+function graphArrays(analyser, beatAnalyser) {
+    return {
+        dataArray: createWaveformArray(analysisSettings),
+        frequencyArray: new Float32Array(analyser.frequencyBinCount),
+        leftArray: new Float32Array(bufferLength),
+        rightArray: new Float32Array(bufferLength),
+        beatArray: new Float32Array(beatAnalyser.frequencyBinCount)
+    };
+}
+
+// Same graph as setupAudioPlayerAndAnalyser but reading a decoded track, with its own beat
+// detector and palette engine so an offline render starts from scratch
+function createOfflineGraph(audioBuffer, random) {
+    const offlinePalette = new PaletteEngine();
+    offlinePalette.random = random;
+    offlinePalette.configure(visualSettings);
+    const offlineBeats = new BeatDetector();
+    offlineBeats.sensitivity = visualSettings.beatSensitivity;
+
+    // One down-mixed copy of the track for both analysers that hear the mix
+    const mix = downmix(audioBuffer);
+    const offlineAnalyser = new OfflineAnalyser(audioBuffer, { fftSize: bufferLength, overlap: analysisSettings.overlap, mix: mix });
+    const offlineBeatAnalyser = new OfflineAnalyser(audioBuffer, { fftSize: 1024, smoothingTimeConstant: 0, mix: mix });
+    const graph = {
+        analyser: offlineAnalyser,
+        leftAnalyser: new OfflineAnalyser(audioBuffer, { fftSize: bufferLength, channel: 0, overlap: analysisSettings.overlap }),
+        rightAnalyser: new OfflineAnalyser(audioBuffer, { fftSize: bufferLength, channel: 1, overlap: analysisSettings.overlap }),
+        beatAnalyser: offlineBeatAnalyser,
+        ...graphArrays(offlineAnalyser, offlineBeatAnalyser),
+        sampleRate: audioBuffer.sampleRate,
+        beatDetector: offlineBeats,
+        paletteEngine: offlinePalette
+    };
+    // Move every analyser's window to a sample
+    graph.seek = (sample) => {
+        graph.analyser.seek(sample);
+        graph.leftAnalyser.seek(sample);
+        graph.rightAnalyser.seek(sample);
+        graph.beatAnalyser.seek(sample);
+    };
+    return graph;
+}
+
+// Same graph again, reading the idle pad. Colours carry on from the live palette engine.
+function createIdleGraph() {
+    if (!idleSignal) {
+        idleSignal = new IdleSignal();
+    }
+    const idleBeats = new BeatDetector();
+    idleBeats.sensitivity = visualSettings.beatSensitivity;
+
+    const mix = downmix(idleSignal);
+    const idleAnalyser = new OfflineAnalyser(idleSignal, { fftSize: bufferLength, overlap: analysisSettings.overlap, mix: mix });
+    const idleBeatAnalyser = new OfflineAnalyser(idleSignal, { fftSize: 1024, smoothingTimeConstant: 0, mix: mix });
+    const graph = {
+        analyser: idleAnalyser,
+        leftAnalyser: new OfflineAnalyser(idleSignal, { fftSize: bufferLength, channel: 0, overlap: analysisSettings.overlap }),
+        rightAnalyser: new OfflineAnalyser(idleSignal, { fftSize: bufferLength, channel: 1, overlap: analysisSettings.overlap }),
+        beatAnalyser: idleBeatAnalyser,
+        ...graphArrays(idleAnalyser, idleBeatAnalyser),
+        sampleRate: idleSignal.sampleRate,
+        beatDetector: idleBeats,
+        paletteEngine: paletteEngine
+    };
+    // Point every analyser at the pad for a time in seconds, it loops
+    graph.seek = (time) => {
+        const sample = idleSignal.sampleAt(time);
+        graph.analyser.seek(sample);
+        graph.leftAnalyser.seek(sample);
+        graph.rightAnalyser.seek(sample);
+        graph.beatAnalyser.seek(sample);
+    };
+    return graph;
+}
+
+async function changeAudioFile(filepath,autoplay=true) {
+    // Ensure our audio is paused before changing the file ( or bad things )
+    // and set our time index to 0
+    await audio.pause();
+    audio.currentTime = 0;
+    // Thanks firefox...
+    await audio.dispatchEvent(new Event('pause',{})); // Manually dispatch pause event for FF
+    await audio.dispatchEvent(new Event('timeupdate',{})); // FF required manual dispatch
+    setStorage('playback_timeindex',0,7);
+    // Reset canvas
+    resizeCanvas();
+    // Load file and optionally start playback
+    audio.src = filepath;
+    // We have to wait for load or we hit race conditions
+    await audio.load();
+    // Do we have a restorable time index for this file? ( we backed up the initial file/time at load )
+    if ( savedFile == filepath && savedTime && savedTime > 0 ) {
+        // We do!
+        //console.log("Restoring time index to ", savedTime);
+        audio.currentTime = savedTime;
+        await audio.dispatchEvent(new Event('timeupdate',{})); // FF required manual dispatch
+    }
+    if ( autoplay ) {
+        const playPromise = audio.play();
+        if (playPromise == undefined) {
+            return;
+        }
+        await playPromise.then(() => {
+            console.log('Autoplay allowed and audio is playing.');
+        }).catch(error => {
+            // Ignore AbortError - this happens when play() is interrupted by pause() 
+            // during rapid track changes, which is expected behavior
+            if (error.name === 'AbortError') {
+                return;
+            }
+            // Log other autoplay prevention errors
+            console.log('Autoplay blocked:', error);
+            notyf.error('Autoplay blocked by browser. Please click play to start audio.');
+        });     
+    }
+}
+
+function setPlayerDefaultText() {
+    document.getElementById('player-title').innerHTML = 'Click the icon';
+    document.getElementById('player-artist').innerHTML = '<span style="font-size: .9em;">to open playlist</span>';
+    document.getElementById('player_runtime').innerHTML = secondsToTime(0);
+    document.getElementById('player_duration').innerHTML = secondsToTime(0);
+    showTrackArt(null);
+}
+
+// Put the track's cover in the player icon and hand it to the renderer and palette ( null resets them )
+async function showTrackArt(track) {
+    artTrack = track;
+    const artImage = document.getElementById('icon_art');
+    const iconImage = document.getElementById('icon_image');
+    if (!track || !track.art) {
+        artImage.removeAttribute('src');
+        artImage.hidden = true;
+        iconImage.hidden = false;
+        if (renderer) {
+            renderer.setAlbumArt(null);
+        }
+        paletteEngine.setArtColors(null);
+        popout.send('art', null);
+        return;
+    }
+    popout.send('art', track.art);
+
+    artImage.src = track.artUrl;
+    artImage.hidden = false;
+    iconImage.hidden = true;
+
+    let bitmap = null;
+    try {
+        bitmap = await loadArtBitmap(track.art);
+    } catch (error) {
+        console.log('Could not decode cover art for', track.title, error);
+    }
+    // Another track started while we were decoding
+    if (artTrack !== track) {
+        if (bitmap) bitmap.close();
+        return;
+    }
+    if (renderer) {
+        renderer.setAlbumArt(bitmap);
+    }
+    paletteEngine.setArtColors(bitmap ? extractArtColors(bitmap) : null);
+}
+
+/* Playlist Management Functions */
+
+function scrollCurrentTrackIntoView(ignoreOpen=false) {
+    if ( currentTrackIndex < 0 ) {
+        // We don't have anything to scroll into view
+        return;
+    }
+    if ( document.getElementById('playlist-content').classList.contains('open') || ignoreOpen ) {
+        const activeItem = document.querySelector('.playlist-item.active');
+        if (activeItem) {
+            activeItem.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
+}
+
+function togglePlaylist() {
+    const playlistWrapper = document.getElementById('playlist-content');
+    const playlistContainer = document.querySelector('.playlist-body');
+    const isOpening = !playlistWrapper.classList.contains('open');
+
+    // Scroll active item into view when opening
+    if (isOpening && currentTrackIndex >= 0) {
+        scrollCurrentTrackIntoView(true);
+    }
+
+    // Only one panel gets to be open at a time
+    if (isOpening) {
+        document.getElementById('settings-content').classList.remove('open');
+        document.getElementById('shader-content').classList.remove('open');
+    }
+
+    playlistWrapper.classList.toggle('open');
+
+}
+
+function recalculatePlaylistHeightOffset() {
+    const playlistWrapper = document.getElementById('playlist-wrapper');
+    const playlistContent = document.getElementById('playlist-content');
+    playlistContent.style.top = playlistWrapper.offsetHeight + 'px';
+}
+
+/* Settings Panel Functions */
+
+function toggleSettings() {
+    const settingsWrapper = document.getElementById('settings-content');
+    if (!settingsWrapper.classList.contains('open')) {
+        document.getElementById('playlist-content').classList.remove('open');
+        document.getElementById('shader-content').classList.remove('open');
+    }
+    settingsWrapper.classList.toggle('open');
+}
+
+function recalculateSettingsHeightOffset() {
+    const settingsWrapper = document.getElementById('settings-wrapper');
+    const settingsContent = document.getElementById('settings-content');
+    settingsContent.style.top = settingsWrapper.offsetHeight + 'px';
+}
+
+function setupSettingsUI() {
+    const visualizerSelect = document.getElementById('settings-visualizer');
+    visualizerSelect.innerHTML = '';
+    listVisualizers(renderer ? renderer.backend : undefined).forEach((visualizer) => {
+        const option = document.createElement('option');
+        option.value = visualizer.id;
+        option.textContent = visualizer.label;
+        visualizerSelect.appendChild(option);
+    });
+    if (renderer && renderer.visualizerId) {
+        visualizerSelect.value = renderer.visualizerId;
+    }
+    renderVisualizerParams();
+    renderVisualSettings();
+    visualizerSelect.addEventListener('change', async (e) => {
+        await changeVisualizer(e.target.value);
+        // Reflect what actually ended up active if the change failed
+        if (renderer && renderer.visualizerId) {
+            visualizerSelect.value = renderer.visualizerId;
+        }
+    });
+
+    setupPresetSettings();
+    setupBeatDebug();
+    setupAnalysisSettings();
+    setupQualitySettings();
+    setupIdleSettings();
+    setupKioskSettings();
+    setupInputSettings();
+    setupRecordingSettings();
+    setupOfflineRenderSettings();
+    setupScreenshotSettings();
+    setupPopout();
+    setupNowPlayingSettings();
+    setupShaderEditor();
+
+    document.getElementById('settings-toggle').addEventListener('click', (e) => {
+        toggleSettings();
+    });
+
+    recalculateSettingsHeightOffset();
+}
+
+// One settings row for a schema param ( same format as Visualizer.params ), onChange gets the
+// raw input value and returns what was actually applied for the readout
+function createParamRow(id, name, definition, value, onChange) {
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = definition.label || name;
+    row.appendChild(label);
+
+    let input;
+    if (definition.type === 'select') {
+        input = document.createElement('select');
+        input.className = 'settings-select';
+        definition.options.forEach((choice) => {
+            const option = document.createElement('option');
+            option.value = choice;
+            option.textContent = choice;
+            input.appendChild(option);
+        });
+        input.value = value;
+    } else if (definition.type === 'color') {
+        input = document.createElement('input');
+        input.type = 'color';
+        input.className = 'settings-color';
+        input.value = value;
+    } else if (definition.type === 'boolean') {
+        input = document.createElement('input');
+        input.type = 'checkbox';
+        input.className = 'settings-checkbox';
+        input.checked = value;
+    } else {
+        input = document.createElement('input');
+        input.type = 'range';
+        input.className = 'settings-range';
+        input.min = definition.min;
+        input.max = definition.max;
+        input.step = definition.step || (definition.type === 'int' ? 1 : 0.01);
+        input.value = value;
+    }
+    input.id = id;
+
+    const readout = document.createElement('span');
+    readout.className = 'settings-value';
+    if (input.type === 'range') {
+        readout.textContent = value;
+    }
+
+    input.addEventListener('input', (e) => {
+        const applied = onChange(input.type === 'checkbox' ? input.checked : input.value);
+        if (input.type === 'range') {
+            readout.textContent = applied;
+        }
+    });
+
+    const control = document.createElement('div');
+    control.className = 'settings-control';
+    control.appendChild(input);
+    control.appendChild(readout);
+    row.appendChild(control);
+    return row;
+}
+
+// Build a settings row per param the active visualizer declares
+function renderVisualizerParams() {
+    const container = document.getElementById('settings-visualizer-params');
+    container.innerHTML = '';
+    if (!renderer || !renderer.visualizer) return;
+
+    const definitions = renderer.visualizer.constructor.params;
+    for (const [name, definition] of Object.entries(definitions)) {
+        const id = 'settings-param-' + name;
+
+        // Shader source is edited in its own panel
+        if (definition.type === 'code') {
+            const row = document.createElement('div');
+            row.className = 'settings-row';
+            const label = document.createElement('label');
+            label.htmlFor = id;
+            label.textContent = definition.label || name;
+            row.appendChild(label);
+            const button = document.createElement('button');
+            button.id = id;
+            button.className = 'settings-btn';
+            button.title = 'Edit shader';
+            button.innerHTML = '<ion-icon name="code-slash-outline"></ion-icon>';
+            button.addEventListener('click', (e) => {
+                toggleShaderEditor();
+            });
+            row.appendChild(button);
+            container.appendChild(row);
+            continue;
+        }
+
+        container.appendChild(createParamRow(id, name, definition, renderer.visualizer.params[name], (value) => {
+            renderer.setVisualizerParams({ [name]: value });
+            saveVisualizerState();
+            return renderer.visualizer.params[name];
+        }));
+    }
+}
+
+// Same for the app level settings ( frame rate, colours, beat detection )
+function renderVisualSettings() {
+    const container = document.getElementById('settings-visual-params');
+    container.innerHTML = '';
+    for (const [name, definition] of Object.entries(visualSettingsParams)) {
+        container.appendChild(createParamRow('settings-visual-' + name, name, definition, visualSettings[name], (value) => {
+            applyVisualSettings({ [name]: value });
+            return visualSettings[name];
+        }));
+    }
+}
+
+/* Beat Detection Functions */
+
+function setupBeatDebug() {
+    const enabledInput = document.getElementById('settings-beat-debug');
+    const readout = document.getElementById('beat-debug');
+    const bands = document.getElementById('beat-debug-bands');
+
+    // A meter per band, filled by updateBeatDebug
+    bands.innerHTML = '';
+    beatDetector.bands.forEach((band) => {
+        const row = document.createElement('div');
+        row.className = 'beat-debug-band';
+        row.innerHTML = `<span class="beat-debug-name">${band.name}</span><div class="beat-debug-meter"><div class="beat-debug-fill"></div></div>`;
+        bands.appendChild(row);
+    });
+
+    beatDebugEnabled = getStorage('beat_debug') == 'on';
+    enabledInput.checked = beatDebugEnabled;
+    readout.style.display = beatDebugEnabled ? 'block' : 'none';
+    enabledInput.addEventListener('change', (e) => {
+        beatDebugEnabled = enabledInput.checked;
+        readout.style.display = beatDebugEnabled ? 'block' : 'none';
+        setStorage('beat_debug', beatDebugEnabled ? 'on' : 'off', 7);
+    });
+}
+
+function updateBeatDebug(rhythm, time) {
+    const tempo = rhythm.tempo > 0 ? rhythm.tempo.toFixed(1) + ' BPM' : '--- BPM';
+    document.getElementById('beat-debug-tempo').textContent = tempo + ' (' + Math.round(rhythm.confidence * 100) + '%)';
+    document.getElementById('beat-debug-pulse').style.opacity = rhythm.pulse;
+
+    const rows = document.getElementById('beat-debug-bands').children;
+    beatDetector.bands.forEach((band, i) => {
+        // Light up for a moment after each onset so they're visible at any frame rate
+        rows[i].classList.toggle('onset', time - band.lastOnset < 0.1);
+        rows[i].querySelector('.beat-debug-fill').style.width = (band.energy * 100) + '%';
+    });
+}
+
+/* Analysis Functions */
+
+// Before the renderer is set up, it's sized for the window
+function restoreAnalysisSettings() {
+    try {
+        analysisSettings = coerceAnalysisSettings(JSON.parse(getStorage('analysis_settings')));
+    } catch (error) {
+        console.log('Ignoring saved analysis settings', error);
+    }
+    bufferLength = analysisSize(analysisSettings);
+}
+
+function setupAnalysisSettings() {
+    const container = document.getElementById('settings-analysis-params');
+    container.innerHTML = '';
+    for (const [name, definition] of Object.entries(analysisParams)) {
+        container.appendChild(createParamRow('settings-analysis-' + name, name, definition, analysisSettings[name], (value) => {
+            analysisSettings = coerceAnalysisSettings({ [name]: value }, analysisSettings);
+            setStorage('analysis_settings', JSON.stringify(analysisSettings), 7);
+            applyAnalysis();
+            return analysisSettings[name];
+        }));
+    }
+}
+
+// New analysers and arrays at the current settings, and the renderers reallocated to match. Frames
+// analysed meanwhile are dropped by the renderers, an offline render puts its renderer right itself.
+async function applyAnalysis() {
+    bufferLength = analysisSize(analysisSettings);
+    if (liveGraph) {
+        liveGraph = createLiveGraph();
+    }
+    idleGraph = idleActive ? createIdleGraph() : null;
+    popout.send('analysis', { bufferLength: bufferLength });
+
+    if (!renderer || offlineRender) return;
+    try {
+        await renderer.setBufferLength(bufferLength);
+    } catch (error) {
+        console.error('Error changing the analysis window:', error);
+        notyf.error('Error changing the analysis window: ' + error.message);
+    }
+}
+
+/* Quality Functions */
+
+function restoreQualitySettings() {
+    try {
+        qualitySettings = coerceQualitySettings(JSON.parse(getStorage('quality_settings')));
+    } catch (error) {
+        console.log('Ignoring saved quality settings', error);
+    }
+    quality.setPreset(qualitySettings.preset);
+    // Auto picked another level, the renderer follows
+    quality.onChange = () => {
+        applyQuality();
+    };
+}
+
+function setupQualitySettings() {
+    const container = document.getElementById('settings-quality-params');
+    container.innerHTML = '';
+    for (const [name, definition] of Object.entries(qualityParams)) {
+        container.appendChild(createParamRow('settings-quality-' + name, name, definition, qualitySettings[name], (value) => {
+            qualitySettings = coerceQualitySettings({ [name]: value }, qualitySettings);
+            setStorage('quality_settings', JSON.stringify(qualitySettings), 7);
+            quality.setPreset(qualitySettings.preset);
+            applyQuality();
+            popout.send('settings', popoutSettings());
+            return qualitySettings[name];
+        }));
+    }
+    updateQualityUI();
+}
+
+// Hand the current level to the renderer ( and resize to it ), an offline render puts it back itself
+async function applyQuality() {
+    if (!renderer || offlineRender) return;
+    try {
+        await renderer.setQuality(quality.settings);
+    } catch (error) {
+        console.error('Error changing quality:', error);
+        notyf.error('Error changing quality: ' + error.message);
+    }
+    updateQualityUI();
+}
+
+// What the renderer is actually using, auto's pick included
+function updateQualityUI() {
+    const level = document.getElementById('settings-quality-level');
+    if (!level || !renderer) return;
+    const msaa = renderer.sampleCount > 1 ? renderer.sampleCount + 'x MSAA' : 'no MSAA';
+    const effects = Math.round(quality.settings.actionScale * 100) + '% effects';
+    level.textContent = `${quality.level} ( ${renderer.scaleFactor.toFixed(2)}x, ${msaa}, ${effects} )`;
+}
+
+/* Idle Functions */
+
+function setupIdleSettings() {
+    try {
+        idleSettings = coerceIdleSettings(JSON.parse(getStorage('idle_settings')));
+    } catch (error) {
+        console.log('Ignoring saved idle settings', error);
+    }
+
+    const container = document.getElementById('settings-idle-params');
+    container.innerHTML = '';
+    for (const [name, definition] of Object.entries(idleParams)) {
+        container.appendChild(createParamRow('settings-idle-' + name, name, definition, idleSettings[name], (value) => {
+            idleSettings = coerceIdleSettings({ [name]: value }, idleSettings);
+            setStorage('idle_settings', JSON.stringify(idleSettings), 7);
+            // The frame rate and clock are picked up on the next idle frame
+            if (name === 'enabled' || name === 'delay') {
+                scheduleIdle();
+            }
+            return idleSettings[name];
+        }));
+    }
+}
+
+// Start the idle animation once playback has been stopped for the configured delay
+function scheduleIdle() {
+    stopIdle();
+    if (!idleSettings.enabled || !audio || !audio.paused || isLive()) return;
+    idleTimer = setTimeout(startIdle, idleSettings.delay * 1000);
+}
+
+function startIdle() {
+    idleActive = true;
+    if (!idleGraph) {
+        idleGraph = createIdleGraph();
+    }
+    frameClock.reset();
+    idleFrameRequest = window.requestAnimationFrame(idleLooper);
+}
+
+function stopIdle() {
+    clearTimeout(idleTimer);
+    window.cancelAnimationFrame(idleFrameRequest);
+    idleTimer = null;
+    idleFrameRequest = null;
+    idleActive = false;
+    document.getElementById('idle-clock').style.display = 'none';
+}
+
+// frameLooper's quiet sibling: the idle pad into the active visualizer at the idle frame rate,
+// on a timer rather than every display frame so the GPU gets to rest in between
+function idleLooper(currentTime) {
+    if (!idleActive) return;
+
+    // An offline render has the renderer, wait it out
+    if (renderer && !offlineRender) {
+        const timing = frameClock.tick(currentTime / 1000);
+        idleGraph.seek(timing.time);
+        const frame = buildFrame(idleGraph, timing);
+        sendPopoutFrame(frame);
+        renderer.renderFrame(frame);
+    }
+    updateIdleClock();
+
+    idleTimer = setTimeout(() => {
+        idleFrameRequest = window.requestAnimationFrame(idleLooper);
+    }, 1000 / idleSettings.frameRate);
+}
+
+function updateIdleClock() {
+    const clock = document.getElementById('idle-clock');
+    clock.style.display = idleSettings.clock ? 'block' : 'none';
+    if (!idleSettings.clock) return;
+    const text = clockText();
+    if (clock.textContent !== text) {
+        clock.textContent = text;
+    }
+}
+
+/* Kiosk Functions */
+
+function setupKioskSettings() {
+    try {
+        kioskSettings = coerceKioskSettings(JSON.parse(getStorage('kiosk_settings')));
+    } catch (error) {
+        console.log('Ignoring saved kiosk settings', error);
+    }
+
+    const container = document.getElementById('settings-kiosk-params');
+    container.innerHTML = '';
+    for (const [name, definition] of Object.entries(kioskParams)) {
+        container.appendChild(createParamRow('settings-kiosk-' + name, name, definition, kioskSettings[name], (value) => {
+            kioskSettings = coerceKioskSettings({ [name]: value }, kioskSettings);
+            setStorage('kiosk_settings', JSON.stringify(kioskSettings), 7);
+            applyKiosk();
+            return kioskSettings[name];
+        }));
+    }
+
+    // Hides the controls, stats and cursor when nobody's around, not while the pointer's on the controls
+    const player = document.getElementById('player');
+    kioskWatcher = new InactivityWatcher(() => {
+        document.body.classList.add('kiosk-idle');
+    }, () => {
+        document.body.classList.remove('kiosk-idle');
+    }, () => player.matches(':hover'));
+
+    document.getElementById('player-fullscreen').addEventListener('click', (e) => {
+        fullscreen();
+    });
+    document.addEventListener('fullscreenchange', updateFullscreenUI);
+    // F for fullscreen, unless it's being typed somewhere
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== 'f' && e.key !== 'F') return;
+        if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest('input, textarea, select, [contenteditable]')) return;
+        e.preventDefault();
+        fullscreen();
+    });
+
+    applyKiosk();
+}
+
+function applyKiosk() {
+    if (kioskSettings.enabled) {
+        kioskWatcher.start(kioskSettings.hideAfter * 1000);
+    } else {
+        kioskWatcher.stop();
+    }
+    updateWakeLock();
+}
+
+async function fullscreen() {
+    try {
+        await toggleFullscreen();
+    } catch (error) {
+        console.error('Error changing fullscreen:', error);
+        notyf.error('Error changing fullscreen: ' + error.message);
+    }
+}
+
+function updateFullscreenUI() {
+    const full = isFullscreen();
+    document.getElementById('fullscreen-enter').style.display = full ? 'none' : 'block';
+    document.getElementById('fullscreen-exit').style.display = full ? 'block' : 'none';
+    document.getElementById('player-fullscreen').title = full ? 'Exit fullscreen (F)' : 'Fullscreen (F)';
+}
+
+// Keep the screen on while something's playing ( or live ), if wanted
+function updateWakeLock() {
+    if (kioskSettings.wakeLock && ((audio && !audio.paused) || isLive())) {
+        wakeLock.request().catch((error) => {
+            console.log('Could not keep the screen awake', error);
+        });
+    } else {
+        wakeLock.release().catch((error) => {
+            console.log('Could not release the screen wake lock', error);
+        });
+    }
+}
+
+/* Live Input Functions */
+
+function setupInputSettings() {
+    try {
+        inputSettings = coerceInputSettings(JSON.parse(getStorage('input_settings')));
+    } catch (error) {
+        console.log('Ignoring saved input settings', error);
+    }
+
+    const sourceSelect = document.getElementById('settings-input-source');
+    const deviceSelect = document.getElementById('settings-input-device');
+    const monitorInput = document.getElementById('settings-input-monitor');
+    monitorInput.checked = inputSettings.monitor;
+
+    sourceSelect.addEventListener('change', (e) => {
+        if (sourceSelect.value === 'live') {
+            startLiveInput();
+        } else {
+            stopLiveInput();
+        }
+    });
+    deviceSelect.addEventListener('change', (e) => {
+        inputSettings = coerceInputSettings({ deviceId: deviceSelect.value }, inputSettings);
+        setStorage('input_settings', JSON.stringify(inputSettings), 7);
+        // Already live, switch straight over
+        if (isLive()) {
+            startLiveInput();
+        }
+    });
+    monitorInput.addEventListener('change', (e) => {
+        inputSettings = coerceInputSettings({ monitor: monitorInput.checked }, inputSettings);
+        setStorage('input_settings', JSON.stringify(inputSettings), 7);
+        applyMonitor();
+    });
+
+    if (navigator.mediaDevices) {
+        navigator.mediaDevices.addEventListener('devicechange', updateInputDevices);
+    }
+    updateInputDevices();
+    updateInputUI();
+}
+
+function isLive() {
+    return liveInput !== null && liveInput.active;
+}
+
+// Open the chosen input and visualize it instead of the playlist, or move to another input
+async function startLiveInput() {
+    // The change counts as the interaction the audio graph needs
+    if (!context) {
+        setupAudioPlayerAndAnalyser();
+    }
+    context.resume();
+
+    const wasLive = isLive();
+    let node;
+    try {
+        node = await liveInput.start(inputSettings.deviceId);
+    } catch (error) {
+        console.error('Error opening the live input:', error);
+        notyf.error('Error opening the live input: ' + liveInputErrorMessage(error));
+        updateInputUI();
+        return;
+    }
+    node.connect(inputBus);
+
+    if (!wasLive) {
+        // The player drops out of the analysis and stops, it picks up again when the playlist's back
+        source.disconnect(inputBus);
+        resumeAfterLive = !audio.paused;
+        audio.pause();
+        stopIdle();
+        if (recorder) {
+            recorder.resume();
+        }
+        frameClock.reset();
+        startFrameLoop();
+    }
+    applyMonitor();
+    updateWakeLock();
+    showLiveText();
+    updateInputUI();
+    // Inputs only get their names once the page has been let at one
+    updateInputDevices();
+}
+
+// Close the live input and put the player back, playing again if it was when the input took over
+// ( unless resume is false, when it's being played already )
+function stopLiveInput(resume=true) {
+    if (!isLive()) {
+        updateInputUI();
+        return;
+    }
+    liveInput.stop();
+    source.connect(inputBus);
+    applyMonitor();
+    showPlaylistText();
+    updateInputUI();
+
+    if (resume && resumeAfterLive) {
+        audio.play().catch((error) => {
+            console.log('Could not resume the playlist after the live input:', error);
+        });
+    } else {
+        if (recorder && audio.paused) {
+            recorder.pause();
+        }
+        scheduleIdle();
+        updateWakeLock();
+    }
+    resumeAfterLive = false;
+}
+
+// Heard unless it's a live input that isn't being monitored
+function applyMonitor() {
+    if (!outputGain) return;
+    const gain = isLive() && !inputSettings.monitor ? 0 : 1;
+    outputGain.gain.setTargetAtTime(gain, context.currentTime, 0.01);
+}
+
+// What the player and announcement show while live
+function liveTrack() {
+    return { title: 'Live input', artist: liveInput.label, album: '' };
+}
+
+function showLiveText() {
+    const track = liveTrack();
+    document.getElementById('player-title').textContent = track.title;
+    document.getElementById('player-artist').textContent = track.artist;
+    showTrackArt(null);
+    if (renderer) {
+        renderer.showNowPlaying(track);
+    }
+    popout.send('track', track);
+}
+
+// Back to the current track's text and art
+function showPlaylistText() {
+    if (currentTrackIndex < 0) {
+        setPlayerDefaultText();
+        return;
+    }
+    const track = playlist[currentTrackIndex];
+    document.getElementById('player-title').innerHTML = track.title;
+    document.getElementById('player-artist').innerHTML = track.artist ? track.artist : 'Unknown Artist';
+    showTrackArt(track);
+}
+
+function updateInputUI() {
+    document.getElementById('settings-input-source').value = isLive() ? 'live' : 'playlist';
+}
+
+// Fill the device picker, the saved input stays picked even while it can't be seen
+async function updateInputDevices() {
+    let devices = [];
+    try {
+        devices = await listInputDevices();
+    } catch (error) {
+        console.log('Could not list audio inputs', error);
+    }
+    const choices = [{ deviceId: '', label: 'Default input' }, ...devices];
+    if (inputSettings.deviceId && !devices.some((device) => device.deviceId === inputSettings.deviceId)) {
+        choices.push({ deviceId: inputSettings.deviceId, label: 'Last used input' });
+    }
+
+    const select = document.getElementById('settings-input-device');
+    select.innerHTML = '';
+    for (const choice of choices) {
+        const option = document.createElement('option');
+        option.value = choice.deviceId;
+        option.textContent = choice.label;
+        select.appendChild(option);
+    }
+    select.value = inputSettings.deviceId;
+}
+
+/* Recording Functions */
+
+function setupRecordingSettings() {
+    try {
+        recordingSettings = coerceRecordingSettings(JSON.parse(getStorage('recording_settings')));
+    } catch (error) {
+        console.log('Ignoring saved recording settings', error);
+    }
+
+    const container = document.getElementById('settings-recording-params');
+    container.innerHTML = '';
+    for (const [name, definition] of Object.entries(recordingParams)) {
+        container.appendChild(createParamRow('settings-recording-' + name, name, definition, recordingSettings[name], (value) => {
+            // Takes effect from the next recording
+            recordingSettings = coerceRecordingSettings({ [name]: value }, recordingSettings);
+            setStorage('recording_settings', JSON.stringify(recordingSettings), 7);
+            return recordingSettings[name];
+        }));
+    }
+
+    document.getElementById('settings-record').addEventListener('click', (e) => {
+        if (recorder && recorder.recording) {
+            stopRecording();
+        } else {
+            startRecording();
+        }
+    });
+}
+
+function startRecording() {
+    if (!renderer) {
+        notyf.error('Nothing to record without a renderer.');
+        return;
+    }
+    // The click counts as the interaction the audio graph needs
+    if (!context) {
+        setupAudioPlayerAndAnalyser();
+    }
+    if (!recorder) {
+        recorder = new VisualizationRecorder(context, analyser);
+        recorder.onError = (error) => {
+            notyf.error('Recording error: ' + error.message);
+            stopRecording();
+        };
+    }
+
+    try {
+        recorder.start(canvas, recordingSettings);
+    } catch (error) {
+        console.error('Error starting recording:', error);
+        notyf.error('Error starting recording: ' + error.message);
+        return;
+    }
+    if (audio.paused && !isLive()) {
+        recorder.pause();
+    }
+    recordingTimer = setInterval(updateRecordingTime, 500);
+    updateRecordingUI();
+}
+
+async function stopRecording() {
+    if (!recorder || !recorder.recording) return;
+    clearInterval(recordingTimer);
+    recordingTimer = null;
+    const title = currentTrackIndex >= 0 ? playlist[currentTrackIndex].title : '';
+    try {
+        const blob = await recorder.stop();
+        downloadBlob(blob, recordingFilename(title, blob.type));
+    } catch (error) {
+        console.error('Error finishing recording:', error);
+        notyf.error('Error finishing recording: ' + error.message);
+    }
+    updateRecordingUI();
+}
+
+function updateRecordingUI() {
+    const recording = recorder !== null && recorder.recording;
+    const button = document.getElementById('settings-record');
+    button.innerHTML = recording ? '<ion-icon name="stop-outline"></ion-icon>' : '<ion-icon name="radio-button-on-outline"></ion-icon>';
+    button.title = recording ? 'Stop recording and download' : 'Start recording';
+    button.classList.toggle('active', recording);
+    document.getElementById('recording-indicator').style.display = recording ? 'flex' : 'none';
+    updateRecordingTime();
+}
+
+function updateRecordingTime() {
+    const elapsed = secondsToTime(recorder ? recorder.elapsed : 0);
+    document.getElementById('settings-record-time').textContent = elapsed;
+    document.getElementById('recording-time').textContent = elapsed;
+}
+
+/* Offline Render Functions */
+
+function setupOfflineRenderSettings() {
+    try {
+        offlineRenderSettings = coerceOfflineRenderSettings(JSON.parse(getStorage('offline_render_settings')));
+    } catch (error) {
+        console.log('Ignoring saved offline render settings', error);
+    }
+
+    const container = document.getElementById('settings-offline-params');
+    container.innerHTML = '';
+    for (const [name, definition] of Object.entries(offlineRenderParams)) {
+        container.appendChild(createParamRow('settings-offline-' + name, name, definition, offlineRenderSettings[name], (value) => {
+            offlineRenderSettings = coerceOfflineRenderSettings({ [name]: value }, offlineRenderSettings);
+            setStorage('offline_render_settings', JSON.stringify(offlineRenderSettings), 7);
+            return offlineRenderSettings[name];
+        }));
+    }
+
+    document.getElementById('settings-offline-render').addEventListener('click', (e) => {
+        if (offlineRender) {
+            offlineRender.controller.abort();
+        } else {
+            startOfflineRender();
+        }
+    });
+}
+
+// Render the current track frame by frame ( see offline-render.js ) and download the result
+async function startOfflineRender() {
+    if (!renderer) {
+        notyf.error('Nothing to render with without a renderer.');
+        return;
+    }
+    if (currentTrackIndex < 0) {
+        notyf.error('Pick a track to render first.');
+        return;
+    }
+    if (recorder && recorder.recording) {
+        notyf.error('Stop the recording before rendering.');
+        return;
+    }
+    const track = playlist[currentTrackIndex];
+    const settings = { ...offlineRenderSettings };
+
+    // Ask for the PNG folder first while the click still counts as a user gesture
+    let directory = null;
+    if (settings.format === 'png' && window.showDirectoryPicker) {
+        try {
+            directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+        } catch (error) {
+            // Picker closed
+            return;
+        }
+    }
+
+    const controller = new AbortController();
+    offlineRender = { controller: controller };
+    const resumePlayback = !audio.paused;
+    audio.pause();
+    updateOfflineRenderUI(0, 0);
+
+    const visualizerId = renderer.visualizerId;
+    const visualizerState = renderer.visualizerState;
+    let sink = null;
+    try {
+        const audioBuffer = await decodeTrack(track.file);
+        const size = recordingSize(canvas.width, canvas.height, settings.resolution);
+
+        // Seeded colours and its own beat detector so every render of this track comes out the same
+        const graph = createOfflineGraph(audioBuffer, createSeededRandom(settings.seed));
+        if (track.art) {
+            try {
+                const bitmap = await loadArtBitmap(track.art);
+                graph.paletteEngine.setArtColors(extractArtColors(bitmap));
+                bitmap.close();
+            } catch (error) {
+                console.log('Could not decode cover art for', track.title, error);
+            }
+        }
+
+        if (settings.format === 'png') {
+            sink = new PngSequenceSink(directory);
+        } else {
+            sink = new WebMSink({ width: size.width, height: size.height, frameRate: settings.frameRate, videoBitrate: settings.videoBitrate });
+            await sink.init();
+        }
+
+        // A fresh copy of the visualizer at the output size, nothing left over from playback. Frame
+        // times don't matter offline, so it gets the full quality look whatever live playback uses
+        await renderer.setQuality(QUALITY_LEVELS.high);
+        renderer.resizeCanvas(size.width, size.height);
+        await renderer.setVisualizer(visualizerId);
+        renderer.setVisualizerState(visualizerState);
+        renderer.showNowPlaying(track);
+
+        const result = await renderOffline({
+            audioBuffer: audioBuffer,
+            frameRate: settings.frameRate,
+            waveformRate: visualSettings.waveformRate,
+            renderFrame: (frame) => {
+                graph.seek(frame.sample);
+                renderer.renderFrame(buildFrame(graph, frame));
+            },
+            readFrame: () => renderer.readFrame(),
+            sink: sink,
+            onProgress: updateOfflineRenderUI,
+            signal: controller.signal
+        });
+        if (result) {
+            downloadBlob(result, offlineRenderFilename(track.title, settings));
+        }
+        notyf.success('Rendered ' + track.title);
+    } catch (error) {
+        if (sink && sink.close) {
+            sink.close();
+        }
+        if (!controller.signal.aborted) {
+            console.error('Error rendering offline:', error);
+            notyf.error('Error rendering offline: ' + error.message);
+        }
+    } finally {
+        // Back to the live look at the page's size
+        offlineRender = null;
+        try {
+            // The analysis settings may have changed during the render
+            await renderer.setBufferLength(bufferLength);
+            await renderer.setVisualizer(visualizerId);
+            restoreVisualizerState();
+        } catch (error) {
+            console.error('Error restoring visualizer:', error);
+        }
+        await applyQuality();
+        resizeCanvas();
+        updateOfflineRenderUI(0, 0);
+        if (resumePlayback) {
+            audio.play().catch((error) => {
+                console.log('Could not resume playback after the render:', error);
+            });
+        } else if (isLive()) {
+            frameClock.reset();
+            startFrameLoop();
+        }
+    }
+}
+
+function updateOfflineRenderUI(done, total) {
+    const button = document.getElementById('settings-offline-render');
+    const rendering = offlineRender !== null;
+    // Only swap the icon when the state changes, this runs every frame
+    if (button.classList.contains('active') !== rendering) {
+        button.innerHTML = rendering ? '<ion-icon name="close-circle-outline"></ion-icon>' : '<ion-icon name="film-outline"></ion-icon>';
+        button.title = rendering ? 'Cancel render' : 'Render the current track offline';
+        button.classList.toggle('active', rendering);
+    }
+    document.getElementById('settings-offline-progress').textContent = rendering && total > 0 ? Math.floor(done / total * 100) + '%' : '';
+}
+
+/* Screenshot Functions */
+
+function setupScreenshotSettings() {
+    try {
+        screenshotSettings = coerceScreenshotSettings(JSON.parse(getStorage('screenshot_settings')));
+    } catch (error) {
+        console.log('Ignoring saved screenshot settings', error);
+    }
+
+    const container = document.getElementById('settings-screenshot-params');
+    container.innerHTML = '';
+    for (const [name, definition] of Object.entries(screenshotParams)) {
+        container.appendChild(createParamRow('settings-screenshot-' + name, name, definition, screenshotSettings[name], (value) => {
+            screenshotSettings = coerceScreenshotSettings({ [name]: value }, screenshotSettings);
+            setStorage('screenshot_settings', JSON.stringify(screenshotSettings), 7);
+            return screenshotSettings[name];
+        }));
+    }
+
+    document.getElementById('settings-screenshot').addEventListener('click', (e) => {
+        takeScreenshot();
+    });
+}
+
+// Save the frame on screen as a PNG ( works paused too, the renderer keeps the last frame )
+async function takeScreenshot() {
+    // Still saving the last one, clicking again shouldn't pile them up
+    if (screenshotPending) return;
+    if (!renderer) {
+        notyf.error('Nothing to screenshot without a renderer.');
+        return;
+    }
+    if (offlineRender) {
+        notyf.error('Wait for the render to finish before taking a screenshot.');
+        return;
+    }
+    const track = currentTrackIndex >= 0 ? playlist[currentTrackIndex] : null;
+    const stamp = screenshotSettings.stampTitle ? track : null;
+    screenshotPending = true;
+    const png = renderer.readFrame().then((image) => screenshotPng(image, stamp, renderer.nowPlaying.options.font));
+    try {
+        if (screenshotSettings.destination === 'clipboard') {
+            // The clipboard gets the PNG still being made, awaiting it too catches a failed encode
+            // when the clipboard can't take images and never looks at it
+            await Promise.all([copyPngToClipboard(png), png]);
+            notyf.success('Screenshot copied to the clipboard');
+        } else {
+            downloadBlob(await png, screenshotFilename(track ? track.title : ''));
+        }
+    } catch (error) {
+        console.error('Error taking screenshot:', error);
+        notyf.error('Error taking screenshot: ' + error.message);
+    } finally {
+        screenshotPending = false;
+    }
+}
+
+/* Pop Out Functions */
 
-var savedFile = '';
-var savedTime = 0;
+function setupPopout() {
+    document.getElementById('settings-popout').addEventListener('click', (e) => {
+        openPopout();
+    });
 
-var clearFrame = 0;
-var updateWaveform = 0;
-var lastFrameTime = 0;
-var wasPlaying = 0;
-var targetFrameTime = 1000 / 80; // Set to 60fps (30 fps = ~33.33ms per frame - was more like 40ms per frame in practice)
+    // A pop out that just opened ( or answered our hello after a reload ) gets everything it needs
+    popout.onConnect = () => {
+        sendPopoutState();
+        updatePopoutUI();
+    };
+    popout.onDisconnect = () => {
+        updatePopoutUI();
+    };
+    // Pick back up with a pop out that outlived our last page load
+    popout.hello();
+    updatePopoutUI();
+}
 
-var avg_r = 0;
-var avg_g = 0;
-var avg_b = 0;
+function openPopout() {
+    if (!popout.available) {
+        notyf.error('This browser can\'t talk to a pop out window.');
+        return;
+    }
+    // Same name every time, so an open pop out is reused rather than joined by another
+    const popup = window.open('popout.html', POPOUT_WINDOW, POPOUT_FEATURES);
+    if (!popup) {
+        notyf.error('The pop out window was blocked, allow pop ups for this page and try again.');
+        return;
+    }
+    popup.focus();
+}
 
-// WebGPU Renderer instance
-let renderer = null;
+function updatePopoutUI() {
+    document.getElementById('settings-popout-status').textContent = popout.connected ? 'Connected' : '';
+}
 
-/* Main Application Methods */
-function resizeCanvas() {
+// Every frame drawn here, analysis and all
+function sendPopoutFrame(frame) {
+    if (popout.connected) {
+        popout.send('frame', frame);
+    }
+}
+
+function sendPopoutVisualizer() {
+    popout.send('visualizer', { id: renderer.visualizerId, state: renderer.visualizerState });
+}
+
+function sendPopoutState() {
     if (!renderer) return;
-    
-    // Cleanup resize within renderer
-    renderer.resizeCanvas();
-    
-    // Calculate rendering parameters that gets used within frameLooper
-    const mid_x = canvas.width / 2;
-    mid_y = canvas.height / 2;
+    const track = isLive() ? liveTrack() : currentTrackIndex >= 0 ? playlist[currentTrackIndex] : null;
+    popout.send('state', {
+        bufferLength: bufferLength,
+        visualizer: { id: renderer.visualizerId, state: renderer.visualizerState },
+        settings: popoutSettings(),
+        nowPlayingOptions: renderer.nowPlaying.options,
+        track: popoutTrack(track),
+        art: artTrack && artTrack.art ? artTrack.art : null
+    });
+}
 
-    if ( canvas.width > bufferLength ) {
-        sliceWidth =  canvas.width / (bufferLength - 1);
-    } else {
-        sliceWidth =  (bufferLength - 1) / canvas.width;
-    }
-    sliceWidth = Math.max(sliceWidth, 3);
-    // Adjust height chunks based on canvas size
-    heightChunks = (canvas.height / 256) * .8;
+// The settings the pop out's renderer follows, the rest only matter to the analysis done here
+function popoutSettings() {
+    return { artBackground: visualSettings.artBackground, quality: qualitySettings.preset };
 }
 
-function frameLooper(currentTime){
+// Just what the announcement shows, the track's object URLs mean nothing in another window
+function popoutTrack(track) {
+    return track ? { title: track.title, artist: track.artist, album: track.album } : null;
+}
 
-    // Short cirucuit if paused
-    if ( audio.paused ) {
-        return;
-    }
+/* Shader Editor Functions */
+
+let shaderCompileTimer = null;
+
+// Name of the active visualizer's code param, null if it doesn't take shaders
+function shaderParamName() {
+    if (!renderer || !renderer.visualizer) return null;
+    const definitions = renderer.visualizer.constructor.params;
+    return Object.keys(definitions).find((name) => definitions[name].type === 'code') || null;
+}
 
-    // Cap framerate based on targetFrameTime
-    const deltaTime = currentTime - lastFrameTime;
-    if (deltaTime < targetFrameTime) {
-        return window.requestAnimationFrame(frameLooper);
+function toggleShaderEditor() {
+    const shaderWrapper = document.getElementById('shader-content');
+    if (!shaderWrapper.classList.contains('open')) {
+        document.getElementById('playlist-content').classList.remove('open');
+        document.getElementById('settings-content').classList.remove('open');
+        syncShaderEditor();
     }
-    lastFrameTime = currentTime;
+    shaderWrapper.classList.toggle('open');
+}
 
-    stats.begin();
+function recalculateShaderHeightOffset() {
+    const shaderWrapper = document.getElementById('shader-wrapper');
+    const shaderContent = document.getElementById('shader-content');
+    shaderContent.style.top = shaderWrapper.offsetHeight + 'px';
+}
 
-    // Get audio data if needed
-    let audioDataToRender = null;
-    if (updateWaveform) {
-        analyser.getByteTimeDomainData(dataArray);
-        audioDataToRender = dataArray;
-
-        // Update color values
-        if ( isNaN(avg_r) || isNaN(avg_g) || isNaN(avg_b) || // if averages are not set
-                ((avg_r - avg_g) < 50 && (avg_g - avg_b) < 50  && (avg_b - avg_g) < 50) || // if the different values are too similar ( eg: bland )
-                ( avg_r < 128 && avg_g < 128 && avg_b < 128 ) // if it's not bright enough
-        ) {
-            while ( avg_r < 200 && avg_g < 200 && avg_b < 200 ) {
-                avg_r = getRandomIntInclusive(0,255);
-                avg_g = getRandomIntInclusive(0,255);
-                avg_b = getRandomIntInclusive(0,255);
-            }
+// Load the active visualizer's shader into the editor
+function syncShaderEditor() {
+    const codeInput = document.getElementById('shader-code');
+    const name = shaderParamName();
+    codeInput.disabled = !name;
+    codeInput.value = name ? renderer.visualizer.params[name] : '';
+    updateShaderGutter([]);
+    renderShaderDiagnostics(null, name ? '' : 'The active visualizer has no shader to edit.');
+}
+
+// Line numbers, with the lines that have diagnostics marked
+function updateShaderGutter(messages) {
+    const codeInput = document.getElementById('shader-code');
+    const gutter = document.getElementById('shader-gutter');
+    const marks = {};
+    messages.forEach((message) => {
+        // Errors win over warnings on the same line
+        if (message.line > 0 && marks[message.line] !== 'error') {
+            marks[message.line] = message.type;
         }
+    });
 
-        avg_r = Math.min(avg_r + getRandomIntInclusive(0,20), 255);
-        avg_r = Math.max(avg_r - getRandomIntInclusive(0,20),0);
-        
-        avg_g = Math.min(avg_g + getRandomIntInclusive(0,20), 255);
-        avg_g = Math.max(avg_g - getRandomIntInclusive(0,20),0);
+    gutter.innerHTML = '';
+    const lineCount = codeInput.value.split('\n').length;
+    for (let line = 1; line <= lineCount; line++) {
+        const number = document.createElement('div');
+        number.textContent = line;
+        if (marks[line]) {
+            number.className = marks[line];
+        }
+        gutter.appendChild(number);
+    }
+    gutter.scrollTop = codeInput.scrollTop;
+}
 
-        avg_b = Math.min(avg_b + getRandomIntInclusive(0,20), 255);
-        avg_b = Math.max(avg_b - getRandomIntInclusive(0,20),0);
+function renderShaderDiagnostics(result, statusText='') {
+    const status = document.getElementById('shader-status');
+    const diagnostics = document.getElementById('shader-diagnostics');
+    diagnostics.innerHTML = '';
+    status.classList.toggle('error', Boolean(result && !result.success));
+    if (!result) {
+        status.textContent = statusText;
+        return;
     }
+    status.textContent = result.success ? 'Compiled' : 'Failed, keeping the last good shader';
 
-    // Render frame using WebGPU renderer
-    renderer.renderFrame({
-        clearFrame: clearFrame,
-        updateWaveform: updateWaveform,
-        audioData: audioDataToRender,
-        colorRGB: { r: avg_r, g: avg_g, b: avg_b },
-        mid_y: mid_y,
-        heightChunks: heightChunks,
-        sliceWidth: sliceWidth
+    result.messages.forEach((message) => {
+        const item = document.createElement('div');
+        item.className = 'shader-diagnostic ' + message.type;
+        const location = message.line > 0 ? 'Line ' + message.line + ':' + message.column + ' ' : '';
+        item.textContent = location + message.type + ': ' + message.message;
+        if (message.line > 0) {
+            item.addEventListener('click', (e) => {
+                selectShaderLine(message.line);
+            });
+        }
+        diagnostics.appendChild(item);
     });
+}
 
-    // Clear single frame action bools
-    clearFrame = 0;
-    updateWaveform = 0;
+function selectShaderLine(line) {
+    const codeInput = document.getElementById('shader-code');
+    const lines = codeInput.value.split('\n');
+    let start = 0;
+    for (let i = 0; i < line - 1 && i < lines.length; i++) {
+        start += lines[i].length + 1;
+    }
+    codeInput.focus();
+    codeInput.setSelectionRange(start, start + (lines[line - 1] || '').length);
+}
 
-    // End stats monitoring ( report )
-    stats.end();
+async function compileShader() {
+    clearTimeout(shaderCompileTimer);
+    if (!shaderParamName()) return;
 
-    // Request next frame
-    return window.requestAnimationFrame(frameLooper);
+    const code = document.getElementById('shader-code').value;
+    try {
+        const result = await renderer.compileVisualizerShader(code);
+        // Ignore results for text that's already been edited again
+        if (document.getElementById('shader-code').value !== code) return;
+        renderShaderDiagnostics(result);
+        updateShaderGutter(result.messages);
+        if (result.success) {
+            saveVisualizerState();
+        }
+    } catch (error) {
+        console.error('Error compiling shader:', error);
+        renderShaderDiagnostics(null, 'Error: ' + error.message);
+    }
 }
 
-function setupStatsOverlay() {
-    // Setup Stats overlay
-    stats = new Stats();
-    stats.showPanel( 0 ); // 0: fps, 1: ms, 2: mb, 3+: custom
-    stats.dom.style.setProperty('right','0px');
-    stats.dom.style.setProperty('left','unset');
-    document.body.appendChild( stats.dom );
+function setupShaderEditor() {
+    const codeInput = document.getElementById('shader-code');
+    const gutter = document.getElementById('shader-gutter');
+
+    codeInput.addEventListener('input', (e) => {
+        updateShaderGutter([]);
+        // Hot reload once typing settles
+        clearTimeout(shaderCompileTimer);
+        shaderCompileTimer = setTimeout(compileShader, 700);
+    });
+    codeInput.addEventListener('scroll', (e) => {
+        gutter.scrollTop = codeInput.scrollTop;
+    });
+    codeInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            compileShader();
+        } else if (e.key === 'Tab') {
+            // Indent instead of leaving the editor
+            e.preventDefault();
+            codeInput.setRangeText('    ', codeInput.selectionStart, codeInput.selectionEnd, 'end');
+            codeInput.dispatchEvent(new Event('input'));
+        }
+    });
+
+    document.getElementById('shader-compile').addEventListener('click', (e) => {
+        compileShader();
+    });
+    document.getElementById('shader-reset').addEventListener('click', (e) => {
+        const name = shaderParamName();
+        if (!name || !confirm('Replace the shader with the example?')) return;
+        codeInput.value = renderer.visualizer.constructor.params[name].default;
+        compileShader();
+    });
+
+    syncShaderEditor();
+    recalculateShaderHeightOffset();
 }
 
-async function setupWebGPURenderer() {
-    // Setup Canvas and WebGPU
-    canvas = document.getElementById('canvas');
-    
-    // Handle resize events
-    window.addEventListener('resize', resizeCanvas, false);
-    
-    // Handle orientation changes (especially important for iOS)
-    window.addEventListener('orientationchange', () => {
-        // iOS needs a small delay after orientation change
-        setTimeout(() => {
-            resizeCanvas();
-        }, 100);
-    }, false);
-    
-    // Also handle visual viewport resize (for iOS address bar appearing/disappearing)
-    if (window.visualViewport) {
-        window.visualViewport.addEventListener('resize', () => {
-            resizeCanvas();
-        });
-    }
-    
-    // Initialize WebGPU Renderer
+/* Preset Functions */
+
+function loadUserPresets() {
+    userPresets = [];
+    let saved = null;
     try {
-        renderer = new WebGPURenderer();
-        await renderer.initialize(canvas,bufferLength);
-        resizeCanvas();
+        saved = JSON.parse(getStorage('presets'));
     } catch (error) {
-        notyf.error('WebGPU Initialization Error: ' + error.message);
-        return;
+        console.log('Ignoring saved presets', error);
     }
+    (Array.isArray(saved) ? saved : []).forEach((preset) => {
+        try {
+            userPresets.push(parsePreset(preset));
+        } catch (error) {
+            console.log('Ignoring saved preset', error);
+        }
+    });
 }
 
-function setupAudioPlayerAndAnalyser() {
-    context = new AudioContext();
-    analyser = context.createAnalyser();
-    analyser.fftSize = bufferLength;
-    source = context.createMediaElementSource(audio);
-    source.connect(analyser);
-    analyser.connect(context.destination);
+function saveUserPresets() {
+    setStorage('presets', JSON.stringify(userPresets), 7);
 }
 
-async function changeAudioFile(filepath,autoplay=true) {
-    // Ensure our audio is paused before changing the file ( or bad things )
-    // and set our time index to 0
-    await audio.pause();
-    audio.currentTime = 0;
-    // Thanks firefox...
-    await audio.dispatchEvent(new Event('pause',{})); // Manually dispatch pause event for FF
-    await audio.dispatchEvent(new Event('timeupdate',{})); // FF required manual dispatch
-    setStorage('playback_timeindex',0,7);
-    // Reset canvas
-    renderer.resizeCanvas();
-    // Load file and optionally start playback
-    audio.src = filepath;
-    // We have to wait for load or we hit race conditions
-    await audio.load();
-    // Do we have a restorable time index for this file? ( we backed up the initial file/time at load )
-    if ( savedFile == filepath && savedTime && savedTime > 0 ) {
-        // We do!
-        //console.log("Restoring time index to ", savedTime);
-        audio.currentTime = savedTime;
-        await audio.dispatchEvent(new Event('timeupdate',{})); // FF required manual dispatch
+// Option values are 'builtin:<index>' or 'user:<index>'
+function getSelectedPreset() {
+    const [group, index] = document.getElementById('settings-preset').value.split(':');
+    if (group === 'builtin') return builtinPresets[index] || null;
+    if (group === 'user') return userPresets[index] || null;
+    return null;
+}
+
+function renderPresetOptions(selectedValue='') {
+    const presetSelect = document.getElementById('settings-preset');
+    presetSelect.innerHTML = '';
+
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'Choose a preset...';
+    presetSelect.appendChild(none);
+
+    [['Built-in', 'builtin', builtinPresets], ['Saved', 'user', userPresets]].forEach(([label, group, presets]) => {
+        if (presets.length === 0) return;
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = label;
+        presets.forEach((preset, index) => {
+            const option = document.createElement('option');
+            option.value = group + ':' + index;
+            option.textContent = preset.name;
+            optgroup.appendChild(option);
+        });
+        presetSelect.appendChild(optgroup);
+    });
+    presetSelect.value = selectedValue;
+    if (presetSelect.value !== selectedValue) {
+        presetSelect.value = '';
     }
-    if ( autoplay ) {
-        const playPromise = audio.play();
-        if (playPromise == undefined) {
-            return;
+}
+
+async function applyPreset(preset) {
+    if (!renderer) return;
+    try {
+        if (renderer.visualizerId !== preset.visualizer) {
+            await renderer.setVisualizer(preset.visualizer);
+            setStorage('visualizer', preset.visualizer, 7);
         }
-        await playPromise.then(() => {
-            console.log('Autoplay allowed and audio is playing.');
-        }).catch(error => {
-            // Ignore AbortError - this happens when play() is interrupted by pause() 
-            // during rapid track changes, which is expected behavior
-            if (error.name === 'AbortError') {
-                return;
-            }
-            // Log other autoplay prevention errors
-            console.log('Autoplay blocked:', error);
-            notyf.error('Autoplay blocked by browser. Please click play to start audio.');
-        });     
+        renderer.setVisualizerState(preset);
+        saveVisualizerState();
+        applyVisualSettings(preset.settings);
+    } catch (error) {
+        console.error('Error applying preset:', error);
+        notyf.error('Error applying preset: ' + error.message);
     }
+    document.getElementById('settings-visualizer').value = renderer.visualizerId;
+    renderVisualizerParams();
+    renderVisualSettings();
+    syncShaderEditor();
 }
 
-function setPlayerDefaultText() {
-    document.getElementById('player-title').innerHTML = 'Click the icon';
-    document.getElementById('player-artist').innerHTML = '<span style="font-size: .9em;">to open playlist</span>';
-    document.getElementById('player_runtime').innerHTML = secondsToTime(0);
-    document.getElementById('player_duration').innerHTML = secondsToTime(0);
-}
+function saveCurrentPreset() {
+    const nameInput = document.getElementById('settings-preset-name');
+    const name = nameInput.value.trim();
+    if (!renderer || !renderer.visualizer) return;
+    if (!name) {
+        notyf.error('Give the preset a name first.');
+        return;
+    }
 
-/* Playlist Management Functions */
+    const preset = createPreset(name, renderer.visualizerId, renderer.visualizerState, visualSettings);
+    // Saving under an existing name replaces it
+    let index = userPresets.findIndex((existing) => existing.name === name);
+    if (index >= 0) {
+        userPresets[index] = preset;
+    } else {
+        index = userPresets.push(preset) - 1;
+    }
+    saveUserPresets();
+    renderPresetOptions('user:' + index);
+    nameInput.value = '';
+    notyf.success('Saved preset "' + name + '"');
+}
 
-function scrollCurrentTrackIntoView(ignoreOpen=false) {
-    if ( currentTrackIndex < 0 ) {
-        // We don't have anything to scroll into view
+function deleteSelectedPreset() {
+    const presetSelect = document.getElementById('settings-preset');
+    const [group, index] = presetSelect.value.split(':');
+    if (group !== 'user') {
+        notyf.error('Only saved presets can be deleted.');
         return;
     }
-    if ( document.getElementById('playlist-content').classList.contains('open') || ignoreOpen ) {
-        const activeItem = document.querySelector('.playlist-item.active');
-        if (activeItem) {
-            activeItem.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        }
+    if (confirm('Delete preset "' + userPresets[index].name + '"?')) {
+        userPresets.splice(index, 1);
+        saveUserPresets();
+        renderPresetOptions();
     }
 }
 
-function togglePlaylist() {
-    const playlistWrapper = document.getElementById('playlist-content');
-    const playlistContainer = document.querySelector('.playlist-body');
-    const isOpening = !playlistWrapper.classList.contains('open');
+// Export the selected preset, or the current look if none is selected
+function exportPreset() {
+    let preset = getSelectedPreset();
+    if (!preset) {
+        if (!renderer || !renderer.visualizer) return;
+        const name = document.getElementById('settings-preset-name').value.trim() || 'Untitled';
+        preset = createPreset(name, renderer.visualizerId, renderer.visualizerState, visualSettings);
+    }
 
-    // Scroll active item into view when opening
-    if (isOpening && currentTrackIndex >= 0) {
-        scrollCurrentTrackIntoView(true);
+    downloadBlob(new Blob([serializePreset(preset)], { type: 'application/json' }), presetFilename(preset));
+}
+
+async function importPresets(files) {
+    let lastIndex = -1;
+    for (const file of files) {
+        try {
+            const preset = parsePreset(await file.text());
+            const index = userPresets.findIndex((existing) => existing.name === preset.name);
+            if (index >= 0) {
+                userPresets[index] = preset;
+                lastIndex = index;
+            } else {
+                lastIndex = userPresets.push(preset) - 1;
+            }
+        } catch (error) {
+            console.error('Error importing preset:', error);
+            notyf.error('Error importing ' + file.name + ': ' + error.message);
+        }
     }
+    if (lastIndex < 0) return;
 
-    playlistWrapper.classList.toggle('open');
+    saveUserPresets();
+    renderPresetOptions('user:' + lastIndex);
+    await applyPreset(userPresets[lastIndex]);
+    notyf.success('Imported ' + userPresets[lastIndex].name);
+}
+
+function setupPresetSettings() {
+    const presetSelect = document.getElementById('settings-preset');
+    const fileInput = document.getElementById('settings-preset-file');
 
+    loadUserPresets();
+    renderPresetOptions();
+
+    presetSelect.addEventListener('change', async (e) => {
+        const preset = getSelectedPreset();
+        if (preset) {
+            await applyPreset(preset);
+        }
+    });
+    document.getElementById('settings-preset-save').addEventListener('click', (e) => {
+        saveCurrentPreset();
+    });
+    document.getElementById('settings-preset-delete').addEventListener('click', (e) => {
+        deleteSelectedPreset();
+    });
+    document.getElementById('settings-preset-export').addEventListener('click', (e) => {
+        exportPreset();
+    });
+    document.getElementById('settings-preset-import').addEventListener('click', (e) => {
+        fileInput.click();
+    });
+    fileInput.addEventListener('change', async (e) => {
+        const input = e.currentTarget;
+        if ( input.files.length == 0 ) {
+            return;
+        }
+        await importPresets(Array.from(input.files));
+        // Reset the input so the same file can be imported again
+        input.value = '';
+    });
 }
 
-function recalculatePlaylistHeightOffset() {
-    const playlistWrapper = document.getElementById('playlist-wrapper');
-    const playlistContent = document.getElementById('playlist-content');
-    playlistContent.style.top = playlistWrapper.offsetHeight + 'px';
+function setupNowPlayingSettings() {
+    const enabledInput = document.getElementById('settings-nowplaying-enabled');
+    const positionSelect = document.getElementById('settings-nowplaying-position');
+    const durationInput = document.getElementById('settings-nowplaying-duration');
+    const fontInput = document.getElementById('settings-nowplaying-font');
+    const meltInput = document.getElementById('settings-nowplaying-melt');
+
+    positionSelect.innerHTML = '';
+    NOW_PLAYING_POSITIONS.forEach((position) => {
+        const option = document.createElement('option');
+        option.value = position;
+        option.textContent = position.replace('-', ' ');
+        positionSelect.appendChild(option);
+    });
+
+    if (!renderer) return;
+
+    // Restore saved options, ignoring anything that no longer parses
+    let saved = null;
+    try {
+        saved = JSON.parse(getStorage('now_playing'));
+    } catch (error) {
+        console.log('Ignoring saved now playing options', error);
+    }
+    if (saved) {
+        try {
+            renderer.configureNowPlaying(saved);
+        } catch (error) {
+            console.log('Ignoring saved now playing options', error);
+        }
+    }
+
+    const options = renderer.nowPlaying.options;
+    enabledInput.checked = options.enabled;
+    positionSelect.value = options.position;
+    durationInput.value = options.duration;
+    fontInput.value = options.font;
+    meltInput.checked = options.melt;
+
+    const applyNowPlayingSettings = () => {
+        const duration = parseFloat(durationInput.value);
+        renderer.configureNowPlaying({
+            enabled: enabledInput.checked,
+            position: positionSelect.value,
+            duration: isNaN(duration) ? options.duration : duration,
+            font: fontInput.value || 'sans-serif',
+            melt: meltInput.checked
+        });
+        setStorage('now_playing', JSON.stringify(renderer.nowPlaying.options), 7);
+        popout.send('nowPlayingOptions', renderer.nowPlaying.options);
+    };
+    [enabledInput, positionSelect, durationInput, fontInput, meltInput].forEach((input) => {
+        input.addEventListener('change', applyNowPlayingSettings);
+    });
 }
 
 function updatePlaylistUI() {
@@ -395,15 +2279,20 @@ function hidePlaylistLoading() {
 async function addTracksToPlaylist(files) {
     let loadingTextElement = document.getElementById('playlist-loading-text');
     let currentFileCount = 0;
+
+    // cover.jpg/folder.jpg picked alongside the tracks are used for tracks without embedded art
+    const coverFiles = folderArt(files);
+    const audioFiles = files.filter((file) => !isArtFile(file));
         
-    for (const file of files) {
+    for (const file of audioFiles) {
         currentFileCount++;
-        loadingTextElement.innerHTML = `Processing file ${currentFileCount} of ${files.length}<br/><span class="loading-filename">${file.name}</span>`;
+        loadingTextElement.innerHTML = `Processing file ${currentFileCount} of ${audioFiles.length}<br/><span class="loading-filename">${file.name}</span>`;
         // Default fallback to filename
         let title = file.name.replace(/\.[^.]+$/, '');
         let artist = null;
         let album = null;
         let duration = 0;
+        let art = null;
         
         // Try to extract metadata
         try {
@@ -418,10 +2307,14 @@ async function addTracksToPlaylist(files) {
             if ( metadata && metadata.format ) {
                 duration = metadata.format.duration;
             }
+            art = embeddedArt(metadata);
         } catch (error) {
             // Metadata extraction failed, use filename
             console.log('Could not extract metadata for', file.name, error);
         }
+        if ( !art ) {
+            art = artForFile(file, coverFiles);
+        }
         
         const track = {
             title: title,
@@ -429,6 +2322,8 @@ async function addTracksToPlaylist(files) {
             album: album,
             file: file,
             url: URL.createObjectURL(file),
+            art: art,
+            artUrl: art ? URL.createObjectURL(art) : null,
             duration: secondsToTime(duration)
         };
         playlist.push(track);
@@ -478,6 +2373,9 @@ async function removeTrack(index) {
     if (playlist[index].url) {
         URL.revokeObjectURL(playlist[index].url);
     }
+    if (playlist[index].artUrl) {
+        URL.revokeObjectURL(playlist[index].artUrl);
+    }
 
     // Remove the requested track index
     playlist.splice(index, 1);
@@ -508,6 +2406,9 @@ function clearPlaylist() {
             if (track.url) {
                 URL.revokeObjectURL(track.url);
             }
+            if (track.artUrl) {
+                URL.revokeObjectURL(track.artUrl);
+            }
         });
         playlist = [];
         currentTrackIndex = -1;
@@ -536,11 +2437,18 @@ async function playTrack(index,autoplay=true) {
         navigator.mediaSession.metadata = new MediaMetadata({
             title: track.title || 'Unknown Track',
             artist: track.artist || 'Unknown Artist',
-            album: track.album || 'Unknown Album'
+            album: track.album || 'Unknown Album',
+            artwork: track.artUrl ? [{ src: track.artUrl, type: track.art.type }] : []
         });
     }
+    showTrackArt(track);
     
     await changeAudioFile(track.url,autoplay);
+    // Announce the track on the visualization itself ( the DOM text may be hidden )
+    if (renderer) {
+        renderer.showNowPlaying(track);
+    }
+    popout.send('track', popoutTrack(track));
     updatePlaylistUI();
     scrollCurrentTrackIntoView();
 }
@@ -673,7 +2581,10 @@ function handleDragEnd(e) {
 async function appSetup() {
     // Perform Setup
     setupStatsOverlay();
-    await setupWebGPURenderer();
+    restoreVisualSettings();
+    restoreAnalysisSettings();
+    restoreQualitySettings();
+    await setupRenderer();
     setPlayerDefaultText();
 
     audio = document.getElementById('audio_player');
@@ -716,13 +2627,30 @@ async function appSetup() {
         if ( ! context ) {
             setupAudioPlayerAndAnalyser();
         }
+        // Playing the playlist takes over from a live input
+        if (isLive()) {
+            stopLiveInput(false);
+        }
+        if (recorder) {
+            recorder.resume();
+        }
         setStorage('playback_state','playing',0);
         document.getElementById('controls_play').style.display = 'none';
         document.getElementById('controls_pause').style.display = 'inherit';
-        // Start our visualization loop again ( it will stop on pause automatically )
-        window.requestAnimationFrame(frameLooper);
+        // Start our visualization loop again ( it will stop on pause automatically ), the pause
+        // doesn't count as elapsed time
+        frameClock.reset();
+        stopIdle();
+        updateWakeLock();
+        startFrameLoop();
     });
     audio.addEventListener('pause', (e) => {
+        // A live input carries on being recorded
+        if (recorder && !isLive()) {
+            recorder.pause();
+        }
+        scheduleIdle();
+        updateWakeLock();
         setStorage('playback_state','paused',0);
         document.getElementById('controls_play').style.display = 'inherit';
         document.getElementById('controls_pause').style.display = 'none';
@@ -805,14 +2733,25 @@ async function appSetup() {
         clearPlaylist();
     });
     
-    // Close playlist when clicking on canvas
+    // Close the panels when clicking on canvas
     document.getElementById('canvas').addEventListener('click', (e) => {
         const playlistWrapper = document.getElementById('playlist-content');
         if (playlistWrapper.classList.contains('open')) {
             togglePlaylist();
         }
+        const settingsWrapper = document.getElementById('settings-content');
+        if (settingsWrapper.classList.contains('open')) {
+            toggleSettings();
+        }
+        const shaderWrapper = document.getElementById('shader-content');
+        if (shaderWrapper.classList.contains('open')) {
+            toggleShaderEditor();
+        }
     });
 
+    // Settings panel
+    setupSettingsUI();
+
     // Player Controls
     document.querySelector('.prev').addEventListener('click', (e) => {
         playPrevious();
@@ -853,6 +2792,8 @@ async function appSetup() {
         const hideBack = document.getElementById('hide-back');
         const hideForward = document.getElementById('hide-forward');
         const playlistWrapper = document.getElementById('playlist-content');        
+        const settingsWrapper = document.getElementById('settings-content');
+        const shaderWrapper = document.getElementById('shader-content');
         
         if (wrapper.classList.contains('hidden')) {
             // We are unhiding the player
@@ -861,9 +2802,11 @@ async function appSetup() {
             hideForward.style.display = 'none';
         } else {
             // We are hiding the player
-                // If playlist is open, close it first and wait
-            if( playlistWrapper.classList.contains('open') ) {
+                // If playlist or settings are open, close them first and wait
+            if( playlistWrapper.classList.contains('open') || settingsWrapper.classList.contains('open') || shaderWrapper.classList.contains('open') ) {
                 playlistWrapper.classList.remove('open');
+                settingsWrapper.classList.remove('open');
+                shaderWrapper.classList.remove('open');
                 // Wait for playlist to "disappear" before hiding
                 setTimeout(() => {
                     wrapper.classList.toggle('hidden');
@@ -926,14 +2869,6 @@ async function appSetup() {
         }
     });
 
-    // Setup some cpu based timers for the visualization
-    setInterval( () => {
-        clearFrame = 1;
-    }, 100);
-    setInterval( () => {
-        updateWaveform = 1;
-    }, 50);
-
     // Baseline our playlistUI
     updatePlaylistUI();
 
@@ -971,6 +2906,9 @@ async function appSetup() {
         };
         repeatBtn.title = titles[repeatMode];
     }
+
+    // Nothing playing yet ( or a paused restore ), the idle animation takes over after its delay
+    scheduleIdle();
 }
 
 window.addEventListener("load", async () => {
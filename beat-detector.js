@@ -0,0 +1,201 @@
+// Beat Detector Module
+// Onset and beat detection from the frequency data. Each band's spectral flux ( how much
+// louder its bins got since the last frame ) is compared against an adaptive threshold, the
+// mean plus a few deviations of the band's recent flux, so quiet and loud passages both work.
+// Bass onsets count as beats and the tempo comes from the spacing between them. Runs every
+// frame on its own unsmoothed analyser rather than the 50ms waveform tick.
+
+export const BEAT_BANDS = [
+    { name: 'bass', min: 20, max: 150 },   // Hz
+    { name: 'mid', min: 150, max: 2000 },
+    { name: 'high', min: 2000, max: 16000 }
+];
+
+const FLUX_WINDOW = 1.5; // seconds of flux the threshold is worked out from
+const MIN_HISTORY = 10; // frames of flux needed before anything counts as an onset
+const ONSET_GAP = 0.1; // seconds, minimum spacing between onsets in one band
+const ENERGY_RELEASE = 0.25; // per second, how fast the energy reference forgets loud passages
+const PULSE_DECAY = 6; // per second, how fast the pulse falls back after a beat
+const TEMPO_WINDOW = 8; // seconds of beats the tempo is estimated from
+const MIN_BPM = 70;
+const MAX_BPM = 180; // tempos are folded into MIN_BPM..MAX_BPM
+const MAX_GAP = 0.5; // seconds between updates before we assume a pause/seek and start over
+
+// Deviations above the mean flux an onset needs, sensitivity is 0 ( only big hits ) to 1 ( everything )
+export function sensitivityThreshold(sensitivity) {
+    return 3.5 - 3 * Math.min(Math.max(sensitivity, 0), 1);
+}
+
+// Strongest spacing between recent beats, in BPM folded into MIN_BPM..MAX_BPM, with how much of the
+// evidence agreed with it ( 0-1 )
+function estimateTempo(beatTimes) {
+    const histogram = new Float32Array(MAX_BPM - MIN_BPM);
+    let total = 0;
+    for (let i = 0; i < beatTimes.length; i++) {
+        // Close pairs say more about the tempo than far apart ones
+        for (let j = i + 1; j < beatTimes.length && j <= i + 4; j++) {
+            const interval = beatTimes[j] - beatTimes[i];
+            if (interval <= 0) continue;
+            let bpm = 60 / interval;
+            while (bpm < MIN_BPM) bpm *= 2;
+            while (bpm >= MAX_BPM) bpm /= 2;
+            const weight = 1 / (j - i);
+            const bin = Math.floor(bpm) - MIN_BPM;
+            histogram[bin] += weight;
+            if (bin > 0) histogram[bin - 1] += weight * 0.5;
+            if (bin < histogram.length - 1) histogram[bin + 1] += weight * 0.5;
+            total += weight;
+        }
+    }
+    if (total === 0) return { tempo: 0, confidence: 0 };
+
+    let best = 0;
+    for (let bin = 1; bin < histogram.length; bin++) {
+        if (histogram[bin] > histogram[best]) best = bin;
+    }
+    // Centre of the peak from its neighbours
+    const below = best > 0 ? histogram[best - 1] : 0;
+    const above = best < histogram.length - 1 ? histogram[best + 1] : 0;
+    const offset = (above - below) / (below + histogram[best] + above);
+    return {
+        tempo: MIN_BPM + best + 0.5 + offset,
+        confidence: Math.min(histogram[best] / (total * 2), 1) // each pair spreads 2x its weight
+    };
+}
+
+export class BeatDetector {
+    constructor() {
+        // 0-1, see sensitivityThreshold
+        this.sensitivity = 0.5;
+        this.reset();
+    }
+
+    // Forget everything, the next update starts fresh ( new track, seek )
+    reset() {
+        this.magnitudes = null;
+        this.previous = null;
+        this.lastTime = null;
+        this.bands = BEAT_BANDS.map((band) => ({
+            name: band.name,
+            min: band.min,
+            max: band.max,
+            history: [],          // { time, flux }
+            flux: 0,
+            threshold: 0,
+            energy: 0,            // 0-1 against the recent loudest
+            reference: 0,         // recent loudest, falls off by ENERGY_RELEASE
+            onset: false,
+            lastOnset: -Infinity
+        }));
+        this.beatTimes = [];
+        this.lastBeat = -Infinity;
+        this.tempo = 0;
+        this.confidence = 0;
+        this.pulse = 0;
+        this.state = null;
+    }
+
+    // Feed one frame of getFloatFrequencyData ( dB ), returns the frame's rhythm:
+    // { beat, onsets: { band: bool }, energy: { band: 0-1 }, pulse, tempo, confidence, phase }
+    update(frequencyData, sampleRate, time) {
+        if (this.lastTime !== null && (time < this.lastTime || time - this.lastTime > MAX_GAP)) {
+            this.reset();
+        }
+        const deltaSeconds = this.lastTime === null ? 0 : time - this.lastTime;
+        this.lastTime = time;
+
+        const length = frequencyData.length;
+        if (!this.magnitudes || this.magnitudes.length !== length) {
+            this.magnitudes = new Float32Array(length);
+            this.previous = null;
+        }
+        for (let i = 0; i < length; i++) {
+            // -Infinity ( silence ) comes out as 0
+            this.magnitudes[i] = Math.pow(10, frequencyData[i] / 20);
+        }
+
+        const k = sensitivityThreshold(this.sensitivity);
+        const binHz = sampleRate / 2 / length;
+        const release = Math.exp(-ENERGY_RELEASE * deltaSeconds);
+        for (const band of this.bands) {
+            const start = Math.max(Math.floor(band.min / binHz), 0);
+            const end = Math.min(Math.ceil(band.max / binHz), length);
+            const count = Math.max(end - start, 1);
+
+            let flux = 0;
+            let power = 0;
+            for (let i = start; i < end; i++) {
+                const magnitude = this.magnitudes[i];
+                if (this.previous) {
+                    flux += Math.max(magnitude - this.previous[i], 0);
+                }
+                power += magnitude * magnitude;
+            }
+            band.flux = flux / count;
+
+            const level = Math.sqrt(power / count);
+            band.reference = Math.max(level, band.reference * release);
+            band.energy = band.reference > 0 ? level / band.reference : 0;
+
+            // Adaptive threshold from the recent flux ( before this frame joins it )
+            const history = band.history;
+            while (history.length && time - history[0].time > FLUX_WINDOW) {
+                history.shift();
+            }
+            let mean = 0;
+            for (const entry of history) mean += entry.flux;
+            mean /= Math.max(history.length, 1);
+            let variance = 0;
+            for (const entry of history) variance += (entry.flux - mean) * (entry.flux - mean);
+            const deviation = Math.sqrt(variance / Math.max(history.length, 1));
+            band.threshold = mean + k * deviation;
+
+            band.onset = history.length >= MIN_HISTORY &&
+                band.flux > band.threshold &&
+                band.flux > 1e-5 &&
+                time - band.lastOnset >= ONSET_GAP;
+            if (band.onset) {
+                band.lastOnset = time;
+            }
+            history.push({ time: time, flux: band.flux });
+        }
+
+        if (!this.previous) {
+            this.previous = new Float32Array(length);
+        }
+        this.previous.set(this.magnitudes);
+
+        // Beats are bass onsets
+        const beat = this.bands[0].onset;
+        this.pulse *= Math.exp(-PULSE_DECAY * deltaSeconds);
+        if (beat) {
+            this.pulse = 1;
+            this.lastBeat = time;
+            this.beatTimes.push(time);
+            while (this.beatTimes.length && time - this.beatTimes[0] > TEMPO_WINDOW) {
+                this.beatTimes.shift();
+            }
+            const estimate = estimateTempo(this.beatTimes);
+            this.tempo = estimate.tempo;
+            this.confidence = estimate.confidence;
+        }
+
+        const onsets = {};
+        const energy = {};
+        for (const band of this.bands) {
+            onsets[band.name] = band.onset;
+            energy[band.name] = band.energy;
+        }
+        this.state = {
+            beat: beat,
+            onsets: onsets,
+            energy: energy,
+            pulse: this.pulse,
+            tempo: this.tempo,
+            confidence: this.confidence,
+            // 0-1 through the current beat going by the tempo, 0 without one
+            phase: this.tempo > 0 && this.lastBeat > -Infinity ? ((time - this.lastBeat) * this.tempo / 60) % 1 : 0
+        };
+        return this.state;
+    }
+}
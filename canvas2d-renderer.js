@@ -0,0 +1,445 @@
+// Canvas 2D Renderer Module
+// Fallback for browsers/machines without WebGPU. Implements the same contract as
+// WebGPURenderer ( initialize/resizeCanvas/renderFrame, visualizer switching, layers
+// and the now playing overlay ) with plain 2D canvases so there's always something to watch.
+
+import { getVisualizer, defaultVisualizerId } from './visualizers/index.js';
+import { frameBufferLength } from './visualizers/visualizer.js';
+import { BLEND_MODES, CLEAR_POLICIES } from './compositor.js';
+import {
+    NOW_PLAYING_POSITIONS,
+    defaultNowPlayingOptions,
+    drawNowPlayingText,
+    nowPlayingEnvelope,
+    meltOpacity
+} from './now-playing-overlay.js';
+import { drawAlbumArt } from './album-art.js';
+
+// Layer blend modes to 2D composite operations
+const COMPOSITE_OPERATIONS = {
+    alpha: 'source-over',
+    additive: 'lighter',
+    multiply: 'multiply',
+    screen: 'screen'
+};
+
+function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+class Canvas2DNowPlaying {
+    constructor() {
+        this.textCanvas = null;
+        this.options = { ...defaultNowPlayingOptions };
+        this.track = null;
+        this.shownAt = null; // frame time, see NowPlayingOverlay
+        this.startPending = false;
+        this.width = 0;
+        this.height = 0;
+    }
+
+    configure(options) {
+        if (options.position !== undefined && !NOW_PLAYING_POSITIONS.includes(options.position)) {
+            throw new Error(`Unknown now playing position "${options.position}".`);
+        }
+        this.options = { ...this.options, ...options };
+        this.rasterize();
+    }
+
+    show(track) {
+        this.track = track;
+        this.shownAt = null;
+        this.startPending = true;
+        this.rasterize();
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.textCanvas = createCanvas(width, height);
+        this.rasterize();
+    }
+
+    rasterize() {
+        if (!this.textCanvas || !this.track) return;
+        drawNowPlayingText(this.textCanvas.getContext('2d'), this.width, this.height, this.track, this.options);
+    }
+
+    drawText(layer, opacity) {
+        layer.ctx.globalCompositeOperation = 'source-over';
+        layer.ctx.globalAlpha = opacity;
+        layer.ctx.drawImage(this.textCanvas, 0, 0, layer.width, layer.height);
+        layer.ctx.globalAlpha = 1;
+    }
+
+    render(layers, time, deltaTime) {
+        if (this.startPending) {
+            this.shownAt = time;
+            this.startPending = false;
+        }
+        if (!this.options.enabled || this.shownAt === null || !this.textCanvas) return;
+
+        const envelope = nowPlayingEnvelope(time - this.shownAt, this.options.duration);
+        if (!envelope) {
+            this.shownAt = null;
+            return;
+        }
+
+        this.drawText(layers.overlay, envelope.opacity);
+        if (this.options.melt && envelope.fadingOut) {
+            this.drawText(layers.action, meltOpacity(envelope.opacity, deltaTime));
+        }
+    }
+}
+
+export class Canvas2DRenderer {
+    constructor() {
+        // Canvas context
+        this.ctx = null;
+
+        // Layer stack ( background, action, overlay ) bottom to top
+        this.layers = [];
+
+        // Track announcement drawn over the visualizer
+        this.nowPlaying = null;
+
+        // Current track's cover art ( ImageBitmap ) and how strongly it shows in the background layer
+        this.albumArt = null;
+        this.albumArtOpacity = 0;
+
+        // Active visualizer module
+        this.visualizer = null;
+        this.visualizerId = null;
+
+        // Config
+        this.backend = 'canvas2d';
+        this.sampleCount = 1; // No MSAA, 2D paths are antialiased already
+        this.nativeScaleFactor = 1; // Everything is on the CPU, so don't oversample
+        this.scaleFactor = this.nativeScaleFactor; // what's in use, quality levels scale it ( see setQuality )
+        this.bufferLength = null;
+    }
+
+    async initialize(canvas,bufferLength=512,visualizerId=defaultVisualizerId) {
+        this.canvas = canvas;
+        this.bufferLength = bufferLength;
+
+        this.ctx = canvas.getContext('2d');
+        if (!this.ctx) {
+            throw new Error("Canvas 2D not available on this canvas.");
+        }
+
+        // Same stack as the WebGPU compositor
+        this.addLayer('background', {
+            scale: 0.5,
+            clear: 'clear',
+            blend: 'alpha',
+            clearColor: { r: 0, g: 0, b: 0, a: 1 }
+        });
+        this.addLayer('action', {
+            scale: 1,
+            clear: 'persist',
+            blend: 'screen'
+        });
+        this.addLayer('overlay', {
+            scale: 1,
+            clear: 'clear',
+            blend: 'alpha'
+        });
+
+        this.nowPlaying = new Canvas2DNowPlaying();
+
+        // Fall back to the default if a stale id was handed to us
+        await this.setVisualizer(getVisualizer(visualizerId, this.backend) ? visualizerId : defaultVisualizerId);
+    }
+
+    // Visualizers use this for their own scratch canvases
+    createCanvas(width, height) {
+        return createCanvas(width, height);
+    }
+
+    // Swap the active visualizer
+    async setVisualizer(id) {
+        const VisualizerClass = getVisualizer(id, this.backend);
+        if (!VisualizerClass) {
+            throw new Error(`Unknown visualizer "${id}".`);
+        }
+
+        const visualizer = new VisualizerClass(this);
+        await visualizer.init();
+        const action = this.getLayer('action');
+        if (action.canvas) {
+            visualizer.resize(action.width, action.height);
+        }
+
+        if (this.visualizer) {
+            this.visualizer.dispose();
+        }
+        this.visualizer = visualizer;
+        this.visualizerId = id;
+
+        // Don't let the old visualizer's last frame linger
+        if (action.canvas) {
+            this.clearOutput();
+        }
+    }
+
+    // Adjust the active visualizer's params ( see Visualizer.params )
+    setVisualizerParams(values) {
+        if (this.visualizer) {
+            this.visualizer.setParams(values);
+        }
+    }
+
+    // Snapshot of the active visualizer's params and animations ( see Visualizer.getState )
+    get visualizerState() {
+        return this.visualizer ? this.visualizer.getState() : { params: {}, animations: {} };
+    }
+
+    // Replace the active visualizer's params and animations, missing params reset to defaults
+    setVisualizerState(state) {
+        if (this.visualizer) {
+            this.visualizer.setState(state);
+        }
+    }
+
+    // Oscillate one of the active visualizer's numeric params ( see Visualizer.animateParam )
+    animateVisualizerParam(name, animation) {
+        if (this.visualizer) {
+            this.visualizer.animateParam(name, animation);
+        }
+    }
+
+    // Live shader editing, hands new source to the active visualizer's compile()
+    async compileVisualizerShader(code) {
+        if (!this.visualizer) {
+            throw new Error("No active visualizer.");
+        }
+        return this.visualizer.compile(code);
+    }
+
+    // Which analysis inputs the frame loop has to collect for the active visualizer
+    get inputs() {
+        return this.visualizer ? this.visualizer.constructor.inputs : [];
+    }
+
+    addLayer(name, options) {
+        this.layers.push({
+            name: name,
+            scale: 1,
+            clear: 'clear',
+            blend: 'alpha',
+            opacity: 1,
+            clearColor: { r: 0, g: 0, b: 0, a: 0 },
+            enabled: true,
+            canvas: null,
+            ctx: null,
+            width: 0,
+            height: 0
+        });
+        this.configureLayer(name, options);
+    }
+
+    getLayer(name) {
+        return this.layers.find((layer) => layer.name === name) || null;
+    }
+
+    // Change a layer's resolution, clear policy, blend mode, opacity, colour or visibility
+    configureLayer(name, options) {
+        const layer = this.getLayer(name);
+        if (!layer) {
+            throw new Error(`Unknown layer "${name}".`);
+        }
+        if (options.blend !== undefined && !BLEND_MODES.includes(options.blend)) {
+            throw new Error(`Unknown blend mode "${options.blend}".`);
+        }
+        if (options.clear !== undefined && !CLEAR_POLICIES.includes(options.clear)) {
+            throw new Error(`Unknown clear policy "${options.clear}".`);
+        }
+
+        const scaleChanged = options.scale !== undefined && options.scale !== layer.scale;
+        for (const key of ['scale', 'clear', 'blend', 'opacity', 'clearColor', 'enabled']) {
+            if (options[key] !== undefined) {
+                layer[key] = options[key];
+            }
+        }
+
+        if (scaleChanged && layer.canvas) {
+            this.allocateLayer(layer);
+            if (name === 'action' && this.visualizer) {
+                this.visualizer.resize(layer.width, layer.height);
+            }
+            if (name === 'overlay') {
+                this.nowPlaying.resize(layer.width, layer.height);
+            }
+        }
+        return layer;
+    }
+
+    allocateLayer(layer) {
+        layer.width = Math.max(1, Math.round(this.canvas.width * layer.scale));
+        layer.height = Math.max(1, Math.round(this.canvas.height * layer.scale));
+        layer.canvas = createCanvas(layer.width, layer.height);
+        layer.ctx = layer.canvas.getContext('2d');
+    }
+
+    clearLayer(layer) {
+        const { r, g, b, a } = layer.clearColor;
+        layer.ctx.globalCompositeOperation = 'source-over';
+        layer.ctx.globalAlpha = 1;
+        layer.ctx.clearRect(0, 0, layer.width, layer.height);
+        if (a > 0) {
+            layer.ctx.fillStyle = `rgba(${r * 255}, ${g * 255}, ${b * 255}, ${a})`;
+            layer.ctx.fillRect(0, 0, layer.width, layer.height);
+        }
+    }
+
+    // Name -> layer lookup handed to visualizers each frame
+    get layerMap() {
+        const map = {};
+        for (const layer of this.layers) {
+            map[layer.name] = layer;
+        }
+        return map;
+    }
+
+    // Apply a quality level ( see quality.js ), only the canvas and action layer scales mean anything here
+    async setQuality(level) {
+        this.scaleFactor = this.nativeScaleFactor * level.renderScale;
+        // Set straight on the layer, resizeCanvas reallocates every layer anyway
+        this.getLayer('action').scale = level.actionScale;
+        this.resizeCanvas();
+    }
+
+    // Change the analysis window size. The visualizer resizes whatever it sized by it and keeps its
+    // trails and history, frames analysed at the old size are dropped from here on
+    async setBufferLength(length) {
+        if (length === this.bufferLength) return;
+        this.bufferLength = length;
+        if (this.visualizer) {
+            this.visualizer.bufferLengthChanged();
+        }
+    }
+
+    // Announce a track ( { title, artist, album } ) over the visualization
+    showNowPlaying(track) {
+        this.nowPlaying.show(track);
+    }
+
+    // Change the announcement's font, position, duration, melt or enabled options
+    configureNowPlaying(options) {
+        this.nowPlaying.configure(options);
+    }
+
+    // Show an ImageBitmap as the current cover art ( null when the track has none )
+    setAlbumArt(bitmap) {
+        this.albumArt = bitmap;
+    }
+
+    // How strongly the cover art shows in the background layer, 0 ( off ) to 1
+    configureAlbumArt(options) {
+        if (options.opacity !== undefined) {
+            this.albumArtOpacity = options.opacity;
+        }
+    }
+
+    // Pass a width and height to render at an exact size ( offline renders ), otherwise it follows the page
+    resizeCanvas(width=null, height=null) {
+        if (width && height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        } else {
+            this.canvas.width = this.canvas.clientWidth * this.scaleFactor;
+            this.canvas.height = this.canvas.clientHeight * this.scaleFactor;
+        }
+
+        for (const layer of this.layers) {
+            this.allocateLayer(layer);
+        }
+
+        if (this.visualizer) {
+            const action = this.getLayer('action');
+            this.visualizer.resize(action.width, action.height);
+        }
+
+        const overlay = this.getLayer('overlay');
+        this.nowPlaying.resize(overlay.width, overlay.height);
+
+        this.clearOutput();
+    }
+
+    clearOutput() {
+        // Clear every layer and the canvas
+        for (const layer of this.layers) {
+            this.clearLayer(layer);
+        }
+        this.ctx.globalCompositeOperation = 'source-over';
+        this.ctx.globalAlpha = 1;
+        this.ctx.fillStyle = '#000';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    renderFrame(params) {
+        if (!this.visualizer) return;
+        // Not for frames analysed at another size ( a pop out catching up )
+        const length = frameBufferLength(params);
+        if (length !== null && length !== this.bufferLength) return;
+
+        // The palette's background colour fills the background layer
+        if (params.palette) {
+            const { r, g, b } = params.palette.background;
+            this.getLayer('background').clearColor = { r: r / 255, g: g / 255, b: b / 255, a: 1 };
+        }
+
+        // Wipe the layers that don't persist
+        for (const layer of this.layers) {
+            if (layer.enabled && layer.clear === 'clear') {
+                this.clearLayer(layer);
+            }
+        }
+
+        // Cover art over the background colour
+        const layers = this.layerMap;
+        if (this.albumArt && this.albumArtOpacity > 0 && layers.background.enabled) {
+            drawAlbumArt(layers.background.ctx, this.albumArt, layers.background.width, layers.background.height, this.albumArtOpacity);
+        }
+
+        // Let the active visualizer draw into the action layer ( it can reach the others too )
+        this.visualizer.render(layers.action.ctx, {
+            ...params,
+            target: layers.action.canvas,
+            layers: layers,
+            albumArt: this.albumArt
+        });
+
+        // Track announcement on top ( and melting into the action layer if enabled )
+        this.nowPlaying.render(layers, params.time, params.deltaTime || 0);
+
+        // Merge the layers onto the canvas
+        this.ctx.globalCompositeOperation = 'source-over';
+        this.ctx.globalAlpha = 1;
+        this.ctx.fillStyle = '#000';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        for (const layer of this.layers) {
+            if (!layer.enabled || layer.opacity <= 0) {
+                continue;
+            }
+            this.ctx.globalCompositeOperation = COMPOSITE_OPERATIONS[layer.blend];
+            this.ctx.globalAlpha = layer.opacity;
+            this.ctx.drawImage(layer.canvas, 0, 0, this.canvas.width, this.canvas.height);
+        }
+        this.ctx.globalCompositeOperation = 'source-over';
+        this.ctx.globalAlpha = 1;
+    }
+
+    // The last frame as { width, height, data ( rgba bytes ) }, same as WebGPURenderer.readFrame
+    async readFrame() {
+        const image = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+        return { width: image.width, height: image.height, data: image.data };
+    }
+}
@@ -0,0 +1,297 @@
+// Layer Compositor Module
+// Owns an ordered stack of named layer textures and merges them onto the canvas in a
+// single render pass. Each layer has its own resolution, clear policy and blend mode.
+// Views and bind groups are made when a layer's texture is, so compositing allocates nothing.
+
+export const BLEND_MODES = ['alpha', 'additive', 'multiply', 'screen'];
+export const CLEAR_POLICIES = ['clear', 'persist'];
+
+// Fixed function blend state for each mode, the shader prepares the source colour
+// to match ( premultiplied for alpha/additive/screen, lerped towards white for multiply )
+const BLEND_STATES = {
+    alpha: {
+        color: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' },
+        alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
+    },
+    additive: {
+        color: { srcFactor: 'one', dstFactor: 'one', operation: 'add' },
+        alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
+    },
+    multiply: {
+        color: { srcFactor: 'dst', dstFactor: 'zero', operation: 'add' },
+        alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
+    },
+    screen: {
+        color: { srcFactor: 'one', dstFactor: 'one-minus-src', operation: 'add' },
+        alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
+    }
+};
+
+const compositeShader = `
+    struct VertexOutput {
+        @builtin(position) position: vec4<f32>,
+        @location(0) texCoord: vec2<f32>,
+    }
+
+    struct LayerUniforms {
+        opacity: f32,
+        mode: u32,
+    }
+
+    @group(0) @binding(0) var layerTexture: texture_2d<f32>;
+    @group(0) @binding(1) var layerSampler: sampler;
+    @group(0) @binding(2) var<uniform> layer: LayerUniforms;
+
+    @vertex
+    fn vertMain(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
+        var pos = array<vec2<f32>, 6>(
+            vec2<f32>(-1.0, -1.0),
+            vec2<f32>(1.0, -1.0),
+            vec2<f32>(-1.0, 1.0),
+            vec2<f32>(-1.0, 1.0),
+            vec2<f32>(1.0, -1.0),
+            vec2<f32>(1.0, 1.0)
+        );
+        var texCoord = array<vec2<f32>, 6>(
+            vec2<f32>(0.0, 1.0),
+            vec2<f32>(1.0, 1.0),
+            vec2<f32>(0.0, 0.0),
+            vec2<f32>(0.0, 0.0),
+            vec2<f32>(1.0, 1.0),
+            vec2<f32>(1.0, 0.0)
+        );
+        var output: VertexOutput;
+        output.position = vec4<f32>(pos[vertexIndex], 0.0, 1.0);
+        output.texCoord = texCoord[vertexIndex];
+        return output;
+    }
+
+    @fragment
+    fn fragMain(input: VertexOutput) -> @location(0) vec4<f32> {
+        let color = textureSample(layerTexture, layerSampler, input.texCoord);
+        let alpha = color.a * layer.opacity;
+        // multiply
+        if (layer.mode == 2u) {
+            return vec4<f32>(mix(vec3<f32>(1.0), color.rgb, alpha), alpha);
+        }
+        // alpha, additive and screen all take premultiplied colour
+        return vec4<f32>(color.rgb * alpha, alpha);
+    }
+`;
+
+export class Compositor {
+    // uniforms is the renderer's UniformArena, each layer's opacity and mode live in a slot of it
+    constructor(device, format, uniforms) {
+        this.device = device;
+        this.format = format;
+        this.uniforms = uniforms;
+
+        // Pipelines, one per blend mode, sharing a layout so a layer's bind group works with any of them
+        this.pipelines = {};
+        this.bindGroupLayout = null;
+        this.sampler = null;
+
+        // Ordered bottom to top
+        this.layers = [];
+
+        // Canvas size the layer scales are relative to
+        this.width = 0;
+        this.height = 0;
+    }
+
+    async init() {
+        const module = this.device.createShaderModule({ code: compositeShader });
+        this.bindGroupLayout = this.device.createBindGroupLayout({
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.FRAGMENT, texture: {} },
+                { binding: 1, visibility: GPUShaderStage.FRAGMENT, sampler: {} },
+                { binding: 2, visibility: GPUShaderStage.FRAGMENT, buffer: {} }
+            ]
+        });
+        const layout = this.device.createPipelineLayout({ bindGroupLayouts: [this.bindGroupLayout] });
+        for (const mode of BLEND_MODES) {
+            this.pipelines[mode] = this.device.createRenderPipeline({
+                layout: layout,
+                vertex: {
+                    module: module,
+                    entryPoint: 'vertMain'
+                },
+                fragment: {
+                    module: module,
+                    entryPoint: 'fragMain',
+                    targets: [{
+                        format: this.format,
+                        blend: BLEND_STATES[mode]
+                    }]
+                },
+                primitive: {
+                    topology: 'triangle-list'
+                }
+            });
+        }
+
+        // Linear so layers at a different resolution to the canvas scale smoothly
+        this.sampler = this.device.createSampler({
+            magFilter: 'linear',
+            minFilter: 'linear'
+        });
+    }
+
+    // Append a layer on top of the stack
+    addLayer(name, options={}) {
+        if (this.getLayer(name)) {
+            throw new Error(`Layer "${name}" already exists.`);
+        }
+        const layer = {
+            name: name,
+            scale: 1,
+            clear: 'clear',
+            blend: 'alpha',
+            opacity: 1,
+            clearColor: { r: 0, g: 0, b: 0, a: 0 },
+            enabled: true,
+            texture: null,
+            view: null, // render into the layer through this rather than making a view each frame
+            bindGroup: null,
+            width: 0,
+            height: 0,
+            uniforms: this.uniforms.allocate() // opacity, mode
+        };
+        this.layers.push(layer);
+        this.configureLayer(name, options);
+        return layer;
+    }
+
+    getLayer(name) {
+        return this.layers.find((layer) => layer.name === name) || null;
+    }
+
+    // Update a layer's settings, reallocating its texture if the scale changed
+    configureLayer(name, options) {
+        const layer = this.getLayer(name);
+        if (!layer) {
+            throw new Error(`Unknown layer "${name}".`);
+        }
+        if (options.blend !== undefined && !BLEND_MODES.includes(options.blend)) {
+            throw new Error(`Unknown blend mode "${options.blend}".`);
+        }
+        if (options.clear !== undefined && !CLEAR_POLICIES.includes(options.clear)) {
+            throw new Error(`Unknown clear policy "${options.clear}".`);
+        }
+
+        const scaleChanged = options.scale !== undefined && options.scale !== layer.scale;
+        for (const key of ['scale', 'clear', 'blend', 'opacity', 'clearColor', 'enabled']) {
+            if (options[key] !== undefined) {
+                layer[key] = options[key];
+            }
+        }
+
+        layer.uniforms.floats[0] = layer.opacity;
+        layer.uniforms.uints[1] = BLEND_MODES.indexOf(layer.blend);
+
+        if ((scaleChanged || !layer.texture) && this.width > 0) {
+            this.allocateLayer(layer);
+        }
+        return layer;
+    }
+
+    allocateLayer(layer) {
+        if (layer.texture) layer.texture.destroy();
+        layer.width = Math.max(1, Math.round(this.width * layer.scale));
+        layer.height = Math.max(1, Math.round(this.height * layer.scale));
+        layer.texture = this.device.createTexture({
+            size: [layer.width, layer.height],
+            format: 'rgba8unorm',
+            usage: GPUTextureUsage.TEXTURE_BINDING |
+                   GPUTextureUsage.STORAGE_BINDING |
+                   GPUTextureUsage.COPY_SRC |
+                   GPUTextureUsage.COPY_DST |
+                   GPUTextureUsage.RENDER_ATTACHMENT
+        });
+        layer.view = layer.texture.createView();
+        layer.bindGroup = this.device.createBindGroup({
+            layout: this.bindGroupLayout,
+            entries: [
+                { binding: 0, resource: layer.view },
+                { binding: 1, resource: this.sampler },
+                { binding: 2, resource: layer.uniforms.binding }
+            ]
+        });
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        for (const layer of this.layers) {
+            this.allocateLayer(layer);
+        }
+    }
+
+    // Name -> layer lookup handed to visualizers each frame
+    get layerMap() {
+        const map = {};
+        for (const layer of this.layers) {
+            map[layer.name] = layer;
+        }
+        return map;
+    }
+
+    clearLayer(encoder, layer) {
+        const renderPass = encoder.beginRenderPass({
+            colorAttachments: [{
+                view: layer.view,
+                loadOp: 'clear',
+                clearValue: layer.clearColor,
+                storeOp: 'store'
+            }]
+        });
+        renderPass.end();
+    }
+
+    // Start of frame, wipe every layer that doesn't persist between frames
+    beginFrame(encoder) {
+        for (const layer of this.layers) {
+            if (layer.enabled && layer.clear === 'clear') {
+                this.clearLayer(encoder, layer);
+            }
+        }
+    }
+
+    // Wipe everything including persistent layers ( visualizer change, track change, resize )
+    clearAll(encoder) {
+        for (const layer of this.layers) {
+            this.clearLayer(encoder, layer);
+        }
+    }
+
+    // Merge the enabled layers bottom to top onto the target view
+    composite(encoder, view) {
+        const renderPass = encoder.beginRenderPass({
+            colorAttachments: [{
+                view: view,
+                loadOp: 'clear',
+                clearValue: { r: 0, g: 0, b: 0, a: 1 },
+                storeOp: 'store'
+            }]
+        });
+
+        for (const layer of this.layers) {
+            if (!layer.enabled || layer.opacity <= 0) {
+                continue;
+            }
+            renderPass.setPipeline(this.pipelines[layer.blend]);
+            renderPass.setBindGroup(0, layer.bindGroup);
+            renderPass.draw(6);
+        }
+
+        renderPass.end();
+    }
+
+    dispose() {
+        for (const layer of this.layers) {
+            if (layer.texture) layer.texture.destroy();
+            this.uniforms.release(layer.uniforms);
+        }
+        this.layers = [];
+    }
+}
@@ -0,0 +1,18 @@
+// Filenames Module
+// Names for the files the player hands out ( screenshots, recordings, offline renders, presets ),
+// so they all get made the same way: jsmusicvis-<parts>.<extension>, lowercase and dash separated.
+
+// Lowercase words joined by dashes, '' when there's nothing usable left
+export function filenameSlug(text) {
+    return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// 2024-05-01-193000 ( UTC, colons don't go in filenames )
+export function filenameTimestamp(date=new Date()) {
+    return date.toISOString().slice(0, 19).replace('T', '-').replace(/:/g, '');
+}
+
+// jsmusicvis-<part>-<part>.<extension>, blank parts are left out
+export function exportFilename(parts, extension) {
+    return ['jsmusicvis', ...parts].filter(Boolean).join('-') + '.' + extension;
+}
@@ -0,0 +1,49 @@
+// Frame Clock Module
+// Turns frame timestamps into the timing each frame is rendered with: seconds since the last
+// frame, how many decay ticks went by and whether the waveform is due a refresh. It all comes
+// from the timestamps ( the live loop's or an offline render's ), not timers, so the look stays
+// the same whatever the frame rate and background tabs can't throttle it out of step.
+
+// Trails decay in steps rather than a sliver every frame, at high frame rates the sliver would
+// round away to nothing in the 8 bit layers
+export const DECAY_TICK_RATE = 10; // per second
+export const DEFAULT_WAVEFORM_RATE = 20; // waveform refreshes per second, 0 refreshes every frame
+
+const MAX_DELTA = 0.25; // seconds, longer gaps ( pauses, hitches ) count as this much
+
+// Ticks of a clock running at rate ( per second ) that fall in ( from, to ]
+function ticksBetween(from, to, rate) {
+    return Math.max(Math.floor(to * rate) - Math.floor(from * rate), 0);
+}
+
+export class FrameClock {
+    constructor(waveformRate=DEFAULT_WAVEFORM_RATE) {
+        this.waveformRate = waveformRate;
+        this.lastTime = null;
+    }
+
+    // Start over, the next frame decays once and draws a fresh waveform
+    reset() {
+        this.lastTime = null;
+    }
+
+    // Timing for a frame at time ( seconds ): { time, deltaTime, clearFrame, updateWaveform }
+    // clearFrame is the number of decay ticks since the last frame, usually 0 or 1
+    tick(time) {
+        const first = this.lastTime === null;
+        const deltaTime = first ? 0 : Math.min(Math.max(time - this.lastTime, 0), MAX_DELTA);
+        // Measured over the clamped gap so a long pause doesn't wipe the trails in one go
+        const from = time - deltaTime;
+
+        const clearFrame = first ? 1 : ticksBetween(from, time, DECAY_TICK_RATE);
+        const updateWaveform = first || this.waveformRate <= 0 || ticksBetween(from, time, this.waveformRate) > 0;
+
+        this.lastTime = time;
+        return {
+            time: time,
+            deltaTime: deltaTime,
+            clearFrame: clearFrame,
+            updateWaveform: updateWaveform ? 1 : 0
+        };
+    }
+}
@@ -0,0 +1,167 @@
+// GPU Resources Module
+// Bookkeeping that keeps the frame loop from allocating: a uniform arena every per frame uniform
+// lives in ( filled on the CPU, uploaded with one writeBuffer per frame ) and counters that wrap
+// the device so allocations and uploads can be watched ( see the Stats panels in app.js, they're a
+// debugging aid and only there when asked for ).
+
+// Uniform bindings have to start on a multiple of this ( minUniformBufferOffsetAlignment's default )
+export const UNIFORM_SLOT_SIZE = 256;
+const DEFAULT_SLOT_COUNT = 64;
+
+// One GPU buffer split into fixed 256 byte slots. Owners write their slot's floats/uints in place
+// and bind slot.binding, the renderer uploads everything once before it submits the frame.
+export class UniformArena {
+    constructor(device, slotCount=DEFAULT_SLOT_COUNT) {
+        this.device = device;
+        this.slotCount = slotCount;
+        this.data = new ArrayBuffer(slotCount * UNIFORM_SLOT_SIZE);
+        this.buffer = device.createBuffer({
+            size: this.data.byteLength,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        this.free = [];
+        for (let i = slotCount - 1; i >= 0; i--) {
+            this.free.push(i);
+        }
+        this.used = new Set();
+    }
+
+    // A slot for a uniform struct of up to 256 bytes, zeroed. Hand it back with release()
+    allocate() {
+        if (this.free.length === 0) {
+            throw new Error(`Uniform arena is full ( ${this.slotCount} slots ).`);
+        }
+        const index = this.free.pop();
+        const offset = index * UNIFORM_SLOT_SIZE;
+        const slot = {
+            index: index,
+            floats: new Float32Array(this.data, offset, UNIFORM_SLOT_SIZE / 4),
+            uints: new Uint32Array(this.data, offset, UNIFORM_SLOT_SIZE / 4),
+            binding: { buffer: this.buffer, offset: offset, size: UNIFORM_SLOT_SIZE }
+        };
+        slot.uints.fill(0);
+        this.used.add(index);
+        return slot;
+    }
+
+    release(slot) {
+        if (slot && this.used.delete(slot.index)) {
+            this.free.push(slot.index);
+        }
+    }
+
+    // Push every slot to the GPU, up to the highest one in use
+    upload() {
+        let end = 0;
+        for (const index of this.used) {
+            end = Math.max(end, (index + 1) * UNIFORM_SLOT_SIZE);
+        }
+        if (end > 0) {
+            this.device.queue.writeBuffer(this.buffer, 0, this.data, 0, end);
+        }
+    }
+
+    dispose() {
+        this.buffer.destroy();
+        this.used.clear();
+    }
+}
+
+const COUNTER_NAMES = ['buffers', 'textures', 'views', 'bindGroups', 'uploads'];
+
+// Counts what goes through the device: buffers/textures/views/bind groups created, buffers and
+// textures still alive and queue uploads. endFrame() closes a frame so lastFrame holds its counts.
+// It wraps the device's methods ( and the canvas context's, for views of the canvas texture ), so
+// it's for debugging only.
+export class GpuCounters {
+    constructor(device, gpuContext=null) {
+        this.totals = {};
+        this.lastFrame = {};
+        for (const name of COUNTER_NAMES) {
+            this.totals[name] = 0;
+            this.lastFrame[name] = 0;
+        }
+        this.live = { buffers: 0, textures: 0 };
+        this.frameStart = { ...this.totals };
+
+        const counters = this;
+        const trackDestroy = (resource, kind) => {
+            const destroy = resource.destroy.bind(resource);
+            let destroyed = false;
+            resource.destroy = () => {
+                if (!destroyed) {
+                    destroyed = true;
+                    counters.live[kind]--;
+                }
+                destroy();
+            };
+        };
+
+        const createBuffer = device.createBuffer.bind(device);
+        device.createBuffer = (descriptor) => {
+            const buffer = createBuffer(descriptor);
+            counters.totals.buffers++;
+            counters.live.buffers++;
+            trackDestroy(buffer, 'buffers');
+            return buffer;
+        };
+
+        const trackViews = (texture) => {
+            const createView = texture.createView.bind(texture);
+            texture.createView = (viewDescriptor) => {
+                counters.totals.views++;
+                return createView(viewDescriptor);
+            };
+        };
+
+        const createTexture = device.createTexture.bind(device);
+        device.createTexture = (descriptor) => {
+            const texture = createTexture(descriptor);
+            counters.totals.textures++;
+            counters.live.textures++;
+            trackDestroy(texture, 'textures');
+            trackViews(texture);
+            return texture;
+        };
+
+        // The canvas hands out a new texture every frame, its views count as well
+        if (gpuContext) {
+            const getCurrentTexture = gpuContext.getCurrentTexture.bind(gpuContext);
+            const tracked = new WeakSet(); // it's the same texture till the frame's presented
+            gpuContext.getCurrentTexture = () => {
+                const texture = getCurrentTexture();
+                if (!tracked.has(texture)) {
+                    tracked.add(texture);
+                    trackViews(texture);
+                }
+                return texture;
+            };
+        }
+
+        const createBindGroup = device.createBindGroup.bind(device);
+        device.createBindGroup = (descriptor) => {
+            counters.totals.bindGroups++;
+            return createBindGroup(descriptor);
+        };
+
+        const queue = device.queue;
+        const writeBuffer = queue.writeBuffer.bind(queue);
+        queue.writeBuffer = (...args) => {
+            counters.totals.uploads++;
+            return writeBuffer(...args);
+        };
+        const writeTexture = queue.writeTexture.bind(queue);
+        queue.writeTexture = (...args) => {
+            counters.totals.uploads++;
+            return writeTexture(...args);
+        };
+    }
+
+    // What the frame that just finished created and uploaded
+    endFrame() {
+        for (const name of COUNTER_NAMES) {
+            this.lastFrame[name] = this.totals[name] - this.frameStart[name];
+        }
+        this.frameStart = { ...this.totals };
+    }
+}
@@ -0,0 +1,92 @@
+// Idle Module
+// Something to watch while nothing's playing. A slow synthetic pad ( a loop of soft sines swelling
+// in and out, detuned a little between the ears, with a quiet pulse underneath ) goes through the
+// same analysis as a track does offline, so whichever visualizer is active keeps drifting gently
+// instead of freezing on the last frame. The app renders it at a reduced frame rate.
+
+import { defaultParams, coerceParams } from './visualizers/visualizer.js';
+
+// Same format as Visualizer.params so the settings panel can draw them
+export const idleParams = {
+    enabled: { type: 'boolean', label: 'Idle animation when stopped', default: true },
+    delay: { type: 'int', label: 'Idle after (seconds)', default: 5, min: 0, max: 300, step: 1 },
+    frameRate: { type: 'int', label: 'Idle FPS', default: 20, min: 5, max: 60, step: 1 },
+    clock: { type: 'boolean', label: 'Clock while idle', default: false }
+};
+
+export function defaultIdleSettings() {
+    return defaultParams(idleParams);
+}
+
+export function coerceIdleSettings(values, current=defaultIdleSettings()) {
+    return coerceParams(idleParams, values, current);
+}
+
+const IDLE_SAMPLE_RATE = 24000; // plenty for a pad, and half the memory
+const LOOP_SECONDS = 16; // every frequency below is a multiple of 1/16Hz so the loop is seamless
+const PAD_SAMPLES = 16384; // lead in copied from the loop's end, covers the biggest analyser window
+const LEVEL = 0.25;
+
+// Pad voices: Hz, swells per loop, phase, and how far the right ear is detuned ( Hz )
+const VOICES = [
+    { frequency: 110, swells: 1, phase: 0, detune: 0.25 },
+    { frequency: 165, swells: 2, phase: 0.3, detune: 0.5 },
+    { frequency: 220, swells: 3, phase: 0.6, detune: 0.125 },
+    { frequency: 330, swells: 1, phase: 0.1, detune: 0.75 },
+    { frequency: 440, swells: 4, phase: 0.8, detune: 0.5 }
+];
+const PULSE_FREQUENCY = 55;
+const PULSE_PERIOD = 2; // seconds between the soft thumps, divides the loop
+
+// Pad level of a voice at time t ( seconds ), 0-1
+function swell(voice, t) {
+    return 0.5 - 0.5 * Math.cos(2 * Math.PI * (voice.swells * t / LOOP_SECONDS + voice.phase));
+}
+
+// The pad as an AudioBuffer look-alike ( what OfflineAnalyser reads ), built once on first use.
+// sampleAt( time ) is where an analyser window should end for that time, looping forever.
+export class IdleSignal {
+    constructor(sampleRate=IDLE_SAMPLE_RATE) {
+        const loopLength = LOOP_SECONDS * sampleRate;
+        const length = PAD_SAMPLES + loopLength;
+        const left = new Float32Array(length);
+        const right = new Float32Array(length);
+
+        for (let i = 0; i < length; i++) {
+            // Periodic in the loop, so the lead in is the loop's tail
+            const t = ((i - PAD_SAMPLES + loopLength) % loopLength) / sampleRate;
+            let l = 0;
+            let r = 0;
+            for (const voice of VOICES) {
+                const level = swell(voice, t) / VOICES.length;
+                l += level * Math.sin(2 * Math.PI * voice.frequency * t);
+                r += level * Math.sin(2 * Math.PI * (voice.frequency + voice.detune) * t);
+            }
+            const beat = t % PULSE_PERIOD;
+            const pulse = Math.exp(-beat * 6) * Math.sin(2 * Math.PI * PULSE_FREQUENCY * t) * 0.5;
+            left[i] = (l + pulse) * LEVEL;
+            right[i] = (r + pulse) * LEVEL;
+        }
+
+        this.sampleRate = sampleRate;
+        this.numberOfChannels = 2;
+        this.length = length;
+        this.duration = length / sampleRate;
+        this.channels = [left, right];
+        this.loopLength = loopLength;
+    }
+
+    getChannelData(channel) {
+        return this.channels[channel];
+    }
+
+    sampleAt(time) {
+        const offset = Math.floor(time * this.sampleRate) % this.loopLength;
+        return PAD_SAMPLES + (offset + this.loopLength) % this.loopLength;
+    }
+}
+
+// HH:MM for the idle clock
+export function clockText(date=new Date()) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
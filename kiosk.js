@@ -0,0 +1,164 @@
+// Kiosk Module
+// For leaving the visualization up on a screen: fullscreen on the whole page, a watcher that
+// notices when nobody's touched the mouse, screen or keyboard for a while ( app.js hides the
+// controls, stats and cursor then ) and a screen wake lock so the display doesn't sleep mid track.
+
+import { defaultParams, coerceParams } from './visualizers/visualizer.js';
+
+// Same format as Visualizer.params so the settings panel can draw them
+export const kioskParams = {
+    enabled: { type: 'boolean', label: 'Kiosk mode (auto-hide controls)', default: false },
+    hideAfter: { type: 'int', label: 'Hide after (seconds)', default: 3, min: 1, max: 60, step: 1 },
+    wakeLock: { type: 'boolean', label: 'Keep the screen awake while playing', default: true }
+};
+
+export function defaultKioskSettings() {
+    return defaultParams(kioskParams);
+}
+
+export function coerceKioskSettings(values, current=defaultKioskSettings()) {
+    return coerceParams(kioskParams, values, current);
+}
+
+export function isFullscreen() {
+    return !!document.fullscreenElement;
+}
+
+// Fullscreen the whole page ( the controls and panels come along ), or leave it
+export async function toggleFullscreen() {
+    if (isFullscreen()) {
+        await document.exitFullscreen();
+    } else {
+        if (!document.documentElement.requestFullscreen) {
+            throw new Error("Fullscreen isn't supported in this browser.");
+        }
+        await document.documentElement.requestFullscreen();
+    }
+}
+
+// What counts as somebody being there
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'wheel', 'touchstart', 'keydown'];
+
+// Calls onIdle after delay ms without any input and onActive on the first input after that.
+// isBusy() can hold the idle off ( the pointer resting on the controls, say ), it's asked again later.
+export class InactivityWatcher {
+    constructor(onIdle, onActive, isBusy=() => false) {
+        this.onIdle = onIdle;
+        this.onActive = onActive;
+        this.isBusy = isBusy;
+        this.delay = 0;
+        this.timer = null;
+        this.idle = false;
+        this.running = false;
+        this.activity = () => this.poke();
+    }
+
+    start(delay) {
+        this.delay = delay;
+        if (!this.running) {
+            this.running = true;
+            for (const type of ACTIVITY_EVENTS) {
+                document.addEventListener(type, this.activity, { passive: true, capture: true });
+            }
+        }
+        this.poke();
+    }
+
+    stop() {
+        if (this.running) {
+            this.running = false;
+            for (const type of ACTIVITY_EVENTS) {
+                document.removeEventListener(type, this.activity, { capture: true });
+            }
+        }
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.wake();
+    }
+
+    // Input happened, show everything again and start the wait over
+    poke() {
+        this.wake();
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.expire(), this.delay);
+    }
+
+    expire() {
+        if (this.isBusy()) {
+            this.timer = setTimeout(() => this.expire(), this.delay);
+            return;
+        }
+        this.idle = true;
+        this.onIdle();
+    }
+
+    wake() {
+        if (this.idle) {
+            this.idle = false;
+            this.onActive();
+        }
+    }
+}
+
+// Screen Wake Lock that survives the tab being hidden: the browser drops the lock then, so it's
+// taken again when the page comes back for as long as it's wanted
+export class ScreenWakeLock {
+    constructor() {
+        this.wanted = false;
+        this.sentinel = null;
+        this.pending = null;
+        document.addEventListener('visibilitychange', () => {
+            if (this.wanted && document.visibilityState === 'visible') {
+                this.acquire().catch((error) => {
+                    console.log('Could not keep the screen awake', error);
+                });
+            }
+        });
+    }
+
+    get supported() {
+        return 'wakeLock' in navigator;
+    }
+
+    request() {
+        this.wanted = true;
+        return this.acquire();
+    }
+
+    async release() {
+        this.wanted = false;
+        const sentinel = this.sentinel;
+        this.sentinel = null;
+        if (sentinel) {
+            await sentinel.release();
+        }
+    }
+
+    acquire() {
+        if (!this.supported || this.sentinel || document.visibilityState !== 'visible') {
+            return Promise.resolve();
+        }
+        // One request at a time, a visibility change can race the first one
+        if (!this.pending) {
+            this.pending = this.take().finally(() => {
+                this.pending = null;
+            });
+        }
+        return this.pending;
+    }
+
+    async take() {
+        const sentinel = await navigator.wakeLock.request('screen');
+        // Released while we were waiting for it
+        if (!this.wanted) {
+            await sentinel.release();
+            return;
+        }
+        this.sentinel = sentinel;
+        sentinel.addEventListener('release', () => {
+            if (this.sentinel === sentinel) {
+                this.sentinel = null;
+            }
+        });
+    }
+}
@@ -0,0 +1,144 @@
+// Live Analysis Module
+// Sample accurate analysis of what's playing. An AudioWorklet ( analysis-worklet.js ) copies every
+// block the audio thread renders into a ring buffer, shared with this thread when the page is cross
+// origin isolated and posted over in batches otherwise, and RingAnalysers read their windows out of
+// it with the same maths as the offline analyser. Windows can be any power of two from 256 to 16384
+// samples and the waveform can stay in floats instead of being rounded to bytes.
+
+import { BlockAnalyser } from './offline-analyser.js';
+import { defaultParams, coerceParams } from './visualizers/visualizer.js';
+import workletUrl from './analysis-worklet.js?url';
+
+export const ANALYSIS_SIZES = ['256', '512', '1024', '2048', '4096', '8192', '16384'];
+
+// Same format as Visualizer.params so the settings panel can draw them
+export const analysisParams = {
+    windowSize: { type: 'select', label: 'Analysis window (samples)', default: '512', options: ANALYSIS_SIZES },
+    precision: { type: 'select', label: 'Waveform precision', default: 'float', options: ['float', 'byte'] },
+    overlap: { type: 'boolean', label: 'Overlapping windows', default: true }
+};
+
+export function defaultAnalysisSettings() {
+    return defaultParams(analysisParams);
+}
+
+export function coerceAnalysisSettings(values, current=defaultAnalysisSettings()) {
+    return coerceParams(analysisParams, values, current);
+}
+
+// Samples per window ( the renderer's bufferLength )
+export function analysisSize(settings) {
+    return parseInt(settings.windowSize, 10);
+}
+
+// Array for the time domain data ( frame.audioData ) at the settings' size and precision
+export function createWaveformArray(settings) {
+    const size = analysisSize(settings);
+    return settings.precision === 'float' ? new Float32Array(size) : new Uint8Array(size);
+}
+
+// Time domain data into array, on the byte scale visualizers expect ( 0-255, 128 is silence ) but
+// unrounded when the array holds floats. Works with AnalyserNodes too.
+export function readWaveform(analyser, array) {
+    if (array instanceof Float32Array) {
+        analyser.getFloatTimeDomainData(array);
+        for (let i = 0; i < array.length; i++) {
+            array[i] = 128 * (1 + array[i]);
+        }
+    } else {
+        analyser.getByteTimeDomainData(array);
+    }
+}
+
+const RING_SIZE = 32768; // frames per channel, twice the biggest window
+const BATCH_SIZE = 512; // frames per message without shared memory, about 10ms
+
+// Two channels of samples in one buffer ( left, then right ) and a running count of the frames
+// written, which wraps. The worklet writes it in place when it's shared, write() fills it from
+// the worklet's messages when it isn't.
+export class AnalysisRing {
+    constructor(shared=false) {
+        const Buffer = shared ? SharedArrayBuffer : ArrayBuffer;
+        this.shared = shared;
+        this.samples = new Float32Array(new Buffer(RING_SIZE * 2 * 4));
+        this.control = new Int32Array(new Buffer(4));
+    }
+
+    // Frames written so far, as an unsigned count ( it wraps at 2^32, which the ring divides )
+    get written() {
+        return Atomics.load(this.control, 0) >>> 0;
+    }
+
+    write(left, right) {
+        const written = this.control[0];
+        for (let i = 0; i < left.length; i++) {
+            const index = (written + i) & (RING_SIZE - 1);
+            this.samples[index] = left[i];
+            this.samples[RING_SIZE + index] = right[i];
+        }
+        this.control[0] = (written + left.length) | 0;
+    }
+
+    // out.length samples of channel ( 0, 1 or 'mix' ) ending at frame end
+    read(channel, end, out) {
+        const start = end - out.length;
+        const samples = this.samples;
+        for (let i = 0; i < out.length; i++) {
+            const index = (start + i) & (RING_SIZE - 1);
+            if (channel === 'mix') {
+                // Stereo down-mixed the way an AnalyserNode hears it
+                out[i] = (samples[index] + samples[RING_SIZE + index]) / 2;
+            } else {
+                out[i] = samples[channel * RING_SIZE + index];
+            }
+        }
+        return out;
+    }
+}
+
+// Analyser reading the newest window out of the ring, same interface as an AnalyserNode
+export class RingAnalyser extends BlockAnalyser {
+    // channel is 'mix', 0 or 1
+    constructor(ring, { fftSize=2048, smoothingTimeConstant=0.8, channel='mix', overlap=true }={}) {
+        super({ fftSize, smoothingTimeConstant, overlap });
+        this.ring = ring;
+        this.channel = channel;
+    }
+
+    readBlock() {
+        return this.ring.read(this.channel, this.windowEnd(this.ring.written), this.block);
+    }
+}
+
+// Load the worklet and build its node on context, resolves to { node, ring }. Connect the audio to
+// node and node to somewhere that pulls ( it only outputs silence ), then make analysers on ring.
+export async function createAnalysisTap(context) {
+    if (!context.audioWorklet) {
+        throw new Error("AudioWorklet isn't available ( it needs a secure context ).");
+    }
+    await context.audioWorklet.addModule(workletUrl);
+
+    const shared = typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated === true;
+    const ring = new AnalysisRing(shared);
+    const node = new AudioWorkletNode(context, 'analysis-tap', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [1],
+        // Mono up-mixes to both sides, like the gain in front of the analyser nodes' channel splitter
+        channelCount: 2,
+        channelCountMode: 'explicit',
+        channelInterpretation: 'speakers',
+        processorOptions: {
+            samples: shared ? ring.samples.buffer : null,
+            control: shared ? ring.control.buffer : null,
+            ringSize: RING_SIZE,
+            batchSize: BATCH_SIZE
+        }
+    });
+    if (!shared) {
+        node.port.onmessage = (e) => {
+            ring.write(e.data.left, e.data.right);
+        };
+    }
+    return { node: node, ring: ring };
+}
@@ -0,0 +1,112 @@
+// Live Input Module
+// Visualize a microphone or line in ( a DJ mixer's record out, say ) instead of the playlist. The
+// input comes in through getUserMedia with the browser's voice processing turned off, so it's
+// analysed as it is, and app.js feeds its source node into the same analysis chain as the player.
+// Whether it's heard as well is up to the monitor setting, a mixer's usually got its own speakers.
+
+export function defaultInputSettings() {
+    return { deviceId: '', monitor: false };
+}
+
+// deviceId '' is the browser's default input
+export function coerceInputSettings(values, current=defaultInputSettings()) {
+    const settings = { ...current };
+    if (!values) return settings;
+    if (typeof values.deviceId === 'string') {
+        settings.deviceId = values.deviceId;
+    }
+    if (typeof values.monitor === 'boolean') {
+        settings.monitor = values.monitor;
+    }
+    return settings;
+}
+
+// Audio inputs as [{ deviceId, label }], labels are blank until the page has been given one
+export async function listInputDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+        return [];
+    }
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter((device) => device.kind === 'audioinput' && device.deviceId).map((device, index) => ({
+        deviceId: device.deviceId,
+        label: device.label || `Input ${index + 1}`
+    }));
+}
+
+// Something to tell the user for getUserMedia's errors
+export function liveInputErrorMessage(error) {
+    switch (error.name) {
+        case 'NotAllowedError':
+            return 'Permission to use the input was denied.';
+        case 'NotFoundError':
+            return 'No audio input was found.';
+        case 'OverconstrainedError':
+            return 'The chosen input isn\'t connected.';
+        case 'NotReadableError':
+            return 'The input is in use by something else.';
+        default:
+            return error.message;
+    }
+}
+
+// One input stream at a time on context. start() opens a device and resolves to the source node
+// to connect, stop() closes it. onEnded is called if the device goes away by itself ( unplugged ),
+// stopping is still up to whoever's listening.
+export class LiveInput {
+    constructor(context) {
+        this.context = context;
+        this.stream = null;
+        this.node = null;
+        this.onEnded = null;
+    }
+
+    get active() {
+        return this.stream !== null;
+    }
+
+    // Name of the device that's open
+    get label() {
+        const track = this.stream ? this.stream.getAudioTracks()[0] : null;
+        return track && track.label ? track.label : 'Live input';
+    }
+
+    async start(deviceId='') {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new Error("Live input isn't available ( it needs a secure context ).");
+        }
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                deviceId: deviceId ? { exact: deviceId } : undefined,
+                // Processing meant for calls, it would squash the music
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false,
+                channelCount: { ideal: 2 }
+            }
+        });
+        this.stop();
+        this.stream = stream;
+        this.node = this.context.createMediaStreamSource(stream);
+
+        const track = stream.getAudioTracks()[0];
+        track.addEventListener('ended', () => {
+            if (this.stream === stream && this.onEnded) {
+                this.onEnded();
+            }
+        });
+        return this.node;
+    }
+
+    stop() {
+        if (this.node) {
+            this.node.disconnect();
+            this.node = null;
+        }
+        if (this.stream) {
+            for (const track of this.stream.getTracks()) {
+                track.stop();
+            }
+            this.stream = null;
+        }
+    }
+}
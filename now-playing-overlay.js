@@ -0,0 +1,302 @@
+// Now Playing Overlay Module
+// Geiss style track announcement: the title/artist/album are rasterized with a 2D canvas
+// into a GPU texture, faded in over the overlay layer on track change and optionally
+// melted into the action layer so the feedback smears them away.
+
+export const NOW_PLAYING_POSITIONS = ['top-left', 'top-right', 'center', 'bottom-left', 'bottom-right'];
+
+export const defaultNowPlayingOptions = {
+    enabled: true,
+    font: 'sans-serif',
+    position: 'top-left',
+    duration: 6, // seconds on screen including the fades
+    melt: false // dissolve into the feedback trails while fading out
+};
+
+const FADE_IN = 0.6; // seconds
+const FADE_OUT = 1.5; // seconds
+const MELT_OPACITY = 0.2; // stamp strength into the action layer per 60th of a second
+
+// How strongly to stamp the text into the action layer over a frame deltaTime seconds long, so
+// it melts in as fast whatever the frame rate ( a frame twice as long stamps as much as two )
+export function meltOpacity(opacity, deltaTime) {
+    return 1 - Math.pow(1 - opacity * MELT_OPACITY, deltaTime * 60);
+}
+
+// Lay the track text out on a 2D context covering the whole layer
+export function drawNowPlayingText(ctx, width, height, track, options) {
+    const { font, position } = options;
+    ctx.clearRect(0, 0, width, height);
+
+    const lines = [];
+    const titleSize = Math.round(height * 0.06);
+    const detailSize = Math.round(titleSize * 0.6);
+    lines.push({ text: track.title || 'Unknown Track', font: `bold ${titleSize}px ${font}`, size: titleSize });
+    if (track.artist) {
+        lines.push({ text: track.artist, font: `${detailSize}px ${font}`, size: detailSize });
+    }
+    if (track.album) {
+        lines.push({ text: track.album, font: `italic ${detailSize}px ${font}`, size: detailSize });
+    }
+
+    const margin = Math.round(height * 0.05);
+    const lineGap = Math.round(detailSize * 0.4);
+    const blockHeight = lines.reduce((total, line) => total + line.size + lineGap, -lineGap);
+
+    let x, y;
+    if (position === 'center') {
+        ctx.textAlign = 'center';
+        x = width / 2;
+        y = (height - blockHeight) / 2;
+    } else {
+        ctx.textAlign = position.endsWith('right') ? 'right' : 'left';
+        x = position.endsWith('right') ? width - margin : margin;
+        y = position.startsWith('bottom') ? height - margin - blockHeight : margin;
+    }
+
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#fff';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+    ctx.shadowBlur = Math.max(2, titleSize * 0.1);
+    ctx.shadowOffsetX = 2;
+    ctx.shadowOffsetY = 2;
+    for (const line of lines) {
+        ctx.font = line.font;
+        ctx.fillText(line.text, x, y, width - margin * 2);
+        y += line.size + lineGap;
+    }
+}
+
+// Opacity envelope for a point in the announcement, null once it's over
+export function nowPlayingEnvelope(elapsed, duration) {
+    duration = Math.max(duration, FADE_IN + FADE_OUT);
+    if (elapsed >= duration) {
+        return null;
+    }
+    if (elapsed < FADE_IN) {
+        return { opacity: elapsed / FADE_IN, fadingOut: false };
+    }
+    if (elapsed < duration - FADE_OUT) {
+        return { opacity: 1, fadingOut: false };
+    }
+    return { opacity: (duration - elapsed) / FADE_OUT, fadingOut: true };
+}
+
+const textShader = `
+    struct VertexOutput {
+        @builtin(position) position: vec4<f32>,
+        @location(0) texCoord: vec2<f32>,
+    }
+
+    struct TextUniforms {
+        opacity: f32,
+    }
+
+    @group(0) @binding(0) var textTexture: texture_2d<f32>;
+    @group(0) @binding(1) var textSampler: sampler;
+    @group(0) @binding(2) var<uniform> uniforms: TextUniforms;
+
+    @vertex
+    fn vertMain(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
+        var pos = array<vec2<f32>, 6>(
+            vec2<f32>(-1.0, -1.0),
+            vec2<f32>(1.0, -1.0),
+            vec2<f32>(-1.0, 1.0),
+            vec2<f32>(-1.0, 1.0),
+            vec2<f32>(1.0, -1.0),
+            vec2<f32>(1.0, 1.0)
+        );
+        var texCoord = array<vec2<f32>, 6>(
+            vec2<f32>(0.0, 1.0),
+            vec2<f32>(1.0, 1.0),
+            vec2<f32>(0.0, 0.0),
+            vec2<f32>(0.0, 0.0),
+            vec2<f32>(1.0, 1.0),
+            vec2<f32>(1.0, 0.0)
+        );
+        var output: VertexOutput;
+        output.position = vec4<f32>(pos[vertexIndex], 0.0, 1.0);
+        output.texCoord = texCoord[vertexIndex];
+        return output;
+    }
+
+    @fragment
+    fn fragMain(input: VertexOutput) -> @location(0) vec4<f32> {
+        let color = textureSample(textTexture, textSampler, input.texCoord);
+        return vec4<f32>(color.rgb, color.a * uniforms.opacity);
+    }
+`;
+
+export class NowPlayingOverlay {
+    // uniforms is the renderer's UniformArena
+    constructor(device, uniforms) {
+        this.device = device;
+        this.uniforms = uniforms;
+
+        // Pipelines
+        this.pipeline = null;
+        this.sampler = null;
+
+        // Textures
+        this.textTexture = null;
+        this.textCanvas = null;
+
+        // Uniform slots ( separate so overlay and melt can use different strengths in one frame ) and
+        // the bind groups drawing the text with each, made along with the text texture
+        this.overlayUniforms = null;
+        this.meltUniforms = null;
+        this.overlayBindGroup = null;
+        this.meltBindGroup = null;
+
+        this.options = { ...defaultNowPlayingOptions };
+        this.track = null;
+        this.shownAt = null; // frame time the announcement started, set by the first render after show()
+        this.startPending = false;
+        this.width = 0;
+        this.height = 0;
+    }
+
+    async init() {
+        const module = this.device.createShaderModule({ code: textShader });
+        this.pipeline = this.device.createRenderPipeline({
+            layout: 'auto',
+            vertex: {
+                module: module,
+                entryPoint: 'vertMain'
+            },
+            fragment: {
+                module: module,
+                entryPoint: 'fragMain',
+                targets: [{
+                    format: 'rgba8unorm',
+                    blend: {
+                        color: {
+                            srcFactor: 'src-alpha',
+                            dstFactor: 'one-minus-src-alpha',
+                            operation: 'add'
+                        },
+                        alpha: {
+                            srcFactor: 'one',
+                            dstFactor: 'one-minus-src-alpha',
+                            operation: 'add'
+                        }
+                    }
+                }]
+            },
+            primitive: {
+                topology: 'triangle-list'
+            }
+        });
+
+        this.sampler = this.device.createSampler({
+            magFilter: 'linear',
+            minFilter: 'linear'
+        });
+
+        this.overlayUniforms = this.uniforms.allocate(); // opacity
+        this.meltUniforms = this.uniforms.allocate(); // opacity
+    }
+
+    configure(options) {
+        if (options.position !== undefined && !NOW_PLAYING_POSITIONS.includes(options.position)) {
+            throw new Error(`Unknown now playing position "${options.position}".`);
+        }
+        this.options = { ...this.options, ...options };
+        // Font or position changes need a fresh raster
+        this.rasterize();
+    }
+
+    // Start the announcement for a track ( { title, artist, album } )
+    show(track) {
+        this.track = track;
+        this.shownAt = null;
+        this.startPending = true;
+        this.rasterize();
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        if (this.textTexture) this.textTexture.destroy();
+        this.textTexture = this.device.createTexture({
+            size: [width, height],
+            format: 'rgba8unorm',
+            usage: GPUTextureUsage.TEXTURE_BINDING |
+                   GPUTextureUsage.COPY_DST |
+                   GPUTextureUsage.RENDER_ATTACHMENT
+        });
+        const textView = this.textTexture.createView();
+        const textBindGroup = (uniforms) => this.device.createBindGroup({
+            layout: this.pipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: textView },
+                { binding: 1, resource: this.sampler },
+                { binding: 2, resource: uniforms.binding }
+            ]
+        });
+        this.overlayBindGroup = textBindGroup(this.overlayUniforms);
+        this.meltBindGroup = textBindGroup(this.meltUniforms);
+        this.textCanvas = new OffscreenCanvas(width, height);
+        this.rasterize();
+    }
+
+    // Draw the track text into the 2D canvas and upload it
+    rasterize() {
+        if (!this.textCanvas || !this.track) return;
+
+        const ctx = this.textCanvas.getContext('2d');
+        drawNowPlayingText(ctx, this.width, this.height, this.track, this.options);
+
+        this.device.queue.copyExternalImageToTexture(
+            { source: this.textCanvas },
+            { texture: this.textTexture },
+            [this.width, this.height]
+        );
+    }
+
+    // Draw the text into a layer's view
+    drawText(encoder, view, bindGroup) {
+        const renderPass = encoder.beginRenderPass({
+            colorAttachments: [{
+                view: view,
+                loadOp: 'load',
+                storeOp: 'store'
+            }]
+        });
+        renderPass.setPipeline(this.pipeline);
+        renderPass.setBindGroup(0, bindGroup);
+        renderPass.draw(6);
+        renderPass.end();
+    }
+
+    // time is the frame time in seconds, the announcement runs on it so offline renders match,
+    // deltaTime the seconds since the last frame
+    render(encoder, layers, time, deltaTime) {
+        if (this.startPending) {
+            this.shownAt = time;
+            this.startPending = false;
+        }
+        if (!this.options.enabled || this.shownAt === null || !this.textTexture) return;
+
+        const envelope = nowPlayingEnvelope(time - this.shownAt, this.options.duration);
+        if (!envelope) {
+            this.shownAt = null;
+            return;
+        }
+
+        this.overlayUniforms.floats[0] = envelope.opacity;
+        this.drawText(encoder, layers.overlay.view, this.overlayBindGroup);
+
+        // Stamp into the action layer while fading so the trails carry it off
+        if (this.options.melt && envelope.fadingOut) {
+            this.meltUniforms.floats[0] = meltOpacity(envelope.opacity, deltaTime);
+            this.drawText(encoder, layers.action.view, this.meltBindGroup);
+        }
+    }
+
+    dispose() {
+        if (this.textTexture) this.textTexture.destroy();
+        this.uniforms.release(this.overlayUniforms);
+        this.uniforms.release(this.meltUniforms);
+    }
+}
@@ -0,0 +1,186 @@
+// Offline Analyser Module
+// AnalyserNode maths on a decoded AudioBuffer, for rendering without playing anything. Follows
+// the Web Audio spec ( Blackman window, magnitude / fftSize, smoothing over time then dB ) so the
+// visualizers see the same kind of data they get live. The analyser reads the fftSize samples
+// that end at its position, move it along with seek(). BlockAnalyser is the maths on its own, the
+// live analysis reads its blocks from a ring buffer instead ( see live-analysis.js ).
+
+// Radix-2 FFT of a real signal, returns magnitudes for the first size/2 bins
+export class FFT {
+    constructor(size) {
+        if (size < 2 || (size & (size - 1)) !== 0) {
+            throw new Error(`FFT size must be a power of two, got ${size}.`);
+        }
+        this.size = size;
+        this.real = new Float32Array(size);
+        this.imag = new Float32Array(size);
+
+        // Bit reversed order and twiddle factors, worked out once per size
+        this.reverse = new Uint32Array(size);
+        const bits = Math.log2(size);
+        for (let i = 0; i < size; i++) {
+            let reversed = 0;
+            for (let bit = 0; bit < bits; bit++) {
+                reversed = (reversed << 1) | ((i >> bit) & 1);
+            }
+            this.reverse[i] = reversed;
+        }
+        this.cos = new Float32Array(size / 2);
+        this.sin = new Float32Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            this.cos[i] = Math.cos(-2 * Math.PI * i / size);
+            this.sin[i] = Math.sin(-2 * Math.PI * i / size);
+        }
+    }
+
+    // input is size samples ( already windowed ), magnitudes gets size/2 values
+    magnitudes(input, magnitudes) {
+        const { size, real, imag } = this;
+        for (let i = 0; i < size; i++) {
+            real[this.reverse[i]] = input[i];
+            imag[i] = 0;
+        }
+
+        for (let length = 2; length <= size; length <<= 1) {
+            const half = length >> 1;
+            const step = size / length;
+            for (let start = 0; start < size; start += length) {
+                for (let k = 0; k < half; k++) {
+                    const cos = this.cos[k * step];
+                    const sin = this.sin[k * step];
+                    const a = start + k;
+                    const b = a + half;
+                    const tr = real[b] * cos - imag[b] * sin;
+                    const ti = real[b] * sin + imag[b] * cos;
+                    real[b] = real[a] - tr;
+                    imag[b] = imag[a] - ti;
+                    real[a] += tr;
+                    imag[a] += ti;
+                }
+            }
+        }
+
+        for (let i = 0; i < size / 2; i++) {
+            magnitudes[i] = Math.hypot(real[i], imag[i]);
+        }
+        return magnitudes;
+    }
+}
+
+// Blackman window as the spec defines it for AnalyserNode
+export function blackmanWindow(size) {
+    const alpha = 0.16;
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        window[i] = (1 - alpha) / 2 -
+            0.5 * Math.cos(2 * Math.PI * i / size) +
+            alpha / 2 * Math.cos(4 * Math.PI * i / size);
+    }
+    return window;
+}
+
+// The AnalyserNode maths on a block of samples, subclasses say where the block comes from with
+// readBlock(). With overlap off the window snaps back to a whole number of windows into the
+// stream, so consecutive windows never share samples ( the same one repeats until the next is in ).
+export class BlockAnalyser {
+    constructor({ fftSize=2048, smoothingTimeConstant=0.8, overlap=true }={}) {
+        this.fftSize = fftSize;
+        this.frequencyBinCount = fftSize / 2;
+        this.smoothingTimeConstant = smoothingTimeConstant;
+        this.overlap = overlap;
+
+        this.fft = new FFT(fftSize);
+        this.window = blackmanWindow(fftSize);
+        this.block = new Float32Array(fftSize);
+        this.magnitudes = new Float32Array(this.frequencyBinCount);
+        this.smoothed = new Float32Array(this.frequencyBinCount);
+    }
+
+    // Sample index the window ends at for a position in the stream
+    windowEnd(position) {
+        return this.overlap ? position : position - position % this.fftSize;
+    }
+
+    // The fftSize samples to analyse into this.block, returns it
+    readBlock() {
+        throw new Error("readBlock() isn't implemented.");
+    }
+
+    getFloatTimeDomainData(array) {
+        const block = this.readBlock();
+        array.set(block.subarray(0, array.length));
+    }
+
+    getByteTimeDomainData(array) {
+        const block = this.readBlock();
+        for (let i = 0; i < Math.min(array.length, block.length); i++) {
+            array[i] = Math.max(0, Math.min(255, Math.floor(128 * (1 + block[i]))));
+        }
+    }
+
+    // dB per bin, smoothing carries over between calls like the real thing
+    getFloatFrequencyData(array) {
+        const block = this.readBlock();
+        for (let i = 0; i < this.fftSize; i++) {
+            block[i] *= this.window[i];
+        }
+        this.fft.magnitudes(block, this.magnitudes);
+
+        const smoothing = this.smoothingTimeConstant;
+        for (let i = 0; i < this.frequencyBinCount; i++) {
+            this.smoothed[i] = smoothing * this.smoothed[i] + (1 - smoothing) * this.magnitudes[i] / this.fftSize;
+        }
+        for (let i = 0; i < Math.min(array.length, this.frequencyBinCount); i++) {
+            array[i] = 20 * Math.log10(this.smoothed[i]);
+        }
+    }
+}
+
+// The channels averaged, what an AnalyserNode hears from a stereo input. It's a copy as long as
+// the track, so make it once and hand it to every 'mix' analyser on the same buffer.
+export function downmix(audioBuffer) {
+    if (audioBuffer.numberOfChannels === 1) {
+        return audioBuffer.getChannelData(0);
+    }
+    const signal = new Float32Array(audioBuffer.length);
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+        const data = audioBuffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) {
+            signal[i] += data[i] / audioBuffer.numberOfChannels;
+        }
+    }
+    return signal;
+}
+
+export class OfflineAnalyser extends BlockAnalyser {
+    // channel is 'mix' ( down-mixed like a stereo input into an AnalyserNode ), 0 or 1. mix is
+    // downmix(audioBuffer) if there's one already, it's worked out here otherwise.
+    constructor(audioBuffer, { fftSize=2048, smoothingTimeConstant=0.8, channel='mix', overlap=true, mix=null }={}) {
+        super({ fftSize, smoothingTimeConstant, overlap });
+        this.audioBuffer = audioBuffer;
+        this.position = 0; // sample index the analysis window ends at
+
+        // The signal this analyser hears
+        if (channel === 'mix') {
+            this.signal = mix || downmix(audioBuffer);
+        } else {
+            // Mono files show up on both sides, like the live channel splitter
+            this.signal = audioBuffer.getChannelData(Math.min(channel, audioBuffer.numberOfChannels - 1));
+        }
+    }
+
+    // Point the window at the sample the playhead is on
+    seek(position) {
+        this.position = Math.max(0, Math.min(Math.round(position), this.signal.length));
+    }
+
+    // Most recent fftSize samples, zeros before the start
+    readBlock() {
+        const start = this.windowEnd(this.position) - this.fftSize;
+        for (let i = 0; i < this.fftSize; i++) {
+            const index = start + i;
+            this.block[i] = index >= 0 ? this.signal[index] : 0;
+        }
+        return this.block;
+    }
+}
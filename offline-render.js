@@ -0,0 +1,455 @@
+// Offline Render Module
+// Renders a whole track at a fixed frame rate instead of in real time, so nothing gets dropped
+// and the same track, settings and seed always give the same frames ( handy for golden images
+// too ). The track is decoded up front, every frame gets the analysis window that ends on its
+// own sample, the finished frame is read back off the renderer and goes to a sink: a PNG
+// sequence ( into a folder, or a zip ) or a WebM encoded with WebCodecs.
+
+import { WebMWriter, opusHead } from './webm-writer.js';
+import { RECORDING_RESOLUTIONS } from './recorder.js';
+import { defaultParams, coerceParams } from './visualizers/visualizer.js';
+import { FrameClock, DEFAULT_WAVEFORM_RATE } from './frame-clock.js';
+import { filenameSlug, exportFilename } from './filenames.js';
+
+export const OFFLINE_SAMPLE_RATE = 48000; // tracks are decoded at this rate whatever the hardware runs at
+export const OFFLINE_FORMATS = ['webm', 'png'];
+
+const KEYFRAME_INTERVAL = 2; // seconds between video keyframes
+const MAX_ENCODE_QUEUE = 8; // frames waiting in the video encoder before we wait for it
+const AUDIO_BITRATE = 192000;
+const YIELD_INTERVAL = 10; // frames between letting the page update the progress
+
+// VP9 levels as [ level, max pixels per frame, max pixels per second ] from the VP9 spec's table
+const VP9_LEVELS = [
+    [10, 36864, 829440],
+    [11, 73728, 2764800],
+    [20, 122880, 4608000],
+    [21, 245760, 9216000],
+    [30, 552960, 20736000],
+    [31, 983040, 36864000],
+    [40, 2228224, 83558400],
+    [41, 2228224, 160432128],
+    [50, 8912896, 311951360],
+    [51, 8912896, 588251136],
+    [52, 8912896, 1176502272],
+    [60, 35651584, 1176502272],
+    [61, 35651584, 2353004544],
+    [62, 35651584, 4706009088]
+];
+
+// Same format as Visualizer.params so the settings panel can draw them
+export const offlineRenderParams = {
+    format: { type: 'select', label: 'Render format', default: 'webm', options: OFFLINE_FORMATS },
+    frameRate: { type: 'int', label: 'Render frame rate', default: 30, min: 1, max: 120, step: 1 },
+    resolution: { type: 'select', label: 'Render resolution', default: '1080p', options: Object.keys(RECORDING_RESOLUTIONS) },
+    videoBitrate: { type: 'number', label: 'Render bitrate (Mbps)', default: 12, min: 1, max: 40, step: 1 },
+    seed: { type: 'int', label: 'Render seed', default: 1, min: 0, max: 9999, step: 1 }
+};
+
+export function defaultOfflineRenderSettings() {
+    return defaultParams(offlineRenderParams);
+}
+
+export function coerceOfflineRenderSettings(values, current=defaultOfflineRenderSettings()) {
+    return coerceParams(offlineRenderParams, values, current);
+}
+
+// Small seeded PRNG ( mulberry32 ), drop in for Math.random
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Decode a track ( File/Blob ) at OFFLINE_SAMPLE_RATE
+export async function decodeTrack(blob) {
+    const data = await blob.arrayBuffer();
+    const context = new OfflineAudioContext(2, 1, OFFLINE_SAMPLE_RATE);
+    return context.decodeAudioData(data);
+}
+
+// Every frame of a render: { index, count, sample } plus the frame clock's timing ( time,
+// deltaTime, clearFrame, updateWaveform ) on the same clock the live loop uses
+export function* offlineFrames(audioBuffer, frameRate, waveformRate=DEFAULT_WAVEFORM_RATE) {
+    const count = Math.ceil(audioBuffer.duration * frameRate);
+    const clock = new FrameClock(waveformRate);
+    for (let index = 0; index < count; index++) {
+        const time = index / frameRate;
+        yield {
+            index: index,
+            count: count,
+            sample: Math.round(time * audioBuffer.sampleRate),
+            ...clock.tick(time)
+        };
+    }
+}
+
+// jsmusicvis-<track>-seed<seed>-<fps>fps.webm ( or .zip ), no date so re-renders land on the same name
+export function offlineRenderFilename(title, settings) {
+    const extension = settings.format === 'png' ? 'zip' : 'webm';
+    return exportFilename([filenameSlug(title), 'seed' + settings.seed, settings.frameRate + 'fps'], extension);
+}
+
+// VP9 profile 0, 8 bit codec string at the lowest level that covers the output, encoders can
+// turn down ( or clamp ) a config whose level is too low for its size and frame rate
+export function vp9Codec(width, height, frameRate) {
+    const pixels = width * height;
+    const match = VP9_LEVELS.find(([, maxPixels, maxRate]) => pixels <= maxPixels && pixels * frameRate <= maxRate);
+    const level = match ? match[0] : VP9_LEVELS[VP9_LEVELS.length - 1][0];
+    return `vp09.00.${level}.08`;
+}
+
+// 16 bit PCM wav of a decoded track, to go alongside a PNG sequence
+export function encodeWav(audioBuffer) {
+    const channels = audioBuffer.numberOfChannels;
+    const length = audioBuffer.length;
+    const bytes = new ArrayBuffer(44 + length * channels * 2);
+    const view = new DataView(bytes);
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + length * channels * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, audioBuffer.sampleRate, true);
+    view.setUint32(28, audioBuffer.sampleRate * channels * 2, true);
+    view.setUint16(32, channels * 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, length * channels * 2, true);
+
+    const data = [];
+    for (let channel = 0; channel < channels; channel++) {
+        data.push(audioBuffer.getChannelData(channel));
+    }
+    let offset = 44;
+    for (let i = 0; i < length; i++) {
+        for (let channel = 0; channel < channels; channel++) {
+            const sample = Math.max(-1, Math.min(1, data[channel][i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+            offset += 2;
+        }
+    }
+    return new Blob([bytes], { type: 'audio/wav' });
+}
+
+// frame-000001.png...
+export function frameFilename(index) {
+    return 'frame-' + String(index).padStart(6, '0') + '.png';
+}
+
+// A read back frame ( { width, height, data } ) as a PNG Blob, draw( ctx, width, height ) can add
+// to it first
+export async function encodePng(image, draw=null) {
+    let canvas;
+    if (typeof OffscreenCanvas !== 'undefined') {
+        canvas = new OffscreenCanvas(image.width, image.height);
+    } else {
+        canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+    if (draw) {
+        draw(ctx, image.width, image.height);
+    }
+    if (canvas.convertToBlob) {
+        return canvas.convertToBlob({ type: 'image/png' });
+    }
+    return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let i = 0; i < 256; i++) {
+            let c = i;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[i] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Uncompressed ( stored ) zip, PNGs are compressed already so deflate wouldn't buy much
+class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+    }
+
+    async addFile(name, blob) {
+        const data = new Uint8Array(await blob.arrayBuffer());
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = crc32(data);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true); // local file header
+        header.setUint16(4, 20, true); // version needed
+        header.setUint16(8, 0, true); // stored
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, nameBytes.length, true);
+        this.parts.push(header, nameBytes, data);
+
+        this.entries.push({ nameBytes: nameBytes, crc: crc, size: data.length, offset: this.offset });
+        this.offset += 30 + nameBytes.length + data.length;
+    }
+
+    finish() {
+        const central = [];
+        let centralSize = 0;
+        for (const entry of this.entries) {
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true); // central directory header
+            header.setUint16(4, 20, true); // version made by
+            header.setUint16(6, 20, true); // version needed
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.size, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, entry.nameBytes.length, true);
+            header.setUint32(42, entry.offset, true);
+            central.push(header, entry.nameBytes);
+            centralSize += 46 + entry.nameBytes.length;
+        }
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // end of central directory
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, this.offset, true);
+        return new Blob([...this.parts, ...central, end], { type: 'application/zip' });
+    }
+}
+
+// Frames as numbered PNGs plus the audio as audio.wav, written into a folder picked with
+// showDirectoryPicker or, without one, collected into a zip ( which has to fit in memory )
+export class PngSequenceSink {
+    constructor(directory=null) {
+        this.directory = directory;
+        this.zip = directory ? null : new ZipWriter();
+    }
+
+    async writeFile(name, blob) {
+        if (this.zip) {
+            await this.zip.addFile(name, blob);
+            return;
+        }
+        const handle = await this.directory.getFileHandle(name, { create: true });
+        const writable = await handle.createWritable();
+        await writable.write(blob);
+        await writable.close();
+    }
+
+    async addFrame(image, frame) {
+        await this.writeFile(frameFilename(frame.index), await encodePng(image));
+    }
+
+    // Resolves with the zip, or null when everything went into the folder
+    async finish(audioBuffer) {
+        await this.writeFile('audio.wav', encodeWav(audioBuffer));
+        return this.zip ? this.zip.finish() : null;
+    }
+}
+
+// Frames and audio encoded with WebCodecs ( VP9 or VP8 and Opus ) into a WebM
+export class WebMSink {
+    constructor({ width, height, frameRate, videoBitrate }) {
+        this.width = width;
+        this.height = height;
+        this.frameRate = frameRate;
+        this.videoBitrate = videoBitrate;
+        this.videoEncoder = null;
+        this.writer = null;
+        this.error = null;
+        this.wake = null; // lets a frame waiting on the encoder's queue go, see encoderProgress
+    }
+
+    async init() {
+        if (typeof VideoEncoder === 'undefined') {
+            throw new Error("This browser can't encode video ( no WebCodecs ), render a PNG sequence instead.");
+        }
+        const candidates = [
+            { codec: vp9Codec(this.width, this.height, this.frameRate), trackCodec: 'V_VP9' },
+            { codec: 'vp8', trackCodec: 'V_VP8' }
+        ];
+        let chosen = null;
+        for (const candidate of candidates) {
+            const config = {
+                codec: candidate.codec,
+                width: this.width,
+                height: this.height,
+                bitrate: this.videoBitrate * 1000000,
+                framerate: this.frameRate,
+                latencyMode: 'quality'
+            };
+            const support = await VideoEncoder.isConfigSupported(config);
+            if (support.supported) {
+                chosen = { ...candidate, config: config };
+                break;
+            }
+        }
+        if (!chosen) {
+            throw new Error(`No WebM video encoder for ${this.width}x${this.height}.`);
+        }
+
+        this.writer = new WebMWriter({
+            video: { codec: chosen.trackCodec, width: this.width, height: this.height }
+        });
+        this.videoEncoder = new VideoEncoder({
+            output: (chunk) => this.writer.addVideoChunk(chunk),
+            error: (error) => {
+                this.error = error;
+                this.wakeFrame();
+            }
+        });
+        this.videoEncoder.configure(chosen.config);
+    }
+
+    async addFrame(image, frame) {
+        if (this.error) throw this.error;
+        // Don't let frames pile up in the encoder faster than it gets through them
+        while (this.videoEncoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+            await this.encoderProgress();
+            // Woken because the encoder failed or closed, its queue won't go down now
+            if (this.error) throw this.error;
+            if (this.videoEncoder.state === 'closed') {
+                throw new Error("The video encoder closed before the render finished.");
+            }
+        }
+        const videoFrame = new VideoFrame(image.data, {
+            format: 'RGBA',
+            codedWidth: image.width,
+            codedHeight: image.height,
+            timestamp: Math.round(frame.index * 1000000 / this.frameRate),
+            duration: Math.round(1000000 / this.frameRate)
+        });
+        this.videoEncoder.encode(videoFrame, { keyFrame: frame.index % Math.max(1, Math.round(KEYFRAME_INTERVAL * this.frameRate)) === 0 });
+        videoFrame.close();
+    }
+
+    // Resolves when the encoder takes a frame off its queue, or fails or closes ( no more dequeues then )
+    encoderProgress() {
+        return new Promise((resolve) => {
+            const done = () => {
+                this.videoEncoder.removeEventListener('dequeue', done);
+                this.wake = null;
+                resolve();
+            };
+            this.wake = done;
+            this.videoEncoder.addEventListener('dequeue', done);
+        });
+    }
+
+    wakeFrame() {
+        if (this.wake) {
+            this.wake();
+        }
+    }
+
+    // The audio goes in once all the frames are done, skipped if the browser can't encode Opus
+    async encodeAudio(audioBuffer) {
+        if (typeof AudioEncoder === 'undefined') return;
+        const channels = Math.min(audioBuffer.numberOfChannels, 2);
+        const config = { codec: 'opus', sampleRate: audioBuffer.sampleRate, numberOfChannels: channels, bitrate: AUDIO_BITRATE };
+        const support = await AudioEncoder.isConfigSupported(config);
+        if (!support.supported) {
+            console.log('No Opus encoder, the render will be silent');
+            return;
+        }
+
+        const audioTrack = { codec: 'A_OPUS', sampleRate: audioBuffer.sampleRate, channels: channels, codecPrivate: opusHead(channels, audioBuffer.sampleRate) };
+        const audioEncoder = new AudioEncoder({
+            output: (chunk, metadata) => {
+                if (metadata && metadata.decoderConfig && metadata.decoderConfig.description) {
+                    audioTrack.codecPrivate = new Uint8Array(metadata.decoderConfig.description);
+                }
+                this.writer.addAudioChunk(chunk);
+            },
+            error: (error) => { this.error = error; }
+        });
+        audioEncoder.configure(config);
+
+        // A second at a time, planar like the AudioBuffer
+        const block = audioBuffer.sampleRate;
+        for (let start = 0; start < audioBuffer.length; start += block) {
+            const frames = Math.min(block, audioBuffer.length - start);
+            const data = new Float32Array(frames * channels);
+            for (let channel = 0; channel < channels; channel++) {
+                data.set(audioBuffer.getChannelData(channel).subarray(start, start + frames), channel * frames);
+            }
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate: audioBuffer.sampleRate,
+                numberOfFrames: frames,
+                numberOfChannels: channels,
+                timestamp: Math.round(start * 1000000 / audioBuffer.sampleRate),
+                data: data
+            });
+            audioEncoder.encode(audioData);
+            audioData.close();
+        }
+        await audioEncoder.flush();
+        audioEncoder.close();
+        this.writer.audio = audioTrack;
+    }
+
+    // Resolves with the WebM
+    async finish(audioBuffer) {
+        await this.videoEncoder.flush();
+        this.videoEncoder.close();
+        await this.encodeAudio(audioBuffer);
+        if (this.error) throw this.error;
+        return this.writer.finish();
+    }
+
+    // Drop everything, for cancelled renders
+    close() {
+        if (this.videoEncoder && this.videoEncoder.state !== 'closed') {
+            this.videoEncoder.close();
+        }
+        this.wakeFrame();
+    }
+}
+
+// Step through the whole track. renderFrame( frame ) draws it, readFrame() resolves with its
+// pixels. Resolves with whatever the sink finishes with, throws if the signal aborts part way.
+export async function renderOffline({ audioBuffer, frameRate, waveformRate, renderFrame, readFrame, sink, onProgress=null, signal=null }) {
+    for (const frame of offlineFrames(audioBuffer, frameRate, waveformRate)) {
+        if (signal && signal.aborted) {
+            if (sink.close) sink.close();
+            throw new Error("Render cancelled.");
+        }
+        renderFrame(frame);
+        const image = await readFrame();
+        await sink.addFrame(image, frame);
+        if (onProgress) {
+            onProgress(frame.index + 1, frame.count);
+        }
+        // Let the page breathe ( progress readout, cancel button )
+        if (frame.index % YIELD_INTERVAL === 0) {
+            await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+    }
+    return sink.finish(audioBuffer);
+}
@@ -0,0 +1,349 @@
+// Palette Module
+// Where the visualization colours come from. Every frame the engine hands out a primary
+// colour ( the waveform, bars... ), a secondary one ( right channel, accents ) plus the
+// shadow and background colours, all as 0-255 { r, g, b }. Modes:
+//   random-walk - the original jittering RGB walk that re-rolls when it gets bland or dark
+//   palette     - glides through a named gradient ( blended in OKLab so it doesn't go muddy ),
+//                 'album' uses colours picked out of the current track's cover art
+//   cycle       - hue rotation in HSV or OKLCH at a set speed
+//   audio       - hue from the spectral centroid, brightness from the loudness
+
+import { hexToRGB } from './visualizers/visualizer.js';
+
+export const COLOR_MODES = ['random-walk', 'palette', 'cycle', 'audio'];
+export const CYCLE_SPACES = ['oklch', 'hsv'];
+export const SHADOW_MODES = ['black', 'dark', 'complement'];
+export const BACKGROUND_MODES = ['black', 'tint', 'complement'];
+
+// Gradient stops, the gradient loops back from the last to the first
+export const PALETTES = {
+    sunset: ['#ff4e50', '#fc913a', '#f9d62e', '#ff6f91', '#c94b9b'],
+    ocean: ['#00c6ff', '#0072ff', '#00f5d4', '#3a86ff'],
+    neon: ['#ff00e5', '#00f0ff', '#39ff14', '#fffb00'],
+    fire: ['#ff2200', '#ff7b00', '#ffc300', '#ff4800'],
+    forest: ['#a8e063', '#56ab2f', '#c6ff00', '#2ecc71'],
+    vapor: ['#ff71ce', '#01cdfe', '#05ffa1', '#b967ff', '#fffb96'],
+    ice: ['#e0f7ff', '#9be7ff', '#5ac8fa', '#b3c7ff']
+};
+
+// Same schema format as Visualizer.params, these end up in the app's visual settings
+export const paletteParams = {
+    colorMode: { type: 'select', label: 'Colour mode', default: 'random-walk', options: COLOR_MODES },
+    palette: { type: 'select', label: 'Palette', default: 'sunset', options: [...Object.keys(PALETTES), 'album'] },
+    colorSpeed: { type: 'number', label: 'Colour speed (cycles/min)', default: 4, min: 0, max: 60, step: 0.5 },
+    cycleSpace: { type: 'select', label: 'Hue cycle space', default: 'oklch', options: CYCLE_SPACES },
+    colorSaturation: { type: 'number', label: 'Saturation', default: 0.8, min: 0, max: 1, step: 0.05 },
+    colorLightness: { type: 'number', label: 'Brightness', default: 0.8, min: 0, max: 1, step: 0.05 },
+    colorBeatJump: { type: 'boolean', label: 'Jump colour on beats', default: false },
+    // Colour random walk
+    colorStep: { type: 'int', label: 'Colour drift', default: 20, min: 0, max: 128, step: 1 }, // max change per channel per update
+    colorMinBright: { type: 'int', label: 'Reseed brightness', default: 200, min: 0, max: 255, step: 1 }, // a reseeded colour needs a channel this bright
+    colorMinSpread: { type: 'int', label: 'Blandness', default: 50, min: 0, max: 255, step: 1 }, // channels closer than this are too bland
+    colorMinLevel: { type: 'int', label: 'Darkness', default: 128, min: 0, max: 255, step: 1 }, // every channel under this is too dark
+    // Other layers
+    shadowMode: { type: 'select', label: 'Palette shadow', default: 'black', options: SHADOW_MODES },
+    backgroundMode: { type: 'select', label: 'Palette background', default: 'black', options: BACKGROUND_MODES }
+};
+
+const WALK_INTERVAL = 0.05; // seconds between random walk steps ( the old 50ms waveform tick )
+const AUDIO_SMOOTHING = 0.15; // seconds, time constant for the centroid/loudness
+const CENTROID_LOW = 150; // Hz at the red end of the audio hue range
+const CENTROID_HIGH = 8000; // Hz at the violet end
+const AUDIO_HUE_RANGE = 300; // degrees the centroid sweeps through
+
+function clamp01(value) {
+    return Math.min(Math.max(value, 0), 1);
+}
+
+function fract(value) {
+    return value - Math.floor(value);
+}
+
+function scaleRGB(color, amount) {
+    return {
+        r: Math.round(color.r * amount),
+        g: Math.round(color.g * amount),
+        b: Math.round(color.b * amount)
+    };
+}
+
+/* Colour space conversions */
+
+function srgbToLinear(channel) {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(channel) {
+    const c = channel <= 0.0031308 ? channel * 12.92 : 1.055 * Math.pow(channel, 1 / 2.4) - 0.055;
+    return Math.round(clamp01(c) * 255);
+}
+
+// Björn Ottosson's OKLab, L 0-1 with a/b roughly -0.4..0.4
+function rgbToOklab(color) {
+    const r = srgbToLinear(color.r);
+    const g = srgbToLinear(color.g);
+    const b = srgbToLinear(color.b);
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+    return {
+        L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+}
+
+// Linear sRGB, can land outside 0-1 for colours the screen can't show
+function oklabToLinear(lab) {
+    const l = Math.pow(lab.L + 0.3963377774 * lab.a + 0.2158037573 * lab.b, 3);
+    const m = Math.pow(lab.L - 0.1055613458 * lab.a - 0.0638541728 * lab.b, 3);
+    const s = Math.pow(lab.L - 0.0894841775 * lab.a - 1.2914855480 * lab.b, 3);
+    return [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+}
+
+function oklabToRGB(lab) {
+    const [r, g, b] = oklabToLinear(lab);
+    return { r: linearToSrgb(r), g: linearToSrgb(g), b: linearToSrgb(b) };
+}
+
+function inGamut(channels) {
+    return channels.every((c) => c >= -0.0001 && c <= 1.0001);
+}
+
+// Hue in degrees, out of gamut colours keep their lightness and hue and lose chroma until they fit
+export function oklchToRGB(L, C, hue) {
+    const angle = hue * Math.PI / 180;
+    const lab = (chroma) => ({ L: L, a: chroma * Math.cos(angle), b: chroma * Math.sin(angle) });
+    if (inGamut(oklabToLinear(lab(C)))) {
+        return oklabToRGB(lab(C));
+    }
+    let low = 0;
+    let high = C;
+    for (let i = 0; i < 16; i++) {
+        const mid = (low + high) / 2;
+        if (inGamut(oklabToLinear(lab(mid)))) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return oklabToRGB(lab(low));
+}
+
+// Hue in degrees, saturation and value 0-1
+export function hsvToRGB(hue, saturation, value) {
+    const h = fract(hue / 360) * 6;
+    const channel = (n) => {
+        const k = (n + h) % 6;
+        return Math.round((value - value * saturation * Math.max(Math.min(k, 4 - k, 1), 0)) * 255);
+    };
+    return { r: channel(5), g: channel(3), b: channel(1) };
+}
+
+// Opposite hue, lightness scaled by lightness
+function complementRGB(color, lightness=1) {
+    const lab = rgbToOklab(color);
+    return oklabToRGB({ L: lab.L * lightness, a: -lab.a, b: -lab.b });
+}
+
+function mixOklab(from, to, amount) {
+    const a = rgbToOklab(from);
+    const b = rgbToOklab(to);
+    return oklabToRGB({
+        L: a.L + (b.L - a.L) * amount,
+        a: a.a + (b.a - a.a) * amount,
+        b: a.b + (b.b - a.b) * amount
+    });
+}
+
+export class PaletteEngine {
+    constructor() {
+        this.settings = {};
+        for (const [name, definition] of Object.entries(paletteParams)) {
+            this.settings[name] = definition.default;
+        }
+
+        // Swappable so a render can be made repeatable with a seeded generator
+        this.random = Math.random;
+
+        // Position through the palette / hue cycle in cycles
+        this.position = 0;
+        this.lastTime = null;
+
+        // Random walk state
+        this.walk = { r: 0, g: 0, b: 0 };
+        this.lastWalkStep = -Infinity;
+
+        // Stops for the 'album' palette ( see setArtColors )
+        this.artStops = null;
+
+        // Smoothed audio features for the audio mode
+        this.centroid = 0; // 0-1 along CENTROID_LOW..CENTROID_HIGH
+        this.loudness = 0; // 0-1
+
+        this.colors = null;
+    }
+
+    // Take whichever palette settings are in values, anything else is ignored
+    configure(values) {
+        for (const name of Object.keys(paletteParams)) {
+            if (values[name] !== undefined) {
+                this.settings[name] = values[name];
+            }
+        }
+    }
+
+    // Colours from the current cover art as '#rrggbb' ( see album-art.js ), null when there's no art
+    // The 'album' palette falls back to the default palette without at least two
+    setArtColors(colors) {
+        this.artStops = colors && colors.length >= 2 ? colors.map(hexToRGB) : null;
+    }
+
+    // Work out this frame's colours, analysis is { frequencyData ( dB ), sampleRate, rhythm }
+    // with any part missing when there's no audio yet
+    update(time, analysis={}) {
+        const { colorMode, colorSpeed, colorBeatJump } = this.settings;
+        const deltaSeconds = this.lastTime === null ? 0 : Math.max(time - this.lastTime, 0);
+        this.lastTime = time;
+
+        this.position += deltaSeconds * colorSpeed / 60;
+        const beat = colorBeatJump && analysis.rhythm && analysis.rhythm.beat;
+
+        let primary, secondary;
+        if (colorMode === 'palette') {
+            const stops = this.settings.palette === 'album' && this.artStops
+                ? this.artStops
+                : (PALETTES[this.settings.palette] || PALETTES.sunset).map(hexToRGB);
+            if (beat) this.position += 1 / stops.length;
+            primary = this.gradientAt(stops, this.position);
+            secondary = this.gradientAt(stops, this.position + 0.5);
+        } else if (colorMode === 'cycle') {
+            if (beat) this.position += 1 / 6;
+            const hue = fract(this.position) * 360;
+            primary = this.hueColor(hue, this.settings.colorLightness);
+            secondary = this.hueColor(hue + 120, this.settings.colorLightness);
+        } else if (colorMode === 'audio') {
+            if (beat) this.position += 1 / 6;
+            this.updateAudioFeatures(analysis, deltaSeconds);
+            const hue = this.centroid * AUDIO_HUE_RANGE + fract(this.position) * 360;
+            const lightness = this.settings.colorLightness * (0.35 + 0.65 * this.loudness);
+            primary = this.hueColor(hue, lightness);
+            secondary = this.hueColor(hue + 120, lightness);
+        } else {
+            if (beat) this.walk = { r: 0, g: 0, b: 0 }; // re-roll
+            primary = this.walkStep(time);
+            // Channels rotated like the stereo scope always did
+            secondary = { r: primary.g, g: primary.b, b: primary.r };
+        }
+
+        this.colors = {
+            primary: primary,
+            secondary: secondary,
+            shadow: this.shadowColor(primary),
+            background: this.backgroundColor(primary)
+        };
+        return this.colors;
+    }
+
+    gradientAt(stops, position) {
+        const scaled = fract(position) * stops.length;
+        const index = Math.floor(scaled) % stops.length;
+        return mixOklab(stops[index], stops[(index + 1) % stops.length], scaled - Math.floor(scaled));
+    }
+
+    hueColor(hue, lightness) {
+        const { cycleSpace, colorSaturation } = this.settings;
+        if (cycleSpace === 'hsv') {
+            return hsvToRGB(hue, colorSaturation, lightness);
+        }
+        return oklchToRGB(0.4 + 0.55 * lightness, 0.3 * colorSaturation, hue);
+    }
+
+    updateAudioFeatures(analysis, deltaSeconds) {
+        const { frequencyData, sampleRate } = analysis;
+        if (!frequencyData || !sampleRate) return;
+
+        const binHz = sampleRate / 2 / frequencyData.length;
+        let weighted = 0;
+        let total = 0;
+        let power = 0;
+        for (let i = 1; i < frequencyData.length; i++) {
+            const magnitude = Math.pow(10, frequencyData[i] / 20);
+            weighted += magnitude * i * binHz;
+            total += magnitude;
+            power += magnitude * magnitude;
+        }
+
+        let centroid = this.centroid;
+        if (total > 0) {
+            const hz = Math.min(Math.max(weighted / total, CENTROID_LOW), CENTROID_HIGH);
+            centroid = Math.log(hz / CENTROID_LOW) / Math.log(CENTROID_HIGH / CENTROID_LOW);
+        }
+        const rms = Math.sqrt(power / frequencyData.length);
+        const db = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+        const loudness = clamp01((db + 70) / 50);
+
+        // Ease towards the new values so the colour doesn't flicker with every frame
+        const amount = 1 - Math.exp(-deltaSeconds / AUDIO_SMOOTHING);
+        this.centroid += (centroid - this.centroid) * amount;
+        this.loudness += (loudness - this.loudness) * amount;
+    }
+
+    randomInt(min, max) {
+        return Math.floor(this.random() * (max - min + 1)) + min;
+    }
+
+    // The original walk, stepped at its old 50ms rate whatever the frame rate is
+    walkStep(time) {
+        if (time - this.lastWalkStep < WALK_INTERVAL) {
+            return { ...this.walk };
+        }
+        this.lastWalkStep = time;
+
+        const { colorStep, colorMinBright, colorMinSpread, colorMinLevel } = this.settings;
+        const walk = this.walk;
+        if ( isNaN(walk.r) || isNaN(walk.g) || isNaN(walk.b) || // if averages are not set
+                ((walk.r - walk.g) < colorMinSpread && (walk.g - walk.b) < colorMinSpread && (walk.b - walk.g) < colorMinSpread) || // if the different values are too similar ( eg: bland )
+                ( walk.r < colorMinLevel && walk.g < colorMinLevel && walk.b < colorMinLevel ) // if it's not bright enough
+        ) {
+            while ( walk.r < colorMinBright && walk.g < colorMinBright && walk.b < colorMinBright ) {
+                walk.r = this.randomInt(0, 255);
+                walk.g = this.randomInt(0, 255);
+                walk.b = this.randomInt(0, 255);
+            }
+        }
+
+        for (const channel of ['r', 'g', 'b']) {
+            walk[channel] = Math.min(walk[channel] + this.randomInt(0, colorStep), 255);
+            walk[channel] = Math.max(walk[channel] - this.randomInt(0, colorStep), 0);
+        }
+        return { ...walk };
+    }
+
+    shadowColor(primary) {
+        switch (this.settings.shadowMode) {
+            case 'dark':
+                return scaleRGB(primary, 0.25);
+            case 'complement':
+                return complementRGB(primary, 0.5);
+            default:
+                return { r: 0, g: 0, b: 0 };
+        }
+    }
+
+    backgroundColor(primary) {
+        switch (this.settings.backgroundMode) {
+            case 'tint':
+                return scaleRGB(primary, 0.12);
+            case 'complement':
+                return complementRGB(primary, 0.25);
+            default:
+                return { r: 0, g: 0, b: 0 };
+        }
+    }
+}
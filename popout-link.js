@@ -0,0 +1,88 @@
+// Popout Link Module
+// The pop out window shows just the visualization ( on a second monitor or TV say ) while the
+// player window keeps the playlist and does all the audio work. They talk over a BroadcastChannel:
+// the player sends the current look, track and cover art when a pop out says hello, then every
+// frame's analysis as it renders it. Either side says bye when its page goes away, and hello
+// again when it comes back, so a reloaded player picks its pop out straight back up.
+//
+// Messages are { type, from, data }:
+//   hello / bye          either way, a hello is answered once ( data.reply ) so both sides know
+//   state                player -> pop out, everything needed to start rendering ( see app.js )
+//   frame                player -> pop out, renderFrame's params
+//   visualizer           player -> pop out, { id, state }
+//   settings             player -> pop out, { artBackground, quality }
+//   nowPlayingOptions    player -> pop out, the overlay's options
+//   track                player -> pop out, { title, artist, album } to announce
+//   art                  player -> pop out, the cover art's Blob or null, decoded over there
+//   analysis             player -> pop out, { bufferLength } when the analysis window changes
+
+export const POPOUT_CHANNEL = 'jsmusicvis-popout';
+export const POPOUT_WINDOW = 'jsmusicvis-popout'; // window.open name, opening again reuses the window
+export const POPOUT_FEATURES = 'popup,width=1280,height=720';
+
+export class PopoutLink {
+    // role is 'player' or 'popout'
+    constructor(role) {
+        this.role = role;
+        this.connected = false;
+        this.handlers = {};
+
+        // Called when the other side turns up or goes away
+        this.onConnect = null;
+        this.onDisconnect = null;
+
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(POPOUT_CHANNEL) : null;
+        if (this.channel) {
+            this.channel.addEventListener('message', (e) => this.receive(e.data));
+            window.addEventListener('pagehide', () => this.send('bye'));
+        }
+    }
+
+    get available() {
+        return this.channel !== null;
+    }
+
+    // Handle messages of type, one handler each
+    on(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    send(type, data=null) {
+        if (!this.channel) return;
+        try {
+            this.channel.postMessage({ type: type, from: this.role, data: data });
+        } catch (error) {
+            // Something that doesn't clone, don't let it take the frame loop down with it
+            console.error(`Couldn't send "${type}" to the other window:`, error);
+        }
+    }
+
+    // Announce ourselves, whoever's on the other side answers
+    hello() {
+        this.send('hello');
+    }
+
+    receive(message) {
+        if (!message || message.from === this.role) return;
+
+        if (message.type === 'hello') {
+            if (!message.data || !message.data.reply) {
+                this.send('hello', { reply: true });
+            }
+            this.connected = true;
+            if (this.onConnect) {
+                this.onConnect();
+            }
+        } else if (message.type === 'bye') {
+            this.connected = false;
+            if (this.onDisconnect) {
+                this.onDisconnect();
+            }
+        }
+
+        const handler = this.handlers[message.type];
+        if (handler) {
+            handler(message.data);
+        }
+    }
+}
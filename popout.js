@@ -0,0 +1,207 @@
+// Pop out window: just the canvas and a renderer, drawing the frames the player window analyses
+// and sends over the popout link ( see popout-link.js ). Nothing here touches audio.
+
+import { WebGPURenderer } from './webgpu-renderer.js';
+import { Canvas2DRenderer } from './canvas2d-renderer.js';
+import { QualityManager, coerceQualitySettings } from './quality.js';
+import { loadArtBitmap } from './album-art.js';
+import { PopoutLink } from './popout-link.js';
+import { toggleFullscreen } from './kiosk.js';
+
+const link = new PopoutLink('popout');
+
+// Same quality handling as the player, this window's frame times are its own
+const quality = new QualityManager();
+let qualitySettings = coerceQualitySettings({});
+
+let canvas = null;
+let renderer = null;
+// Renderer being set up from the first state message, later messages wait for it
+let rendererReady = null;
+
+// Cover art the player sent last, so a slow decode doesn't overwrite a newer one
+let artBlob = null;
+
+function setStatus(text) {
+    const status = document.getElementById('popout-status');
+    status.textContent = text || '';
+    status.style.display = text ? 'block' : 'none';
+}
+
+async function setupRenderer(bufferLength, visualizerId) {
+    canvas = document.getElementById('canvas');
+    let created = null;
+    try {
+        created = new WebGPURenderer();
+        await created.initialize(canvas, bufferLength, visualizerId);
+    } catch (error) {
+        console.log('WebGPU unavailable, falling back to Canvas 2D:', error);
+        // A canvas that already handed out a webgpu context won't give us a 2d one
+        if (!canvas.getContext('2d')) {
+            const freshCanvas = canvas.cloneNode(false);
+            canvas.replaceWith(freshCanvas);
+            canvas = freshCanvas;
+        }
+        created = new Canvas2DRenderer();
+        await created.initialize(canvas, bufferLength, visualizerId);
+    }
+
+    created.onDeviceLost = (message) => {
+        setStatus('Lost the GPU (' + message + '), restoring...');
+    };
+    created.onDeviceRestored = () => {
+        quality.reset();
+        setStatus(link.connected ? null : 'Waiting for the player...');
+    };
+    created.onError = (error) => {
+        console.error('GPU error:', error);
+    };
+    // Frames start rendering from here on
+    renderer = created;
+
+    // Auto picked another level, the renderer follows
+    quality.onChange = () => {
+        applyQuality();
+    };
+    window.addEventListener('resize', () => {
+        renderer.resizeCanvas();
+    }, false);
+    await applyQuality();
+}
+
+async function applyQuality() {
+    try {
+        await renderer.setQuality(quality.settings);
+    } catch (error) {
+        console.error('Error changing quality:', error);
+    }
+}
+
+async function applyVisualizer(visualizer) {
+    if (renderer.visualizerId !== visualizer.id) {
+        try {
+            await renderer.setVisualizer(visualizer.id);
+        } catch (error) {
+            // Not on this backend, or the GPU's being restored, carry on with what's showing
+            console.error('Error changing visualizer:', error);
+        }
+    }
+    if (renderer.visualizerId === visualizer.id) {
+        renderer.setVisualizerState(visualizer.state);
+    }
+}
+
+function applySettings(settings) {
+    renderer.configureAlbumArt({ opacity: settings.artBackground });
+    if (settings.quality !== qualitySettings.preset) {
+        qualitySettings = coerceQualitySettings({ preset: settings.quality }, qualitySettings);
+        quality.setPreset(qualitySettings.preset);
+        applyQuality();
+    }
+}
+
+function applyNowPlayingOptions(options) {
+    try {
+        renderer.configureNowPlaying(options);
+    } catch (error) {
+        console.log('Ignoring now playing options', error);
+    }
+}
+
+async function showArt(blob) {
+    artBlob = blob;
+    let bitmap = null;
+    if (blob) {
+        try {
+            bitmap = await loadArtBitmap(blob);
+        } catch (error) {
+            console.log('Could not decode cover art', error);
+        }
+    }
+    // Newer art came in while we were decoding
+    if (artBlob !== blob) {
+        if (bitmap) bitmap.close();
+        return;
+    }
+    renderer.setAlbumArt(bitmap);
+}
+
+// Everything the player has going, sent whenever we connect
+async function applyState(state) {
+    if (!rendererReady) {
+        rendererReady = setupRenderer(state.bufferLength, state.visualizer.id);
+    }
+    try {
+        await rendererReady;
+    } catch (error) {
+        setStatus('Renderer Initialization Error: ' + error.message);
+        return;
+    }
+
+    // Sized for the player's analysis, which may have changed while we were apart
+    await renderer.setBufferLength(state.bufferLength);
+    await applyVisualizer(state.visualizer);
+    applySettings(state.settings);
+    applyNowPlayingOptions(state.nowPlayingOptions);
+    showArt(state.art);
+    if (state.track) {
+        renderer.showNowPlaying(state.track);
+    }
+    setStatus(null);
+}
+
+function renderFrame(frame) {
+    // Nothing to draw into until the first state has set the renderer up
+    if (!renderer) return;
+    renderer.renderFrame(frame);
+    if (!renderer.restoring) {
+        quality.frame(performance.now());
+    }
+}
+
+// Everything else needs the renderer, queue it behind the first state setting one up and drop it
+// if nothing has ( the state brings it up to date ). A renderer that failed to start has said so
+// already, a handler that fails is logged like the rest and the next message carries on.
+function whenReady(handler) {
+    return (data) => {
+        if (rendererReady) {
+            rendererReady.then(() => handler(data), () => {}).catch((error) => {
+                console.error('Error applying what the player sent:', error);
+            });
+        }
+    };
+}
+
+function setupLink() {
+    link.on('state', applyState);
+    link.on('frame', renderFrame);
+    link.on('visualizer', whenReady(applyVisualizer));
+    link.on('settings', whenReady(applySettings));
+    link.on('nowPlayingOptions', whenReady(applyNowPlayingOptions));
+    link.on('track', whenReady((track) => renderer.showNowPlaying(track)));
+    link.on('art', whenReady(showArt));
+    link.on('analysis', whenReady((analysis) => renderer.setBufferLength(analysis.bufferLength)));
+
+    // The last frame stays up while the player's away, it says hello again when it's back
+    link.onDisconnect = () => {
+        quality.reset();
+        setStatus('The player closed, waiting for it to come back...');
+    };
+
+    if (!link.available) {
+        setStatus('This browser can\'t talk to the player window.');
+        return;
+    }
+    link.hello();
+}
+
+window.addEventListener('load', () => {
+    setupLink();
+
+    // Double click for fullscreen, handy on a second screen
+    document.addEventListener('dblclick', () => {
+        toggleFullscreen().catch((error) => {
+            console.log('Fullscreen refused', error);
+        });
+    });
+});
@@ -0,0 +1,155 @@
+// Presets Module
+// A preset is a versioned JSON snapshot of a look: which visualizer, its params and param
+// animations, plus the app level settings ( frame rate, colours, beat sensitivity ).
+// A few ship built in, the rest are saved by the user and can be shared as .json files.
+
+import { defaultParams, coerceParams } from './visualizers/visualizer.js';
+import { paletteParams } from './palette.js';
+import { DEFAULT_WAVEFORM_RATE } from './frame-clock.js';
+import { filenameSlug } from './filenames.js';
+
+export const PRESET_FORMAT = 'jsmusicvis-preset';
+export const PRESET_VERSION = 2;
+
+// Version 2 made the waveform blur's decay, rotation and hue shift per second ( they were per
+// 100ms decay tick and per frame ), old values scale up to look the same at 60fps
+const V2_PER_SECOND = { falloff: 10, rotation: 60, colorShift: 60 };
+
+// App level look settings, same schema format as Visualizer.params
+export const visualSettingsParams = {
+    // 0 renders every frame the display shows
+    targetFps: { type: 'int', label: 'Target FPS (0 = match display)', default: 0, min: 0, max: 240, step: 1 },
+    // How often the waveform is redrawn from fresh audio, 0 redraws every frame ( see frame-clock.js )
+    waveformRate: { type: 'int', label: 'Waveform updates per second (0 = every frame)', default: DEFAULT_WAVEFORM_RATE, min: 0, max: 240, step: 1 },
+    // Colour mode, palette and random walk ( see palette.js )
+    ...paletteParams,
+    // Beat detection, 0 only catches big hits, 1 catches nearly everything
+    beatSensitivity: { type: 'number', label: 'Beat sensitivity', default: 0.5, min: 0, max: 1, step: 0.05 },
+    artBackground: { type: 'number', label: 'Album art background', default: 0, min: 0, max: 1, step: 0.05 }
+};
+
+export function defaultVisualSettings() {
+    return defaultParams(visualSettingsParams);
+}
+
+// Validate settings against the schema, missing or invalid values come from current
+export function coerceVisualSettings(values, current=defaultVisualSettings()) {
+    return coerceParams(visualSettingsParams, values, current);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function upgradeToV2(preset) {
+    if (preset.visualizer !== 'waveform-blur') return preset;
+    const params = isPlainObject(preset.params) ? { ...preset.params } : {};
+    const animations = isPlainObject(preset.animations) ? { ...preset.animations } : {};
+    for (const [name, scale] of Object.entries(V2_PER_SECOND)) {
+        if (typeof params[name] === 'number') {
+            params[name] *= scale;
+        }
+        if (isPlainObject(animations[name]) && typeof animations[name].amplitude === 'number') {
+            animations[name] = { ...animations[name], amplitude: animations[name].amplitude * scale };
+        }
+    }
+    return { ...preset, params: params, animations: animations };
+}
+
+// Snapshot the current look ( state is a Visualizer.getState() result )
+export function createPreset(name, visualizerId, state, settings) {
+    return {
+        format: PRESET_FORMAT,
+        version: PRESET_VERSION,
+        name: name,
+        visualizer: visualizerId,
+        params: { ...state.params },
+        animations: { ...state.animations },
+        settings: coerceVisualSettings(settings)
+    };
+}
+
+// Validate a preset ( object or JSON text ) and bring it up to the current version
+// Params/animations are checked by the visualizer when it's applied, unknown ones are ignored there
+export function parsePreset(input) {
+    let preset = input;
+    if (typeof input === 'string') {
+        try {
+            preset = JSON.parse(input);
+        } catch (error) {
+            throw new Error("Preset is not valid JSON.");
+        }
+    }
+
+    if (!isPlainObject(preset) || preset.format !== PRESET_FORMAT) {
+        throw new Error("Not a JSMusicVis preset.");
+    }
+    if (!Number.isInteger(preset.version) || preset.version < 1) {
+        throw new Error("Preset has no valid version.");
+    }
+    if (preset.version > PRESET_VERSION) {
+        throw new Error(`Preset version ${preset.version} is newer than this player supports (${PRESET_VERSION}).`);
+    }
+    if (typeof preset.visualizer !== 'string' || !preset.visualizer) {
+        throw new Error("Preset doesn't name a visualizer.");
+    }
+
+    // Upgrades from older versions
+    if (preset.version < 2) {
+        preset = upgradeToV2(preset);
+    }
+
+    return {
+        format: PRESET_FORMAT,
+        version: PRESET_VERSION,
+        name: typeof preset.name === 'string' && preset.name.trim() ? preset.name.trim() : 'Untitled',
+        visualizer: preset.visualizer,
+        params: isPlainObject(preset.params) ? preset.params : {},
+        animations: isPlainObject(preset.animations) ? preset.animations : {},
+        settings: coerceVisualSettings(isPlainObject(preset.settings) ? preset.settings : {})
+    };
+}
+
+export function serializePreset(preset) {
+    return JSON.stringify(preset, null, 4);
+}
+
+// Download name for an exported preset
+export function presetFilename(preset) {
+    return (filenameSlug(preset.name) || 'preset') + '.json';
+}
+
+// Looks that ship with the player
+export const builtinPresets = [
+    {
+        name: 'Classic',
+        visualizer: 'waveform-blur'
+    },
+    {
+        name: 'Tunnel',
+        visualizer: 'waveform-blur',
+        params: { zoom: 1.015, beatZoom: 0.01, rotation: 36, colorShift: 60, falloff: 0.08, drift: 'both' },
+        animations: { rotation: { amplitude: 72, period: 16, shape: 'sine' } }
+    },
+    {
+        name: 'Liquid',
+        visualizer: 'waveform-blur',
+        params: { zoom: 1.004, warp: 0.02, translateY: 0.002, lineWidth: 1.5, shadowWidth: 4 },
+        animations: { warp: { amplitude: 0.015, period: 6, shape: 'sine' } },
+        settings: { colorMode: 'palette', palette: 'ocean', colorSpeed: 3, shadowMode: 'dark' }
+    },
+    {
+        name: 'Spectrum Bars',
+        visualizer: 'spectrum'
+    },
+    {
+        name: 'Mirrored Curve',
+        visualizer: 'spectrum',
+        params: { barCount: 96, style: 'curve', mirror: 'horizontal', smoothing: 0.7 },
+        settings: { colorMode: 'audio', backgroundMode: 'tint' }
+    },
+    {
+        name: 'Waterfall',
+        visualizer: 'spectrogram'
+    }
+].map((preset) => parsePreset({ format: PRESET_FORMAT, version: PRESET_VERSION, ...preset }));
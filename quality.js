@@ -0,0 +1,185 @@
+// Quality Module
+// Trades resolution and antialiasing for frame rate. A level sets the canvas scale ( relative to
+// the renderer's own scaleFactor ), the MSAA sample count and the action layer's scale, which is
+// also how much the compute passes ( the blur, custom shaders ) have to cover. 'auto' watches how
+// long frames take and steps between levels, slowly and with a memory of what didn't keep up.
+
+import { defaultParams, coerceParams } from './visualizers/visualizer.js';
+
+// Cheapest first, auto moves along this list
+export const QUALITY_LEVELS = {
+    low: { renderScale: 0.6, sampleCount: 1, actionScale: 0.5 },
+    medium: { renderScale: 0.8, sampleCount: 4, actionScale: 0.75 },
+    high: { renderScale: 1, sampleCount: 4, actionScale: 1 },
+    ultra: { renderScale: 1.25, sampleCount: 4, actionScale: 1 } // auto only, for machines with room to spare
+};
+const LEVEL_NAMES = Object.keys(QUALITY_LEVELS);
+
+export const QUALITY_PRESETS = ['auto', 'low', 'medium', 'high'];
+
+// Where auto starts, the look the renderers had before there were levels
+const AUTO_START = 'high';
+
+// Same format as Visualizer.params so the settings panel can draw them
+export const qualityParams = {
+    preset: { type: 'select', label: 'Quality', default: 'auto', options: QUALITY_PRESETS }
+};
+
+export function defaultQualitySettings() {
+    return defaultParams(qualityParams);
+}
+
+export function coerceQualitySettings(values, current=defaultQualitySettings()) {
+    return coerceParams(qualityParams, values, current);
+}
+
+const WINDOW_TIME = 1000; // ms of frames judged together
+const MIN_WINDOW_FRAMES = 10;
+const MAX_GAP = 250; // ms, a longer wait between frames is a pause or a hitch, not a slow frame
+const SLOWEST_REFRESH = 1000 / 60; // ms, smooth never has to mean slower than a 60Hz display
+const SLOW_RATIO = 1.25; // typical frame this much over the best frame time is too slow
+const SMOOTH_RATIO = 1.08; // and within this is keeping up
+const DOWN_AFTER = 2; // slow windows in a row before dropping a level
+const UP_AFTER = 8; // smooth windows in a row before trying a level up
+const SETTLE_WINDOWS = 1; // windows ignored after a change ( reallocation, pipeline builds )
+const RETRY_DELAY = 30000; // ms before trying a level that was too slow again, doubles each time
+
+// Picks the level for 'auto' from frame times. Feed it frame() with every rendered frame's
+// timestamp, it calls onChange( level ) when it moves. Manual presets just pin the level.
+export class QualityManager {
+    constructor(preset='auto') {
+        this.preset = 'auto';
+        this.level = AUTO_START;
+
+        // Called with the new level's name when auto moves
+        this.onChange = null;
+
+        // Frame time to aim for: the display's refresh ( learnt from the quickest frames, 60Hz at
+        // most so a machine that was slow from the start doesn't set the bar ) or the frame rate
+        // cap, whichever is slower
+        this.frameTime = SLOWEST_REFRESH;
+        this.minFrameTime = 0;
+
+        // Current window
+        this.lastTime = null;
+        this.windowStart = null;
+        this.intervals = [];
+
+        // Hysteresis
+        this.slowWindows = 0;
+        this.smoothWindows = 0;
+        this.settleWindows = 0;
+        this.retries = {}; // level -> { at, delay }, levels auto dropped out of
+
+        this.setPreset(preset);
+    }
+
+    get auto() {
+        return this.preset === 'auto';
+    }
+
+    // Settings for the current level ( see QUALITY_LEVELS )
+    get settings() {
+        return QUALITY_LEVELS[this.level];
+    }
+
+    // Switch preset, returns the level it lands on
+    setPreset(preset) {
+        if (!QUALITY_PRESETS.includes(preset)) {
+            throw new Error(`Unknown quality preset "${preset}".`);
+        }
+        this.preset = preset;
+        this.level = preset === 'auto' ? AUTO_START : preset;
+        this.retries = {};
+        this.reset();
+        return this.level;
+    }
+
+    // The frame rate cap ( ms per frame ), the best frame time can't beat it
+    setMinFrameTime(ms) {
+        if (ms === this.minFrameTime) return;
+        this.minFrameTime = ms;
+        this.frameTime = SLOWEST_REFRESH;
+        this.reset();
+    }
+
+    // Forget the current window, after a pause or anything else that throws frame times off
+    reset() {
+        this.lastTime = null;
+        this.windowStart = null;
+        this.intervals = [];
+        this.slowWindows = 0;
+        this.smoothWindows = 0;
+    }
+
+    // A frame was rendered at time ( ms, the requestAnimationFrame timestamp )
+    frame(time) {
+        if (!this.auto) return;
+
+        if (this.lastTime === null || time - this.lastTime > MAX_GAP) {
+            this.lastTime = time;
+            this.windowStart = time;
+            this.intervals = [];
+            return;
+        }
+        this.intervals.push(time - this.lastTime);
+        this.lastTime = time;
+
+        if (time - this.windowStart >= WINDOW_TIME && this.intervals.length >= MIN_WINDOW_FRAMES) {
+            this.judgeWindow(time);
+            this.windowStart = time;
+            this.intervals = [];
+        }
+    }
+
+    judgeWindow(time) {
+        const sorted = this.intervals.slice().sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        const fast = sorted[Math.floor(sorted.length * 0.1)];
+
+        this.frameTime = Math.min(this.frameTime, fast);
+        const target = Math.max(this.minFrameTime, this.frameTime);
+
+        if (this.settleWindows > 0) {
+            this.settleWindows--;
+            return;
+        }
+
+        if (median > target * SLOW_RATIO) {
+            this.slowWindows++;
+            this.smoothWindows = 0;
+        } else if (median <= target * SMOOTH_RATIO) {
+            this.smoothWindows++;
+            this.slowWindows = 0;
+        } else {
+            // In between, stay put
+            this.slowWindows = 0;
+            this.smoothWindows = 0;
+        }
+
+        const index = LEVEL_NAMES.indexOf(this.level);
+        if (this.slowWindows >= DOWN_AFTER && index > 0) {
+            // Don't come straight back, and wait longer each time it turns out too slow
+            const retry = this.retries[this.level];
+            const delay = retry ? retry.delay * 2 : RETRY_DELAY;
+            this.retries[this.level] = { at: time + delay, delay: delay };
+            this.changeLevel(LEVEL_NAMES[index - 1]);
+        } else if (this.smoothWindows >= UP_AFTER && index < LEVEL_NAMES.length - 1) {
+            const next = LEVEL_NAMES[index + 1];
+            const retry = this.retries[next];
+            if (!retry || time >= retry.at) {
+                this.changeLevel(next);
+            }
+        }
+    }
+
+    changeLevel(level) {
+        this.level = level;
+        this.slowWindows = 0;
+        this.smoothWindows = 0;
+        this.settleWindows = SETTLE_WINDOWS;
+        if (this.onChange) {
+            this.onChange(level);
+        }
+    }
+}
@@ -0,0 +1,210 @@
+// Recorder Module
+// Records the visualization with its audio to a video file. The canvas goes in through
+// captureStream() ( via a scaled copy when a smaller/bigger resolution is picked ) and the
+// audio through a MediaStreamAudioDestinationNode tapped off the analyser, so playback through
+// context.destination carries on untouched.
+
+import { defaultParams, coerceParams } from './visualizers/visualizer.js';
+import { filenameSlug, filenameTimestamp, exportFilename } from './filenames.js';
+
+// Output height in pixels, 'native' records the canvas as it is
+export const RECORDING_RESOLUTIONS = {
+    native: null,
+    '480p': 480,
+    '720p': 720,
+    '1080p': 1080
+};
+
+// Containers/codecs to try, first one the browser can record wins
+const MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm',
+    'video/mp4;codecs=avc1,mp4a.40.2',
+    'video/mp4'
+];
+
+const AUDIO_BITRATE = 192000;
+const CHUNK_INTERVAL = 1000; // ms of video per dataavailable chunk
+
+// Same format as Visualizer.params so the settings panel can draw them
+export const recordingParams = {
+    resolution: { type: 'select', label: 'Recording resolution', default: '720p', options: Object.keys(RECORDING_RESOLUTIONS) },
+    videoBitrate: { type: 'number', label: 'Recording bitrate (Mbps)', default: 8, min: 1, max: 40, step: 1 }
+};
+
+export function defaultRecordingSettings() {
+    return defaultParams(recordingParams);
+}
+
+export function coerceRecordingSettings(values, current=defaultRecordingSettings()) {
+    return coerceParams(recordingParams, values, current);
+}
+
+// Best container the browser can record, null if it can't record at all
+export function recordingMimeType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+// jsmusicvis-<track>-<date>.webm
+export function recordingFilename(title, mimeType, date=new Date()) {
+    const extension = mimeType && mimeType.startsWith('video/mp4') ? 'mp4' : 'webm';
+    return exportFilename([filenameSlug(title), filenameTimestamp(date)], extension);
+}
+
+// Output size for a canvas, keeping its aspect ratio ( encoders want even sizes )
+export function recordingSize(width, height, resolution) {
+    const targetHeight = RECORDING_RESOLUTIONS[resolution];
+    if (!targetHeight) {
+        return { width: width, height: height };
+    }
+    const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+    return { width: even(width * targetHeight / height), height: even(targetHeight) };
+}
+
+export class VisualizationRecorder {
+    constructor(audioContext, audioSource) {
+        this.audioContext = audioContext;
+        this.audioSource = audioSource; // node whose output gets recorded ( the analyser )
+        this.audioDestination = null;
+
+        this.mediaRecorder = null;
+        this.mimeType = null;
+        this.chunks = [];
+
+        // Called with the error if the browser gives up recording part way
+        this.onError = null;
+
+        // Scaled copy of the canvas when not recording at native resolution
+        this.copyCanvas = null;
+        this.copyCtx = null;
+
+        // Elapsed time, not counting pauses
+        this.startedAt = 0;
+        this.pausedAt = null;
+        this.pausedTotal = 0;
+    }
+
+    get recording() {
+        return this.mediaRecorder !== null;
+    }
+
+    // Seconds recorded so far
+    get elapsed() {
+        if (!this.recording) return 0;
+        const now = this.pausedAt !== null ? this.pausedAt : performance.now();
+        return (now - this.startedAt - this.pausedTotal) / 1000;
+    }
+
+    // Start recording canvas, settings is { resolution, videoBitrate } ( see recordingParams )
+    start(canvas, settings) {
+        if (this.recording) {
+            throw new Error("Already recording.");
+        }
+        this.mimeType = recordingMimeType();
+        if (!this.mimeType || !canvas.captureStream) {
+            throw new Error("Recording isn't supported in this browser.");
+        }
+
+        let videoStream;
+        const size = recordingSize(canvas.width, canvas.height, settings.resolution);
+        if (size.width === canvas.width && size.height === canvas.height) {
+            this.copyCanvas = null;
+            videoStream = canvas.captureStream();
+        } else {
+            // Filled in captureFrame after each rendered frame
+            this.copyCanvas = document.createElement('canvas');
+            this.copyCanvas.width = size.width;
+            this.copyCanvas.height = size.height;
+            this.copyCtx = this.copyCanvas.getContext('2d');
+            this.copyCtx.fillStyle = '#000';
+            this.copyCtx.fillRect(0, 0, size.width, size.height);
+            videoStream = this.copyCanvas.captureStream();
+        }
+
+        // Only adds a branch off the audio graph, what reaches the speakers is unchanged
+        this.audioDestination = this.audioContext.createMediaStreamDestination();
+        this.audioSource.connect(this.audioDestination);
+
+        const stream = new MediaStream([
+            ...videoStream.getVideoTracks(),
+            ...this.audioDestination.stream.getAudioTracks()
+        ]);
+        // Each recording keeps its own chunks so a quick restart can't mix them up
+        const chunks = [];
+        this.chunks = chunks;
+        this.mediaRecorder = new MediaRecorder(stream, {
+            mimeType: this.mimeType,
+            videoBitsPerSecond: settings.videoBitrate * 1000000,
+            audioBitsPerSecond: AUDIO_BITRATE
+        });
+        this.mediaRecorder.addEventListener('dataavailable', (e) => {
+            if (e.data && e.data.size > 0) {
+                chunks.push(e.data);
+            }
+        });
+        this.mediaRecorder.addEventListener('error', (e) => {
+            if (this.onError) {
+                this.onError(e.error || new Error("Recording failed."));
+            }
+        });
+        this.mediaRecorder.start(CHUNK_INTERVAL);
+
+        this.startedAt = performance.now();
+        this.pausedAt = null;
+        this.pausedTotal = 0;
+        return size;
+    }
+
+    // Copy the frame that was just rendered when recording at another resolution
+    captureFrame(canvas) {
+        if (!this.recording || !this.copyCanvas) return;
+        this.copyCtx.drawImage(canvas, 0, 0, this.copyCanvas.width, this.copyCanvas.height);
+    }
+
+    // Hold the recording while the audio is paused so the clip doesn't fill up with a still frame
+    pause() {
+        if (!this.recording || this.mediaRecorder.state !== 'recording') return;
+        this.mediaRecorder.pause();
+        this.pausedAt = performance.now();
+    }
+
+    resume() {
+        if (!this.recording || this.mediaRecorder.state !== 'paused') return;
+        this.mediaRecorder.resume();
+        this.pausedTotal += performance.now() - this.pausedAt;
+        this.pausedAt = null;
+    }
+
+    // Finish up, resolves with the video as a Blob
+    stop() {
+        if (!this.recording) {
+            return Promise.reject(new Error("Not recording."));
+        }
+        const mediaRecorder = this.mediaRecorder;
+        const chunks = this.chunks;
+        const type = this.mimeType.split(';')[0];
+        const finished = new Promise((resolve) => {
+            const finish = () => {
+                resolve(new Blob(chunks, { type: type }));
+            };
+            // Already stopped itself after an error, keep what it got
+            if (mediaRecorder.state === 'inactive') {
+                finish();
+            } else {
+                mediaRecorder.addEventListener('stop', finish, { once: true });
+                mediaRecorder.stop();
+            }
+        });
+        mediaRecorder.stream.getTracks().forEach((track) => track.stop());
+
+        this.audioSource.disconnect(this.audioDestination);
+        this.audioDestination = null;
+        this.mediaRecorder = null;
+        this.copyCanvas = null;
+        this.copyCtx = null;
+        this.chunks = [];
+        return finished;
+    }
+}
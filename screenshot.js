@@ -0,0 +1,62 @@
+// Screenshot Module
+// Stills of the visualization: the renderer reads its last frame back at the internal resolution
+// ( scaleFactor included, so sharper than the page shows it ), this turns it into a PNG with an
+// optional track title stamped in the corner and hands it to a download or the clipboard.
+
+import { defaultParams, coerceParams } from './visualizers/visualizer.js';
+import { encodePng } from './offline-render.js';
+import { filenameSlug, filenameTimestamp, exportFilename } from './filenames.js';
+
+export const SCREENSHOT_DESTINATIONS = ['download', 'clipboard'];
+
+// Same format as Visualizer.params so the settings panel can draw them
+export const screenshotParams = {
+    stampTitle: { type: 'boolean', label: 'Stamp track title on screenshots', default: true },
+    destination: { type: 'select', label: 'Screenshot to', default: 'download', options: SCREENSHOT_DESTINATIONS }
+};
+
+export function defaultScreenshotSettings() {
+    return defaultParams(screenshotParams);
+}
+
+export function coerceScreenshotSettings(values, current=defaultScreenshotSettings()) {
+    return coerceParams(screenshotParams, values, current);
+}
+
+// jsmusicvis-<track>-<date>.png
+export function screenshotFilename(title, date=new Date()) {
+    return exportFilename([filenameSlug(title), filenameTimestamp(date)], 'png');
+}
+
+// "Title - Artist" small in the bottom right corner, out of the way of the now playing text
+export function drawTitleStamp(ctx, width, height, track, font='sans-serif') {
+    const text = [track.title || 'Unknown Track', track.artist].filter(Boolean).join(' - ');
+    const size = Math.max(10, Math.round(height * 0.025));
+    const margin = Math.round(size * 0.8);
+
+    ctx.save();
+    ctx.font = `${size}px ${font}`;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+    ctx.shadowBlur = Math.max(2, size * 0.2);
+    ctx.shadowOffsetX = 1;
+    ctx.shadowOffsetY = 1;
+    ctx.fillText(text, width - margin, height - margin, width - margin * 2);
+    ctx.restore();
+}
+
+// A read back frame as a PNG Blob, with the title stamp if track is given
+export function screenshotPng(image, track=null, font='sans-serif') {
+    return encodePng(image, track ? (ctx, width, height) => drawTitleStamp(ctx, width, height, track, font) : null);
+}
+
+// Put a PNG on the clipboard. Takes the Blob or a promise of it, passing the promise straight
+// through keeps the click's user activation while the frame is still being read back.
+export async function copyPngToClipboard(png) {
+    if (!navigator.clipboard || !navigator.clipboard.write || typeof ClipboardItem === 'undefined') {
+        throw new Error("Copying images isn't supported in this browser.");
+    }
+    await navigator.clipboard.write([new ClipboardItem({ 'image/png': png })]);
+}
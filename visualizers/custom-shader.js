@@ -0,0 +1,381 @@
+// Custom Shader Visualizer
+// Runs user written WGSL ( edited live from the shader panel ) against the standard inputs:
+// time, resolution, the waveform colour, the audio buffer, the spectrum and last frame.
+// A fragment shader ( fragMain ) is drawn full screen, a compute shader ( computeMain,
+// @workgroup_size(8, 8) ) writes outputTexture directly. Failed compiles keep the last good shader.
+
+import { Visualizer } from './visualizer.js';
+
+const SPECTRUM_FLOOR = -100; // dB mapped to 0 in the spectrum buffer
+const SPECTRUM_CEILING = -20; // dB mapped to 1
+
+// Declarations shared by both stages, user code is appended after the prelude
+const inputsPrelude = `
+struct Inputs {
+    resolution: vec2<f32>, // pixels
+    time: f32,             // seconds
+    deltaTime: f32,        // seconds since the last frame
+    color: vec4<f32>,      // current waveform colour
+    bufferLength: u32,     // entries in audioData
+    spectrumLength: u32,   // entries in spectrum
+    frame: u32,            // frames since the shader was loaded
+    clearFrame: u32,       // 1 when a decay tick ( 10 a second ) went by since the last frame
+    pulse: f32,            // 1 on a beat, fading back to 0
+    beatPhase: f32,        // 0-1 through the current beat going by the tempo
+    tempo: f32,            // estimated BPM, 0 until there's enough beats
+    bass: f32,             // band energies, 0-1 against the recent loudest
+    mid: f32,
+    high: f32,
+}
+
+@group(0) @binding(0) var<uniform> inputs: Inputs;
+@group(0) @binding(1) var<storage, read> audioData: array<f32>; // time domain, 0-255 with 128 as silence
+@group(0) @binding(2) var<storage, read> spectrum: array<f32>;  // 0-1 per frequency bin
+@group(0) @binding(3) var previousFrame: texture_2d<f32>;
+@group(0) @binding(4) var previousSampler: sampler;
+`;
+
+const fragmentPrelude = inputsPrelude + `
+struct VertexOutput {
+    @builtin(position) position: vec4<f32>,
+    @location(0) uv: vec2<f32>, // 0,0 top left
+}
+
+@vertex
+fn vertMain(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
+    // One triangle covering the screen
+    let corner = vec2<f32>(f32((vertexIndex << 1u) & 2u), f32(vertexIndex & 2u));
+    var output: VertexOutput;
+    output.position = vec4<f32>(corner * 2.0 - 1.0, 0.0, 1.0);
+    output.uv = vec2<f32>(corner.x, 1.0 - corner.y);
+    return output;
+}
+`;
+
+const computePrelude = inputsPrelude + `
+@group(0) @binding(5) var outputTexture: texture_storage_2d<rgba8unorm, write>;
+`;
+
+export const defaultShaderCode = `// Inputs: inputs.time, inputs.resolution, inputs.color, inputs.pulse ( beats ), audioData, spectrum, previousFrame
+// Write fragMain for a full screen fragment shader, or computeMain ( @workgroup_size(8, 8) )
+// storing into outputTexture for a compute shader
+
+@fragment
+fn fragMain(input: VertexOutput) -> @location(0) vec4<f32> {
+    let uv = input.uv;
+
+    // Last frame pulled in towards the centre ( harder on beats ) and faded
+    let zoom = 0.99 - inputs.pulse * 0.01;
+    let trail = textureSampleLevel(previousFrame, previousSampler, (uv - 0.5) * zoom + 0.5, 0.0).rgb * 0.96;
+
+    // Waveform line across the middle
+    let index = u32(uv.x * f32(inputs.bufferLength - 1u));
+    let sample = (audioData[index] - 128.0) / 128.0;
+    let line = smoothstep(0.01, 0.0, abs(uv.y - 0.5 - sample * 0.4));
+
+    // Spectrum glow along the bottom, squashed so the bass gets more room
+    let bin = u32(uv.x * uv.x * f32(inputs.spectrumLength - 1u));
+    let bar = step(1.0 - uv.y, spectrum[bin] * 0.5);
+
+    return vec4<f32>(max(trail, inputs.color.rgb * (line + bar * 0.3)), 1.0);
+}
+`;
+
+// Bind group entries both stages share
+function inputLayoutEntries(visibility) {
+    return [
+        { binding: 0, visibility: visibility, buffer: { type: 'uniform' } },
+        { binding: 1, visibility: visibility, buffer: { type: 'read-only-storage' } },
+        { binding: 2, visibility: visibility, buffer: { type: 'read-only-storage' } },
+        { binding: 3, visibility: visibility, texture: { sampleType: 'float' } },
+        { binding: 4, visibility: visibility, sampler: { type: 'filtering' } }
+    ];
+}
+
+export class CustomShaderVisualizer extends Visualizer {
+    static id = 'custom-shader';
+    static label = 'Custom Shader';
+    static inputs = ['timeDomain', 'frequency'];
+    static params = {
+        code: { type: 'code', label: 'Shader', default: defaultShaderCode }
+    };
+
+    constructor(renderer) {
+        super(renderer);
+
+        // Pipelines, every compile shares these layouts so the bind groups outlive a hot swap
+        this.fragmentGroup = null;
+        this.computeGroup = null;
+        this.fragmentLayout = null;
+        this.computeLayout = null;
+        this.pipeline = null;
+        this.isCompute = false;
+        this.sampler = null;
+
+        // Textures
+        this.historyTexture = null;
+
+        // Buffers, the inputs are a slot in the renderer's arena
+        this.inputs = null;
+        this.audioDataBuffer = null;
+        this.spectrumBuffer = null;
+        this.audioFloats = null;
+        this.spectrumFloats = null;
+
+        // Bind groups for either kind of shader, made on resize
+        this.fragmentBindGroup = null;
+        this.computeBindGroup = null;
+        this.targetView = null;
+
+        // Hot reload bookkeeping
+        this.activeCode = null; // source of the running pipeline
+        this.compileCount = 0;
+        this.appliedCompile = 0; // newest compile that made it in, so a slow older one can't win
+        this.frameCount = 0;
+    }
+
+    async init() {
+        this.fragmentGroup = this.device.createBindGroupLayout({
+            entries: inputLayoutEntries(GPUShaderStage.FRAGMENT)
+        });
+        this.fragmentLayout = this.device.createPipelineLayout({ bindGroupLayouts: [this.fragmentGroup] });
+
+        this.computeGroup = this.device.createBindGroupLayout({
+            entries: [
+                ...inputLayoutEntries(GPUShaderStage.COMPUTE),
+                { binding: 5, visibility: GPUShaderStage.COMPUTE, storageTexture: { access: 'write-only', format: 'rgba8unorm' } }
+            ]
+        });
+        this.computeLayout = this.device.createPipelineLayout({ bindGroupLayouts: [this.computeGroup] });
+
+        this.sampler = this.device.createSampler({
+            magFilter: 'linear',
+            minFilter: 'linear'
+        });
+
+        // resolution, time, deltaTime, color, bufferLength, spectrumLength, frame, clearFrame, rhythm
+        this.inputs = this.renderer.uniforms.allocate();
+        this.allocateInputs();
+
+        const result = await this.compile(this.params.code);
+        if (!result.success) {
+            // Whatever was saved is broken, start from the example instead
+            const fallback = await this.compile(defaultShaderCode);
+            if (!fallback.success) {
+                throw new Error("Default custom shader failed to compile.");
+            }
+        }
+    }
+
+    // The audio and spectrum buffers, sized by the analysis window
+    allocateInputs() {
+        const bufferLength = this.renderer.bufferLength;
+        if (this.audioDataBuffer) this.audioDataBuffer.destroy();
+        if (this.spectrumBuffer) this.spectrumBuffer.destroy();
+        this.audioDataBuffer = this.device.createBuffer({
+            size: bufferLength * 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        // Silence until the first frame of audio shows up
+        this.audioFloats = new Float32Array(bufferLength).fill(128);
+        this.device.queue.writeBuffer(this.audioDataBuffer, 0, this.audioFloats);
+        this.spectrumFloats = new Float32Array(bufferLength / 2); // frequencyBinCount is half the fft size
+        this.spectrumBuffer = this.device.createBuffer({
+            size: this.spectrumFloats.byteLength,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+    }
+
+    bufferLengthChanged() {
+        this.allocateInputs();
+        if (this.historyTexture) {
+            this.createBindGroups();
+        }
+    }
+
+    // Compile and hot swap, resolves to { success, messages: [{ type, line, column, message }] }
+    // with line numbers relative to the user's code ( 0 when the message has no location )
+    async compile(code) {
+        const compileId = ++this.compileCount;
+        const isCompute = /@compute\b/.test(code);
+        const prelude = isCompute ? computePrelude : fragmentPrelude;
+        const preludeLines = prelude.split('\n').length - 1;
+
+        // Scopes are pushed/popped without awaiting in between so frames rendered meanwhile don't land in them
+        this.device.pushErrorScope('validation');
+        const module = this.device.createShaderModule({ code: prelude + code });
+        const moduleError = this.device.popErrorScope();
+
+        const info = await module.getCompilationInfo();
+        const messages = info.messages.map((message) => ({
+            type: message.type,
+            line: Math.max(message.lineNum - preludeLines, 0),
+            column: message.linePos,
+            message: message.message
+        }));
+        await moduleError;
+        if (messages.some((message) => message.type === 'error')) {
+            return { success: false, messages: messages };
+        }
+
+        // Missing entry points or bindings that don't match the layout only show up here
+        this.device.pushErrorScope('validation');
+        let pipeline;
+        if (isCompute) {
+            pipeline = this.device.createComputePipeline({
+                layout: this.computeLayout,
+                compute: {
+                    module: module,
+                    entryPoint: 'computeMain'
+                }
+            });
+        } else {
+            pipeline = this.device.createRenderPipeline({
+                layout: this.fragmentLayout,
+                vertex: {
+                    module: module,
+                    entryPoint: 'vertMain'
+                },
+                fragment: {
+                    module: module,
+                    entryPoint: 'fragMain',
+                    targets: [{
+                        format: 'rgba8unorm'
+                    }]
+                },
+                primitive: {
+                    topology: 'triangle-list'
+                }
+            });
+        }
+        const pipelineError = await this.device.popErrorScope();
+        if (pipelineError) {
+            messages.push({ type: 'error', line: 0, column: 0, message: pipelineError.message });
+            return { success: false, messages: messages };
+        }
+
+        if (compileId > this.appliedCompile) {
+            this.appliedCompile = compileId;
+            this.pipeline = pipeline;
+            this.isCompute = isCompute;
+            this.activeCode = code;
+            this.params.code = code;
+            this.frameCount = 0;
+        }
+        return { success: true, messages: messages };
+    }
+
+    paramsChanged() {
+        // Code from a preset or saved state, the last good shader comes back if it doesn't compile
+        if (this.activeCode === null || this.params.code === this.activeCode) return;
+        const code = this.params.code;
+        this.compile(code).then((result) => {
+            if (!result.success) {
+                console.log('Custom shader failed to compile, keeping the last good one', result.messages);
+                if (this.params.code === code) {
+                    this.params.code = this.activeCode;
+                }
+            }
+        });
+    }
+
+    resize(width, height, target) {
+        super.resize(width, height);
+        if (this.historyTexture) this.historyTexture.destroy();
+        this.historyTexture = this.device.createTexture({
+            size: [width, height],
+            format: 'rgba8unorm',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+        });
+        this.targetView = target.view;
+        this.createBindGroups();
+    }
+
+    // Everything the shader reads, remade when the inputs or the size change
+    createBindGroups() {
+        const entries = [
+            { binding: 0, resource: this.inputs.binding },
+            { binding: 1, resource: { buffer: this.audioDataBuffer } },
+            { binding: 2, resource: { buffer: this.spectrumBuffer } },
+            { binding: 3, resource: this.historyTexture.createView() },
+            { binding: 4, resource: this.sampler }
+        ];
+        this.fragmentBindGroup = this.device.createBindGroup({
+            layout: this.fragmentGroup,
+            entries: entries
+        });
+        this.computeBindGroup = this.device.createBindGroup({
+            layout: this.computeGroup,
+            entries: [...entries, { binding: 5, resource: this.targetView }]
+        });
+    }
+
+    render(encoder, frame) {
+        const { target, clearFrame, audioData, frequencyData, colorRGB, rhythm, time, deltaTime } = frame;
+        const bufferLength = this.renderer.bufferLength;
+        if (!this.pipeline) return;
+
+        // Only refreshed on analysis frames, the last values stick around in between
+        if (audioData) {
+            this.audioFloats.set(audioData.subarray(0, bufferLength));
+            this.device.queue.writeBuffer(this.audioDataBuffer, 0, this.audioFloats);
+        }
+        if (frequencyData) {
+            const spectrum = this.spectrumFloats;
+            for (let i = 0; i < Math.min(frequencyData.length, spectrum.length); i++) {
+                const level = (frequencyData[i] - SPECTRUM_FLOOR) / (SPECTRUM_CEILING - SPECTRUM_FLOOR);
+                spectrum[i] = isFinite(level) ? Math.min(Math.max(level, 0), 1) : 0;
+            }
+            this.device.queue.writeBuffer(this.spectrumBuffer, 0, spectrum);
+        }
+
+        const { floats, uints } = this.inputs;
+        floats.set([this.width, this.height, time || 0, deltaTime || 0], 0);
+        floats.set([colorRGB.r / 255, colorRGB.g / 255, colorRGB.b / 255, 1.0], 4);
+        uints.set([bufferLength, bufferLength / 2, this.frameCount++, clearFrame ? 1 : 0], 8);
+        if (rhythm) {
+            floats.set([rhythm.pulse, rhythm.phase, rhythm.tempo, rhythm.energy.bass, rhythm.energy.mid, rhythm.energy.high], 12);
+        } else {
+            floats.fill(0, 12, 18);
+        }
+
+        // The action layer persists, so it still holds last frame
+        encoder.copyTextureToTexture(
+            { texture: target },
+            { texture: this.historyTexture },
+            [this.width, this.height]
+        );
+
+        if (this.isCompute) {
+            const passEncoder = encoder.beginComputePass();
+            passEncoder.setPipeline(this.pipeline);
+            passEncoder.setBindGroup(0, this.computeBindGroup);
+            passEncoder.dispatchWorkgroups(
+                Math.ceil(this.width / 8),
+                Math.ceil(this.height / 8)
+            );
+            passEncoder.end();
+            return;
+        }
+
+        const renderPass = encoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.targetView,
+                loadOp: 'clear',
+                clearValue: { r: 0, g: 0, b: 0, a: 1 },
+                storeOp: 'store'
+            }]
+        });
+        renderPass.setPipeline(this.pipeline);
+        renderPass.setBindGroup(0, this.fragmentBindGroup);
+        renderPass.draw(3);
+        renderPass.end();
+    }
+
+    dispose() {
+        if (this.historyTexture) this.historyTexture.destroy();
+        this.renderer.uniforms.release(this.inputs);
+        if (this.audioDataBuffer) this.audioDataBuffer.destroy();
+        if (this.spectrumBuffer) this.spectrumBuffer.destroy();
+    }
+}
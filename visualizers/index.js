@@ -0,0 +1,30 @@
+// Visualizer Modules
+// Importing this registers every built-in visualizer
+
+import { registerVisualizer } from './registry.js';
+import { WaveformBlurVisualizer } from './waveform-blur.js';
+import { SpectrumVisualizer } from './spectrum.js';
+import { CustomShaderVisualizer } from './custom-shader.js';
+import { StereoScopeVisualizer } from './stereo-scope.js';
+import { SpectrogramVisualizer } from './spectrogram.js';
+import { WaveformBlur2DVisualizer } from './waveform-blur-2d.js';
+import { Spectrum2DVisualizer } from './spectrum-2d.js';
+import { StereoScope2DVisualizer } from './stereo-scope-2d.js';
+import { Spectrogram2DVisualizer } from './spectrogram-2d.js';
+
+// WebGPU
+registerVisualizer(WaveformBlurVisualizer);
+registerVisualizer(SpectrumVisualizer);
+registerVisualizer(StereoScopeVisualizer);
+registerVisualizer(SpectrogramVisualizer);
+registerVisualizer(CustomShaderVisualizer);
+
+// Canvas 2D fallbacks
+registerVisualizer(WaveformBlur2DVisualizer);
+registerVisualizer(Spectrum2DVisualizer);
+registerVisualizer(StereoScope2DVisualizer);
+registerVisualizer(Spectrogram2DVisualizer);
+
+export const defaultVisualizerId = WaveformBlurVisualizer.id;
+export { Visualizer } from './visualizer.js';
+export { registerVisualizer, getVisualizer, listVisualizers } from './registry.js';
@@ -0,0 +1,29 @@
+// Visualizer Registry
+// Keeps track of the available visualizer classes by backend and id. A visualizer
+// can have one implementation per backend ( 'webgpu', 'canvas2d' ) sharing the same id.
+
+const visualizers = new Map();
+
+function registryKey(backend, id) {
+    return `${backend}:${id}`;
+}
+
+export function registerVisualizer(VisualizerClass) {
+    if (!VisualizerClass.id) {
+        throw new Error('Visualizer is missing a static id.');
+    }
+    visualizers.set(registryKey(VisualizerClass.backend, VisualizerClass.id), VisualizerClass);
+}
+
+export function getVisualizer(id, backend='webgpu') {
+    return visualizers.get(registryKey(backend, id)) || null;
+}
+
+export function listVisualizers(backend='webgpu') {
+    return Array.from(visualizers.values())
+        .filter((VisualizerClass) => VisualizerClass.backend === backend)
+        .map((VisualizerClass) => ({
+            id: VisualizerClass.id,
+            label: VisualizerClass.label || VisualizerClass.id
+        }));
+}
@@ -0,0 +1,144 @@
+// Spectrogram Visualizer ( Canvas 2D )
+// Fallback version of the spectrogram for machines without WebGPU, same params. The raw
+// levels live in a ring buffer on the CPU, each new column is coloured into a small ring
+// canvas ( already on the chosen frequency axis ) which is stretched over the screen in
+// two pieces. Changing the colour map or axis recolours the whole history.
+
+import { Visualizer } from './visualizer.js';
+import { SpectrogramVisualizer } from './spectrogram.js';
+import { MIN_FREQUENCY, MAX_FREQUENCY, axisFrequency } from './spectrum-analysis.js';
+import { spectrogramColumn, colorMapRGB, rehomeHistory } from './spectrogram-analysis.js';
+
+const ROWS = 256; // vertical resolution of the ring canvas
+
+export class Spectrogram2DVisualizer extends Visualizer {
+    static id = SpectrogramVisualizer.id;
+    static label = SpectrogramVisualizer.label;
+    static backend = 'canvas2d';
+    static inputs = SpectrogramVisualizer.inputs;
+    static params = SpectrogramVisualizer.params;
+
+    constructor(renderer) {
+        super(renderer);
+
+        // Ring buffer of raw levels ( column major ) and its coloured copy
+        this.levels = null;
+        this.columns = 0;
+        this.bins = 0;
+        this.writeIndex = 0;
+        this.filled = 0;
+        this.ringCanvas = null;
+        this.ringCtx = null;
+        this.columnImage = null;
+
+        // Lookups rebuilt when the look changes
+        this.palette = null;  // 256 * rgb
+        this.rowBins = null;  // fractional bin per ring canvas row, top row first
+        this.lookKey = null;
+    }
+
+    async init() {
+        this.allocateHistory(this.params.history, this.renderer.bufferLength / 2);
+    }
+
+    // (Re)create the ring buffer, keeping as many of the newest columns as fit ( see rehomeHistory )
+    allocateHistory(columns, bins) {
+        const { levels, kept } = rehomeHistory(this, columns, bins);
+
+        this.levels = levels;
+        this.columns = columns;
+        this.bins = bins;
+        this.writeIndex = kept % columns;
+        this.filled = kept;
+        this.ringCanvas = this.renderer.createCanvas(columns, ROWS);
+        this.ringCtx = this.ringCanvas.getContext('2d');
+        this.columnImage = this.ringCtx.createImageData(1, ROWS);
+        this.lookKey = null;
+    }
+
+    paramsChanged() {
+        if (this.levels && this.params.history !== this.columns) {
+            this.allocateHistory(this.params.history, this.bins);
+        }
+    }
+
+    // The history carries on over the new bins
+    bufferLengthChanged() {
+        this.allocateHistory(this.columns, this.renderer.bufferLength / 2);
+    }
+
+    // Rebuild the palette/axis lookups and recolour the history if the look changed
+    updateLook(sampleRate) {
+        const { colorMap, scale } = this.params;
+        const nyquist = (sampleRate || 44100) / 2;
+        const key = `${colorMap}|${scale}|${nyquist}|${this.bins}|${this.columns}`;
+        if (key === this.lookKey) return;
+        this.lookKey = key;
+
+        this.palette = new Uint8Array(256 * 3);
+        for (let i = 0; i < 256; i++) {
+            this.palette.set(colorMapRGB(colorMap, i / 255), i * 3);
+        }
+
+        const maxHz = Math.min(MAX_FREQUENCY, nyquist);
+        const binHz = nyquist / this.bins;
+        this.rowBins = new Float32Array(ROWS);
+        for (let row = 0; row < ROWS; row++) {
+            const hz = axisFrequency(scale, 1 - row / (ROWS - 1), MIN_FREQUENCY, maxHz);
+            this.rowBins[row] = Math.min(Math.max(hz / binHz, 0), this.bins - 1);
+        }
+
+        this.ringCtx.fillStyle = `rgb(${this.palette[0]}, ${this.palette[1]}, ${this.palette[2]})`;
+        this.ringCtx.fillRect(0, 0, this.columns, ROWS);
+        for (let i = 0; i < this.filled; i++) {
+            this.drawColumn((this.writeIndex - 1 - i + this.columns * 2) % this.columns);
+        }
+    }
+
+    // Colour one ring column from its raw levels
+    drawColumn(column) {
+        const data = this.columnImage.data;
+        const offset = column * this.bins;
+        for (let row = 0; row < ROWS; row++) {
+            const position = this.rowBins[row];
+            const low = Math.floor(position);
+            const high = Math.min(low + 1, this.bins - 1);
+            const a = this.levels[offset + low];
+            const value = Math.round(a + (this.levels[offset + high] - a) * (position - low));
+            data[row * 4] = this.palette[value * 3];
+            data[row * 4 + 1] = this.palette[value * 3 + 1];
+            data[row * 4 + 2] = this.palette[value * 3 + 2];
+            data[row * 4 + 3] = 255;
+        }
+        this.ringCtx.putImageData(this.columnImage, column, 0);
+    }
+
+    render(ctx, frame) {
+        const { frequencyData, sampleRate } = frame;
+
+        if (frequencyData && frequencyData.length !== this.bins) {
+            this.allocateHistory(this.columns, frequencyData.length);
+        }
+        this.updateLook(sampleRate);
+
+        if (frequencyData) {
+            const column = this.levels.subarray(this.writeIndex * this.bins, (this.writeIndex + 1) * this.bins);
+            spectrogramColumn(this.params, frequencyData, column);
+            this.drawColumn(this.writeIndex);
+            this.writeIndex = (this.writeIndex + 1) % this.columns;
+            this.filled = Math.min(this.filled + 1, this.columns);
+        }
+
+        // Oldest ( from the write index to the end ) on the left, then the start of the ring up to the newest
+        // The two pieces cover the whole layer so there's no clearing
+        const columnWidth = this.width / this.columns;
+        const older = this.columns - this.writeIndex;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.globalAlpha = 1;
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(this.ringCanvas, this.writeIndex, 0, older, ROWS, 0, 0, older * columnWidth, this.height);
+        if (this.writeIndex > 0) {
+            ctx.drawImage(this.ringCanvas, 0, 0, this.writeIndex, ROWS, older * columnWidth, 0, this.writeIndex * columnWidth, this.height);
+        }
+    }
+}
@@ -0,0 +1,108 @@
+// Spectrogram Analysis
+// CPU side of the spectrogram visualizers: the shared params, dB -> 0-255 columns for the
+// history ring buffer and the colour maps ( polynomial fits of matplotlib's magma/viridis ).
+// Shared by the WebGPU and Canvas 2D spectrogram modules.
+
+export const SPECTROGRAM_COLOR_MAPS = ['magma', 'viridis', 'grayscale'];
+export const SPECTROGRAM_SCALES = ['log', 'linear'];
+
+export const spectrogramParams = {
+    colorMap: { type: 'select', label: 'Colour map', default: 'magma', options: SPECTROGRAM_COLOR_MAPS },
+    scale: { type: 'select', label: 'Frequency axis', default: 'log', options: SPECTROGRAM_SCALES },
+    history: { type: 'int', label: 'History (columns)', default: 512, min: 128, max: 2048, step: 64 },
+    minDb: { type: 'number', label: 'Floor (dB)', default: -100, min: -140, max: -30, step: 1 },
+    maxDb: { type: 'number', label: 'Ceiling (dB)', default: -20, min: -60, max: 0, step: 1 }
+};
+
+// Polynomial coefficients, lowest order first ( same numbers as the WGSL versions )
+export const COLOR_MAP_COEFFICIENTS = {
+    magma: [
+        [-0.002136485053939582, -0.000749655052795221, -0.005386127855323933],
+        [0.2516605407371642, 0.6775232436837668, 2.494026599312351],
+        [8.353717279216625, -3.577719514958484, 0.3144679030132573],
+        [-27.66873308576866, 14.26473078096533, -13.64921318813922],
+        [52.17613981234068, -27.94360607168351, 12.94416944238394],
+        [-50.76852536473588, 29.04658282127291, 4.23415299384598],
+        [18.65570506591883, -11.48977351997711, -5.601961508734096]
+    ],
+    viridis: [
+        [0.2777273272234177, 0.005407344544966578, 0.3340998053353061],
+        [0.1050930431085774, 1.404613529898575, 1.384590162594685],
+        [-0.3308618287255563, 0.214847559468213, 0.09509516302823659],
+        [-4.634230498983486, -5.799100973351585, -19.33244095627987],
+        [6.228269936347081, 14.17993336680509, 56.69055260068105],
+        [4.776384997670288, -13.74514537774601, -65.35303263337234],
+        [-5.435455855934631, 4.645852612178535, 26.3124352495832]
+    ]
+};
+
+// Colour map value at t ( 0..1 ) as 0-255 r, g, b
+export function colorMapRGB(name, t) {
+    const coefficients = COLOR_MAP_COEFFICIENTS[name];
+    if (!coefficients) {
+        const gray = Math.round(t * 255);
+        return [gray, gray, gray];
+    }
+    return [0, 1, 2].map((channel) => {
+        let value = 0;
+        for (let i = coefficients.length - 1; i >= 0; i--) {
+            value = value * t + coefficients[i][channel];
+        }
+        return Math.round(Math.min(Math.max(value, 0), 1) * 255);
+    });
+}
+
+// One history column, each bin's level mapped between the floor and ceiling to 0-255
+export function spectrogramColumn(params, frequencyData, column) {
+    const { minDb, maxDb } = params;
+    const range = Math.max(maxDb - minDb, 1);
+    for (let i = 0; i < frequencyData.length; i++) {
+        const level = (frequencyData[i] - minDb) / range;
+        column[i] = isFinite(level) ? Math.round(Math.min(Math.max(level, 0), 1) * 255) : 0;
+    }
+    return column;
+}
+
+// A history ring ( { levels, columns, bins, writeIndex, filled }, levels column after column ) moved
+// into a new columns x bins one: as many of the newest columns as fit are kept, oldest first from 0.
+// A different bin count ( another analysis window ) stretches or squeezes each column over the new
+// bins, they're evenly spaced in frequency either way. Returns { levels, kept }.
+export function rehomeHistory(ring, columns, bins) {
+    const levels = new Uint8Array(columns * bins);
+    if (!ring.levels) {
+        return { levels: levels, kept: 0 };
+    }
+    const kept = Math.min(ring.filled, columns);
+    for (let i = 0; i < kept; i++) {
+        const source = (ring.writeIndex - kept + i + ring.columns) % ring.columns;
+        const column = ring.levels.subarray(source * ring.bins, (source + 1) * ring.bins);
+        const destination = levels.subarray(i * bins, (i + 1) * bins);
+        if (bins === ring.bins) {
+            destination.set(column);
+        } else {
+            resampleColumn(column, destination);
+        }
+    }
+    return { levels: levels, kept: kept };
+}
+
+// Stretching interpolates between bins, squeezing keeps the loudest of the bins that merge so
+// narrow tones don't fade out of the history
+function resampleColumn(column, destination) {
+    const scale = column.length / destination.length;
+    for (let i = 0; i < destination.length; i++) {
+        if (scale > 1) {
+            const end = Math.min(Math.round((i + 1) * scale), column.length);
+            let loudest = 0;
+            for (let bin = Math.round(i * scale); bin < end; bin++) {
+                loudest = Math.max(loudest, column[bin]);
+            }
+            destination[i] = loudest;
+        } else {
+            const position = Math.min(i * scale, column.length - 1);
+            const low = Math.floor(position);
+            const high = Math.min(low + 1, column.length - 1);
+            destination[i] = Math.round(column[low] + (column[high] - column[low]) * (position - low));
+        }
+    }
+}
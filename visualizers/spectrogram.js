@@ -0,0 +1,256 @@
+// Spectrogram Visualizer
+// Scrolling waterfall of the spectrum: every analyser update is written as one new column
+// into a ring buffer texture ( columns x frequency bins, raw levels ) and the whole history
+// is redrawn each frame, newest on the right, through the chosen colour map and frequency axis.
+// The history doesn't depend on the canvas size so resizes only change how it's stretched, a copy
+// of it is kept on the CPU so it can be carried over to another length or number of bins.
+
+import { Visualizer } from './visualizer.js';
+import { MIN_FREQUENCY, MAX_FREQUENCY } from './spectrum-analysis.js';
+import { spectrogramParams, spectrogramColumn, rehomeHistory, SPECTROGRAM_COLOR_MAPS, SPECTROGRAM_SCALES, COLOR_MAP_COEFFICIENTS } from './spectrogram-analysis.js';
+
+function wgslCoefficients(name) {
+    return COLOR_MAP_COEFFICIENTS[name]
+        .map((c, i) => `let ${name}C${i} = vec3<f32>(${c.map((v) => v.toFixed(10)).join(', ')});`)
+        .join('\n        ');
+}
+
+const spectrogramShader = `
+    struct VertexOutput {
+        @builtin(position) position: vec4<f32>,
+        @location(0) uv: vec2<f32>, // 0,0 top left
+    }
+
+    struct SpectrogramUniforms {
+        columns: u32,    // ring buffer width
+        bins: u32,       // ring buffer height
+        writeIndex: u32, // column the next update goes into
+        colorMap: u32,   // index into SPECTROGRAM_COLOR_MAPS
+        scale: u32,      // index into SPECTROGRAM_SCALES
+        minHz: f32,
+        maxHz: f32,
+        binHz: f32,      // width of one bin
+    }
+
+    @group(0) @binding(0) var history: texture_2d<f32>;
+    @group(0) @binding(1) var<uniform> uniforms: SpectrogramUniforms;
+
+    @vertex
+    fn vertMain(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
+        // One triangle covering the screen
+        let corner = vec2<f32>(f32((vertexIndex << 1u) & 2u), f32(vertexIndex & 2u));
+        var output: VertexOutput;
+        output.position = vec4<f32>(corner * 2.0 - 1.0, 0.0, 1.0);
+        output.uv = vec2<f32>(corner.x, 1.0 - corner.y);
+        return output;
+    }
+
+    fn magma(t: f32) -> vec3<f32> {
+        ${wgslCoefficients('magma')}
+        return magmaC0 + t * (magmaC1 + t * (magmaC2 + t * (magmaC3 + t * (magmaC4 + t * (magmaC5 + t * magmaC6)))));
+    }
+
+    fn viridis(t: f32) -> vec3<f32> {
+        ${wgslCoefficients('viridis')}
+        return viridisC0 + t * (viridisC1 + t * (viridisC2 + t * (viridisC3 + t * (viridisC4 + t * (viridisC5 + t * viridisC6)))));
+    }
+
+    // Level between two bins, the log axis stretches the low bins over many pixels
+    fn level(column: u32, binPosition: f32) -> f32 {
+        let lastBin = uniforms.bins - 1u;
+        let position = clamp(binPosition, 0.0, f32(lastBin));
+        let low = u32(floor(position));
+        let high = min(low + 1u, lastBin);
+        let a = textureLoad(history, vec2<u32>(column, low), 0).r;
+        let b = textureLoad(history, vec2<u32>(column, high), 0).r;
+        return mix(a, b, fract(position));
+    }
+
+    @fragment
+    fn fragMain(input: VertexOutput) -> @location(0) vec4<f32> {
+        // Columns from newest on the right to oldest on the left
+        let age = min(u32((1.0 - input.uv.x) * f32(uniforms.columns)), uniforms.columns - 1u);
+        let column = (uniforms.writeIndex + uniforms.columns * 2u - 1u - age) % uniforms.columns;
+
+        // Low frequencies at the bottom
+        let t = 1.0 - input.uv.y;
+        var hz: f32;
+        if (uniforms.scale == 0u) {
+            hz = uniforms.minHz * pow(uniforms.maxHz / uniforms.minHz, t);
+        } else {
+            hz = uniforms.minHz + (uniforms.maxHz - uniforms.minHz) * t;
+        }
+        let value = level(column, hz / uniforms.binHz);
+
+        var color: vec3<f32>;
+        if (uniforms.colorMap == 0u) {
+            color = magma(value);
+        } else if (uniforms.colorMap == 1u) {
+            color = viridis(value);
+        } else {
+            color = vec3<f32>(value);
+        }
+        return vec4<f32>(clamp(color, vec3<f32>(0.0), vec3<f32>(1.0)), 1.0);
+    }
+`;
+
+export class SpectrogramVisualizer extends Visualizer {
+    static id = 'spectrogram';
+    static label = 'Spectrogram';
+    static inputs = ['frequency'];
+    static params = spectrogramParams;
+
+    constructor(renderer) {
+        super(renderer);
+
+        // Pipelines
+        this.pipeline = null;
+
+        // Ring buffer of raw levels, one column per analyser update, and its CPU copy ( column major )
+        this.historyTexture = null;
+        this.levels = null;
+        this.columns = 0;
+        this.bins = 0;
+        this.writeIndex = 0;
+        this.filled = 0; // columns written so far, capped at the ring size
+        this.column = null;
+
+        // Buffers
+        this.uniforms = null; // slot in the renderer's arena
+        this.bindGroup = null;
+        this.targetView = null;
+    }
+
+    async init() {
+        const module = this.device.createShaderModule({ code: spectrogramShader });
+        this.pipeline = this.device.createRenderPipeline({
+            layout: 'auto',
+            vertex: {
+                module: module,
+                entryPoint: 'vertMain'
+            },
+            fragment: {
+                module: module,
+                entryPoint: 'fragMain',
+                targets: [{ format: 'rgba8unorm' }]
+            },
+            primitive: {
+                topology: 'triangle-list'
+            }
+        });
+
+        this.uniforms = this.renderer.uniforms.allocate(); // columns, bins, writeIndex, colorMap, scale, minHz, maxHz, binHz
+
+        this.allocateHistory(this.params.history, this.renderer.bufferLength / 2);
+    }
+
+    // (Re)create the ring buffer, keeping as many of the newest columns as fit ( see rehomeHistory )
+    allocateHistory(columns, bins) {
+        const texture = this.device.createTexture({
+            size: [columns, bins],
+            format: 'r8unorm',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+        });
+
+        const { levels, kept } = rehomeHistory(this, columns, bins);
+        if (kept > 0) {
+            // The texture's rows are bins, the CPU copy goes column by column
+            const rows = new Uint8Array(columns * bins);
+            for (let column = 0; column < kept; column++) {
+                for (let bin = 0; bin < bins; bin++) {
+                    rows[bin * columns + column] = levels[column * bins + bin];
+                }
+            }
+            this.device.queue.writeTexture(
+                { texture: texture },
+                rows,
+                { bytesPerRow: columns, rowsPerImage: bins },
+                [columns, bins]
+            );
+        }
+
+        if (this.historyTexture) this.historyTexture.destroy();
+        this.historyTexture = texture;
+        this.levels = levels;
+        this.columns = columns;
+        this.bins = bins;
+        this.writeIndex = kept % columns;
+        this.filled = kept;
+        this.column = new Uint8Array(bins);
+        this.bindGroup = this.device.createBindGroup({
+            layout: this.pipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: this.historyTexture.createView() },
+                { binding: 1, resource: this.uniforms.binding }
+            ]
+        });
+    }
+
+    paramsChanged() {
+        if (this.historyTexture && this.params.history !== this.columns) {
+            this.allocateHistory(this.params.history, this.bins);
+        }
+    }
+
+    // The history carries on over the new bins
+    bufferLengthChanged() {
+        this.allocateHistory(this.columns, this.renderer.bufferLength / 2);
+    }
+
+    resize(width, height, target) {
+        super.resize(width, height);
+        this.targetView = target.view;
+    }
+
+    render(encoder, frame) {
+        const { frequencyData, sampleRate } = frame;
+        const { colorMap, scale } = this.params;
+
+        if (frequencyData) {
+            // Frames from another analyser size shouldn't get here ( the renderer drops them ), but
+            // the history would follow them if they did
+            if (frequencyData.length !== this.bins) {
+                this.allocateHistory(this.columns, frequencyData.length);
+            }
+            spectrogramColumn(this.params, frequencyData, this.column);
+            this.levels.set(this.column, this.writeIndex * this.bins);
+            this.device.queue.writeTexture(
+                { texture: this.historyTexture, origin: [this.writeIndex, 0] },
+                this.column,
+                { bytesPerRow: 1, rowsPerImage: this.bins },
+                [1, this.bins]
+            );
+            this.writeIndex = (this.writeIndex + 1) % this.columns;
+            this.filled = Math.min(this.filled + 1, this.columns);
+        }
+
+        const nyquist = (sampleRate || 44100) / 2;
+        const { floats, uints } = this.uniforms;
+        uints.set([
+            this.columns,
+            this.bins,
+            this.writeIndex,
+            Math.max(SPECTROGRAM_COLOR_MAPS.indexOf(colorMap), 0),
+            Math.max(SPECTROGRAM_SCALES.indexOf(scale), 0)
+        ], 0);
+        floats.set([MIN_FREQUENCY, Math.min(MAX_FREQUENCY, nyquist), nyquist / this.bins], 5);
+
+        const renderPass = encoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.targetView,
+                loadOp: 'clear',
+                clearValue: { r: 0, g: 0, b: 0, a: 1 },
+                storeOp: 'store'
+            }]
+        });
+        renderPass.setPipeline(this.pipeline);
+        renderPass.setBindGroup(0, this.bindGroup);
+        renderPass.draw(3);
+        renderPass.end();
+    }
+
+    dispose() {
+        if (this.historyTexture) this.historyTexture.destroy();
+        this.renderer.uniforms.release(this.uniforms);
+    }
+}
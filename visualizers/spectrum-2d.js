@@ -0,0 +1,125 @@
+// Spectrum Visualizer ( Canvas 2D )
+// Fallback version of the spectrum for machines without WebGPU, same analysis and
+// params, drawn with plain 2D paths.
+
+import { Visualizer } from './visualizer.js';
+import { SpectrumVisualizer } from './spectrum.js';
+import { SpectrumAnalysis } from './spectrum-analysis.js';
+
+const PEAK_HEIGHT = 0.008; // peak cap height as a fraction of the canvas
+
+export class Spectrum2DVisualizer extends Visualizer {
+    static id = SpectrumVisualizer.id;
+    static label = SpectrumVisualizer.label;
+    static backend = 'canvas2d';
+    static inputs = SpectrumVisualizer.inputs;
+    static params = SpectrumVisualizer.params;
+
+    constructor(renderer) {
+        super(renderer);
+        this.analysis = new SpectrumAnalysis();
+    }
+
+    paramsChanged() {
+        this.analysis.setBarCount(this.params.barCount);
+    }
+
+    // Normalised ( 0..1, y up ) rectangle to canvas space, mirrored left if requested
+    fillRect(ctx, x0, y0, x1, y1, left) {
+        if (left) {
+            [x0, x1] = [0.5 - x1 * 0.5, 0.5 - x0 * 0.5];
+        } else if (this.params.mirror === 'horizontal') {
+            [x0, x1] = [0.5 + x0 * 0.5, 0.5 + x1 * 0.5];
+        }
+        ctx.fillRect(x0 * this.width, (1 - y1) * this.height, (x1 - x0) * this.width, (y1 - y0) * this.height);
+    }
+
+    // Vertical extent for a level, from the bottom or spread around the middle
+    extent(level) {
+        if (this.params.mirror === 'vertical') {
+            return [0.5 - level * 0.5, 0.5 + level * 0.5];
+        }
+        return [0, level];
+    }
+
+    drawBars(ctx, left) {
+        const { barCount } = this.params;
+        const slot = 1 / barCount;
+        const gap = slot * 0.2;
+        for (let i = 0; i < barCount; i++) {
+            const [y0, y1] = this.extent(this.analysis.levels[i]);
+            this.fillRect(ctx, i * slot + gap / 2, y0, (i + 1) * slot - gap / 2, y1, left);
+        }
+    }
+
+    drawCurve(ctx, left) {
+        const { barCount, mirror } = this.params;
+        const mapX = (x) => {
+            if (left) return (0.5 - x * 0.5) * this.width;
+            if (mirror === 'horizontal') return (0.5 + x * 0.5) * this.width;
+            return x * this.width;
+        };
+        const mapY = (y) => (1 - y) * this.height;
+        const center = (i) => (i + 0.5) / barCount;
+
+        ctx.beginPath();
+        ctx.moveTo(mapX(center(0)), mapY(this.extent(this.analysis.levels[0])[1]));
+        for (let i = 1; i < barCount; i++) {
+            ctx.lineTo(mapX(center(i)), mapY(this.extent(this.analysis.levels[i])[1]));
+        }
+        for (let i = barCount - 1; i >= 0; i--) {
+            ctx.lineTo(mapX(center(i)), mapY(this.extent(this.analysis.levels[i])[0]));
+        }
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    drawPeaks(ctx, left) {
+        const { barCount, mirror } = this.params;
+        const slot = 1 / barCount;
+        const gap = slot * 0.2;
+        for (let i = 0; i < barCount; i++) {
+            const [y0, y1] = this.extent(this.analysis.peaks[i]);
+            const x0 = i * slot + gap / 2;
+            const x1 = (i + 1) * slot - gap / 2;
+            this.fillRect(ctx, x0, y1 - PEAK_HEIGHT, x1, y1, left);
+            if (mirror === 'vertical') {
+                this.fillRect(ctx, x0, y0, x1, y0 + PEAK_HEIGHT, left);
+            }
+        }
+    }
+
+    render(ctx, frame) {
+        const { frequencyData, sampleRate, colorRGB } = frame;
+        const { style, mirror } = this.params;
+
+        // Frame clock time rather than the wall clock so offline renders come out the same every time
+        this.analysis.update(this.params, frequencyData, sampleRate || 44100, frame.deltaTime || 0);
+
+        // No feedback here, every frame starts from black
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        // Darker towards the base like the WebGPU version
+        const { r, g, b } = colorRGB;
+        const gradient = mirror === 'vertical'
+            ? ctx.createLinearGradient(0, this.height / 2, 0, 0)
+            : ctx.createLinearGradient(0, this.height, 0, 0);
+        gradient.addColorStop(0, `rgb(${r * 0.35}, ${g * 0.35}, ${b * 0.35})`);
+        gradient.addColorStop(1, `rgb(${r}, ${g}, ${b})`);
+
+        const sides = mirror === 'horizontal' ? [false, true] : [false];
+        for (const left of sides) {
+            ctx.fillStyle = gradient;
+            if (style === 'curve') {
+                this.drawCurve(ctx, left);
+            } else {
+                this.drawBars(ctx, left);
+            }
+            ctx.fillStyle = '#fff';
+            this.drawPeaks(ctx, left);
+        }
+    }
+}
@@ -0,0 +1,156 @@
+// Spectrum Analysis
+// CPU side of the spectrum visualizers: regroups getFloatFrequencyData bins onto a
+// log/Bark/linear axis and keeps the smoothed levels and falling peaks per bar.
+// Shared by the WebGPU and Canvas 2D spectrum modules.
+
+import { DEFAULT_WAVEFORM_RATE } from '../frame-clock.js';
+
+export const MIN_FREQUENCY = 20; // Hz
+export const MAX_FREQUENCY = 20000; // Hz
+const PEAK_HOLD = 0.4; // seconds a peak sits before falling
+const SMOOTHING_RATE = DEFAULT_WAVEFORM_RATE; // smoothing is what's left of a level after 1/this of a second
+
+export const SPECTRUM_SCALES = ['log', 'bark', 'linear'];
+export const SPECTRUM_STYLES = ['bars', 'curve'];
+export const SPECTRUM_MIRRORS = ['none', 'vertical', 'horizontal'];
+
+export const spectrumParams = {
+    barCount: { type: 'int', label: 'Bars', default: 64, min: 8, max: 256, step: 1 },
+    scale: { type: 'select', label: 'Frequency axis', default: 'log', options: SPECTRUM_SCALES },
+    minDb: { type: 'number', label: 'Floor (dB)', default: -100, min: -140, max: -30, step: 1 },
+    maxDb: { type: 'number', label: 'Ceiling (dB)', default: -20, min: -60, max: 0, step: 1 },
+    smoothing: { type: 'number', label: 'Smoothing', default: 0.5, min: 0, max: 0.95, step: 0.05 },
+    falloff: { type: 'number', label: 'Peak falloff (/s)', default: 0.6, min: 0.05, max: 3, step: 0.05 },
+    style: { type: 'select', label: 'Style', default: 'bars', options: SPECTRUM_STYLES },
+    mirror: { type: 'select', label: 'Mirror', default: 'none', options: SPECTRUM_MIRRORS }
+};
+
+// Traunmüller-ish Bark approximation
+function hzToBark(hz) {
+    return 13 * Math.atan(0.00076 * hz) + 3.5 * Math.atan(Math.pow(hz / 7500, 2));
+}
+
+// Bark is monotonic so a bisection is plenty for the handful of edges we need
+function barkToHz(bark) {
+    let low = 0;
+    let high = 24000;
+    for (let i = 0; i < 40; i++) {
+        const mid = (low + high) / 2;
+        if (hzToBark(mid) < bark) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return (low + high) / 2;
+}
+
+// Frequency at position t (0..1) along the chosen axis
+export function axisFrequency(scale, t, minHz, maxHz) {
+    switch (scale) {
+        case 'bark': {
+            const minBark = hzToBark(minHz);
+            const maxBark = hzToBark(maxHz);
+            return barkToHz(minBark + (maxBark - minBark) * t);
+        }
+        case 'linear':
+            return minHz + (maxHz - minHz) * t;
+        default:
+            return minHz * Math.pow(maxHz / minHz, t);
+    }
+}
+
+export class SpectrumAnalysis {
+    constructor() {
+        this.bandEdges = null; // fractional bin index per bar edge
+        this.bandKey = null; // what the edges were computed for
+        this.levels = new Float32Array(0);
+        this.peaks = new Float32Array(0);
+        this.peakAge = new Float32Array(0);
+        this.sinceData = 0; // seconds since frequency data last came in, the levels ease over all of it
+    }
+
+    // Resize the per bar state, returns true if it had to reallocate
+    setBarCount(count) {
+        if (this.levels.length === count) return false;
+        this.levels = new Float32Array(count);
+        this.peaks = new Float32Array(count);
+        this.peakAge = new Float32Array(count);
+        this.bandKey = null;
+        return true;
+    }
+
+    // Work out which ( fractional ) FFT bins each bar covers
+    computeBandEdges(params, binCount, sampleRate) {
+        const { barCount, scale } = params;
+        const key = `${barCount}:${scale}:${binCount}:${sampleRate}`;
+        if (this.bandKey === key) return;
+
+        const nyquist = sampleRate / 2;
+        const binHz = nyquist / binCount;
+        const maxHz = Math.min(MAX_FREQUENCY, nyquist);
+        this.bandEdges = new Float32Array(barCount + 1);
+        for (let i = 0; i <= barCount; i++) {
+            this.bandEdges[i] = axisFrequency(scale, i / barCount, MIN_FREQUENCY, maxHz) / binHz;
+        }
+        this.bandKey = key;
+    }
+
+    // Band level in dB, the loudest bin if the band spans several, interpolated if it's narrower than a bin
+    bandDecibels(params, frequencyData, low, high) {
+        const { minDb } = params;
+        const binCount = frequencyData.length;
+        const sample = (index) => {
+            const value = frequencyData[Math.min(Math.max(index, 0), binCount - 1)];
+            return isFinite(value) ? value : minDb;
+        };
+
+        const first = Math.ceil(low);
+        const last = Math.floor(high);
+        if (last >= first) {
+            let loudest = -Infinity;
+            for (let bin = first; bin <= last; bin++) {
+                loudest = Math.max(loudest, sample(bin));
+            }
+            return loudest;
+        }
+
+        const center = (low + high) / 2;
+        const below = Math.floor(center);
+        const fraction = center - below;
+        return sample(below) * (1 - fraction) + sample(below + 1) * fraction;
+    }
+
+    // Fold a new frame of frequency data ( or null to just age the peaks ) into the levels
+    update(params, frequencyData, sampleRate, deltaSeconds) {
+        const { barCount, minDb, maxDb, smoothing, falloff } = params;
+        const range = Math.max(maxDb - minDb, 1);
+        this.setBarCount(barCount);
+        this.sinceData += deltaSeconds;
+
+        if (frequencyData) {
+            // Per second rather than per update, so it eases the same whatever the refresh rate
+            const keep = Math.pow(smoothing, this.sinceData * SMOOTHING_RATE);
+            this.sinceData = 0;
+            this.computeBandEdges(params, frequencyData.length, sampleRate);
+            for (let i = 0; i < barCount; i++) {
+                const db = this.bandDecibels(params, frequencyData, this.bandEdges[i], this.bandEdges[i + 1]);
+                const value = Math.min(Math.max((db - minDb) / range, 0), 1);
+                // Jump up straight away, ease back down
+                this.levels[i] = value > this.levels[i] ? value : this.levels[i] * keep + value * (1 - keep);
+            }
+        }
+
+        for (let i = 0; i < barCount; i++) {
+            if (this.levels[i] >= this.peaks[i]) {
+                this.peaks[i] = this.levels[i];
+                this.peakAge[i] = 0;
+                continue;
+            }
+            this.peakAge[i] += deltaSeconds;
+            if (this.peakAge[i] > PEAK_HOLD) {
+                this.peaks[i] = Math.max(this.peaks[i] - falloff * deltaSeconds, this.levels[i]);
+            }
+        }
+    }
+}
@@ -0,0 +1,273 @@
+// Spectrum Visualizer
+// Frequency spectrum from getFloatFrequencyData, regrouped onto a log/Bark/linear
+// frequency axis, smoothed with peak-hold and drawn as bars or a filled curve.
+
+import { Visualizer } from './visualizer.js';
+import { SpectrumAnalysis, spectrumParams, SPECTRUM_STYLES, SPECTRUM_MIRRORS } from './spectrum-analysis.js';
+
+const PEAK_HEIGHT = 0.008; // peak cap height as a fraction of the canvas
+
+const spectrumShader = `
+    struct VertexOutput {
+        @builtin(position) position: vec4<f32>,
+        @location(0) color: vec4<f32>,
+    }
+
+    struct SpectrumUniforms {
+        color: vec4<f32>,
+        peakColor: vec4<f32>,
+        barCount: u32,
+        style: u32,      // 0 bars, 1 curve
+        mirror: u32,     // 0 none, 1 vertical, 2 horizontal
+        gap: f32,        // fraction of each bar slot left empty
+        peakHeight: f32,
+    }
+
+    @group(0) @binding(0) var<storage, read> levels: array<f32>;
+    @group(0) @binding(1) var<storage, read> peaks: array<f32>;
+    @group(0) @binding(2) var<uniform> uniforms: SpectrumUniforms;
+
+    fn slotCenter(i: u32) -> f32 {
+        return (f32(i) + 0.5) / f32(uniforms.barCount);
+    }
+
+    @vertex
+    fn vertMain(@builtin(vertex_index) vertexIndex: u32, @builtin(instance_index) instance: u32) -> VertexOutput {
+        var output: VertexOutput;
+
+        // Instance 0/1 are bars/peaks, 2/3 the same again mirrored to the left
+        let isPeak = (instance % 2u) == 1u;
+        let isLeft = instance >= 2u;
+
+        // 12 vertices per bar, two quads ( the second is only used for the lower vertical mirror peak )
+        let bar = vertexIndex / 12u;
+        let quad = (vertexIndex % 12u) / 6u;
+        let corner = vertexIndex % 6u;
+        var uvs = array<vec2<f32>, 6>(
+            vec2<f32>(0.0, 0.0),
+            vec2<f32>(1.0, 0.0),
+            vec2<f32>(0.0, 1.0),
+            vec2<f32>(0.0, 1.0),
+            vec2<f32>(1.0, 0.0),
+            vec2<f32>(1.0, 1.0)
+        );
+        let uv = uvs[corner];
+
+        let slot = 1.0 / f32(uniforms.barCount);
+        var xa = f32(bar) * slot + slot * uniforms.gap * 0.5;
+        var xb = f32(bar + 1u) * slot - slot * uniforms.gap * 0.5;
+        var ha = levels[bar];
+        var hb = ha;
+
+        if (isPeak) {
+            ha = peaks[bar];
+            hb = ha;
+        } else if (uniforms.style == 1u) {
+            // Filled curve segment from this bar's centre to the next one's
+            if (bar + 1u >= uniforms.barCount) {
+                output.position = vec4<f32>(0.0, 0.0, 0.0, 0.0);
+                return output;
+            }
+            xa = slotCenter(bar);
+            xb = slotCenter(bar + 1u);
+            hb = levels[bar + 1u];
+        }
+
+        // Only the vertical mirror peaks need the second quad
+        if (quad == 1u && !(isPeak && uniforms.mirror == 1u)) {
+            output.position = vec4<f32>(0.0, 0.0, 0.0, 0.0);
+            return output;
+        }
+
+        let h = mix(ha, hb, uv.x);
+        var y: f32;
+        if (uniforms.mirror == 1u) {
+            if (isPeak && quad == 0u) {
+                y = 0.5 + h * 0.5 - uniforms.peakHeight + uv.y * uniforms.peakHeight;
+            } else if (isPeak) {
+                y = 0.5 - h * 0.5 + uv.y * uniforms.peakHeight;
+            } else {
+                y = 0.5 + (uv.y - 0.5) * h;
+            }
+        } else {
+            if (isPeak) {
+                y = h - uniforms.peakHeight + uv.y * uniforms.peakHeight;
+            } else {
+                y = uv.y * h;
+            }
+        }
+
+        var x = mix(xa, xb, uv.x);
+        if (uniforms.mirror == 2u) {
+            // Bass in the middle, spreading out both ways
+            if (isLeft) {
+                x = 0.5 - x * 0.5;
+            } else {
+                x = 0.5 + x * 0.5;
+            }
+        }
+
+        output.position = vec4<f32>(x * 2.0 - 1.0, y * 2.0 - 1.0, 0.0, 1.0);
+        if (isPeak) {
+            output.color = uniforms.peakColor;
+        } else {
+            // Darker towards the base of the bar
+            output.color = vec4<f32>(uniforms.color.rgb * mix(0.35, 1.0, uv.y), 1.0);
+        }
+        return output;
+    }
+
+    @fragment
+    fn fragMain(input: VertexOutput) -> @location(0) vec4<f32> {
+        return input.color;
+    }
+`;
+
+export class SpectrumVisualizer extends Visualizer {
+    static id = 'spectrum';
+    static label = 'Spectrum';
+    static inputs = ['frequency'];
+    static params = spectrumParams;
+
+    constructor(renderer) {
+        super(renderer);
+
+        // MSAA samples, fixed for this instance's pipelines ( a quality change reloads the visualizer )
+        this.sampleCount = renderer.sampleCount;
+
+        // Pipelines
+        this.pipeline = null;
+
+        // Textures and the views render uses
+        this.msaaTexture = null;
+        this.msaaView = null;
+        this.targetView = null;
+
+        // Buffers, the uniforms are a slot in the renderer's arena
+        this.levelsBuffer = null;
+        this.peaksBuffer = null;
+        this.uniforms = null;
+        this.bindGroup = null;
+
+        // CPU side analysis state
+        this.analysis = new SpectrumAnalysis();
+    }
+
+    async init() {
+        const module = this.device.createShaderModule({ code: spectrumShader });
+        this.pipeline = this.device.createRenderPipeline({
+            layout: 'auto',
+            vertex: {
+                module: module,
+                entryPoint: 'vertMain'
+            },
+            fragment: {
+                module: module,
+                entryPoint: 'fragMain',
+                targets: [{
+                    format: 'rgba8unorm'
+                }]
+            },
+            primitive: {
+                topology: 'triangle-list'
+            },
+            multisample: {
+                count: this.sampleCount
+            }
+        });
+
+        this.uniforms = this.renderer.uniforms.allocate(); // color, peakColor, barCount, style, mirror, gap, peakHeight
+
+        this.allocateBars();
+    }
+
+    paramsChanged() {
+        if (this.analysis.setBarCount(this.params.barCount)) {
+            this.allocateBars();
+        }
+    }
+
+    allocateBars() {
+        const count = this.params.barCount;
+        if (this.levelsBuffer) this.levelsBuffer.destroy();
+        if (this.peaksBuffer) this.peaksBuffer.destroy();
+
+        this.analysis.setBarCount(count);
+
+        this.levelsBuffer = this.device.createBuffer({
+            size: count * 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.peaksBuffer = this.device.createBuffer({
+            size: count * 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.bindGroup = this.device.createBindGroup({
+            layout: this.pipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: this.levelsBuffer } },
+                { binding: 1, resource: { buffer: this.peaksBuffer } },
+                { binding: 2, resource: this.uniforms.binding }
+            ]
+        });
+    }
+
+    resize(width, height, target) {
+        super.resize(width, height);
+        if (this.msaaTexture) this.msaaTexture.destroy();
+        // Without MSAA ( low quality ) it draws straight into the target
+        this.msaaTexture = null;
+        this.msaaView = null;
+        if (this.sampleCount > 1) {
+            this.msaaTexture = this.device.createTexture({
+                size: [width, height],
+                format: 'rgba8unorm',
+                sampleCount: this.sampleCount,
+                usage: GPUTextureUsage.RENDER_ATTACHMENT
+            });
+            this.msaaView = this.msaaTexture.createView();
+        }
+        this.targetView = target.view;
+    }
+
+    render(encoder, frame) {
+        const { frequencyData, sampleRate, colorRGB } = frame;
+        const { barCount, style, mirror } = this.params;
+
+        // Frame clock time rather than the wall clock so offline renders come out the same every time
+        this.analysis.update(this.params, frequencyData, sampleRate || 44100, frame.deltaTime || 0);
+        this.device.queue.writeBuffer(this.levelsBuffer, 0, this.analysis.levels);
+        this.device.queue.writeBuffer(this.peaksBuffer, 0, this.analysis.peaks);
+
+        const { floats, uints } = this.uniforms;
+        floats.set([colorRGB.r / 255, colorRGB.g / 255, colorRGB.b / 255, 1.0], 0);
+        floats.set([1.0, 1.0, 1.0, 1.0], 4);
+        uints[8] = barCount;
+        uints[9] = SPECTRUM_STYLES.indexOf(style);
+        uints[10] = SPECTRUM_MIRRORS.indexOf(mirror);
+        floats[11] = style === 'bars' ? 0.2 : 0.0;
+        floats[12] = PEAK_HEIGHT;
+
+        // No feedback here, every frame starts from black
+        const renderPass = encoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.msaaView || this.targetView,
+                resolveTarget: this.msaaView ? this.targetView : undefined,
+                loadOp: 'clear',
+                clearValue: { r: 0, g: 0, b: 0, a: 1 },
+                storeOp: 'store'
+            }]
+        });
+        renderPass.setPipeline(this.pipeline);
+        renderPass.setBindGroup(0, this.bindGroup);
+        renderPass.draw(barCount * 12, mirror === 'horizontal' ? 4 : 2);
+        renderPass.end();
+    }
+
+    dispose() {
+        if (this.msaaTexture) this.msaaTexture.destroy();
+        if (this.levelsBuffer) this.levelsBuffer.destroy();
+        if (this.peaksBuffer) this.peaksBuffer.destroy();
+        this.renderer.uniforms.release(this.uniforms);
+    }
+}
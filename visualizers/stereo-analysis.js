@@ -0,0 +1,67 @@
+// Stereo Analysis
+// CPU side of the stereo scope visualizers: turns the left/right time domain buffers into
+// polylines for the vectorscope ( mid/side ), Lissajous ( left vs right ) and dual waveform modes.
+// Shared by the WebGPU and Canvas 2D stereo scope modules.
+
+export const STEREO_MODES = ['vectorscope', 'lissajous', 'dual'];
+
+export const stereoParams = {
+    mode: { type: 'select', label: 'Mode', default: 'vectorscope', options: STEREO_MODES },
+    gain: { type: 'number', label: 'Gain', default: 1, min: 0.5, max: 8, step: 0.1 },
+    persistence: { type: 'number', label: 'Persistence', default: 0.8, min: 0, max: 0.95, step: 0.01 },
+    lineWidth: { type: 'number', label: 'Line width', default: 1, min: 0.5, max: 6, step: 0.5 }
+};
+
+function clampUnit(value) {
+    return Math.min(Math.max(value, -1), 1);
+}
+
+// Polylines in -1..1 space ( y up ) laid end to end, lineLength points each
+// aspect is width / height, the scope modes stay square in the middle of the screen
+export function stereoLines(params, stereoData, aspect) {
+    const { mode, gain } = params;
+    const { left, right } = stereoData;
+    const length = Math.min(left.length, right.length);
+
+    if (mode === 'dual') {
+        // Left on the top half, right on the bottom
+        const points = new Float32Array(length * 4);
+        for (let i = 0; i < length; i++) {
+            const x = length > 1 ? (i / (length - 1)) * 2 - 1 : 0;
+            points[i * 2] = x;
+            points[i * 2 + 1] = 0.5 + clampUnit(left[i] * gain) * 0.5;
+            points[(length + i) * 2] = x;
+            points[(length + i) * 2 + 1] = -0.5 + clampUnit(right[i] * gain) * 0.5;
+        }
+        return { points: points, lineCount: 2, lineLength: length };
+    }
+
+    const scaleX = aspect > 1 ? 1 / aspect : 1;
+    const scaleY = aspect < 1 ? aspect : 1;
+    const points = new Float32Array(length * 2);
+    for (let i = 0; i < length; i++) {
+        let x, y;
+        if (mode === 'lissajous') {
+            x = left[i];
+            y = right[i];
+        } else {
+            // Rotated 45 degrees so mono is a vertical line and out of phase is horizontal
+            x = (right[i] - left[i]) * Math.SQRT1_2;
+            y = (left[i] + right[i]) * Math.SQRT1_2;
+        }
+        points[i * 2] = clampUnit(x * gain) * scaleX;
+        points[i * 2 + 1] = clampUnit(y * gain) * scaleY;
+    }
+    return { points: points, lineCount: 1, lineLength: length };
+}
+
+// How much of the trails to fade out over a frame deltaTime seconds long, persistence is what's
+// left after each 60th of a second so the trails last as long whatever the frame rate
+export function persistenceFade(persistence, deltaTime) {
+    return 1 - Math.pow(persistence, deltaTime * 60);
+}
+
+// Colour for the right channel in dual mode when there's no palette, the channels rotated
+export function secondaryColor(colorRGB) {
+    return { r: colorRGB.g, g: colorRGB.b, b: colorRGB.r };
+}
@@ -0,0 +1,70 @@
+// Stereo Scope Visualizer ( Canvas 2D )
+// Fallback version of the stereo scope for machines without WebGPU, same analysis and
+// params, drawn with plain 2D paths over the faded previous frame.
+
+import { Visualizer } from './visualizer.js';
+import { StereoScopeVisualizer } from './stereo-scope.js';
+import { stereoLines, secondaryColor, persistenceFade } from './stereo-analysis.js';
+
+export class StereoScope2DVisualizer extends Visualizer {
+    static id = StereoScopeVisualizer.id;
+    static label = StereoScopeVisualizer.label;
+    static backend = 'canvas2d';
+    static inputs = StereoScopeVisualizer.inputs;
+    static params = StereoScopeVisualizer.params;
+
+    constructor(renderer) {
+        super(renderer);
+
+        // Last lines drawn, redrawn every frame until new audio arrives
+        this.lines = null;
+    }
+
+    paramsChanged() {
+        this.lines = null;
+    }
+
+    resize(width, height) {
+        super.resize(width, height);
+        this.lines = null;
+    }
+
+    render(ctx, frame) {
+        const { stereoData, colorRGB, palette } = frame;
+        const { persistence, lineWidth } = this.params;
+
+        if (stereoData) {
+            this.lines = stereoLines(this.params, stereoData, this.width / this.height);
+        }
+
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = `rgba(0, 0, 0, ${persistenceFade(persistence, frame.deltaTime || 0)})`;
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        if (!this.lines || this.lines.lineLength < 2) return;
+
+        const { points, lineCount, lineLength } = this.lines;
+        const colors = [colorRGB, palette ? palette.secondary : secondaryColor(colorRGB)];
+        ctx.lineJoin = 'round';
+        ctx.lineCap = 'round';
+        ctx.lineWidth = lineWidth * 2; // the GPU width is a half width
+        for (let line = 0; line < lineCount; line++) {
+            ctx.beginPath();
+            for (let i = 0; i < lineLength; i++) {
+                const index = (line * lineLength + i) * 2;
+                // -1..1 y up to canvas space
+                const x = (points[index] + 1) * 0.5 * this.width;
+                const y = (1 - points[index + 1]) * 0.5 * this.height;
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            }
+            const { r, g, b } = colors[line];
+            ctx.strokeStyle = `rgb(${r}, ${g}, ${b})`;
+            ctx.stroke();
+        }
+    }
+}
@@ -0,0 +1,272 @@
+// Stereo Scope Visualizer
+// Left vs right from the per channel analysers: a vectorscope ( mid/side, mono is a vertical
+// line ), a Lissajous figure ( left on x, right on y ) or the two channels as separate waveforms.
+// Trails come from fading the previous frame instead of the feedback blur.
+
+import { Visualizer } from './visualizer.js';
+import { stereoParams, stereoLines, secondaryColor, persistenceFade } from './stereo-analysis.js';
+
+const scopeShader = `
+    struct VertexOutput {
+        @builtin(position) position: vec4<f32>,
+        @location(0) color: vec4<f32>,
+    }
+
+    struct ScopeUniforms {
+        color: vec4<f32>,
+        secondColor: vec4<f32>, // right channel in dual mode
+        resolution: vec2<f32>,
+        lineLength: u32,        // points per line, lines are laid end to end
+        lineWidth: f32,         // half width in pixels
+        fade: f32,              // alpha of the black laid over last frame
+    }
+
+    @group(0) @binding(0) var<storage, read> points: array<vec2<f32>>;
+    @group(0) @binding(1) var<uniform> uniforms: ScopeUniforms;
+
+    @vertex
+    fn lineVert(@builtin(vertex_index) vertexIndex: u32, @builtin(instance_index) line: u32) -> VertexOutput {
+        var output: VertexOutput;
+
+        // Each segment is a quad, stretched by the line width past both ends so the joins overlap
+        let segment = vertexIndex / 6u;
+        let corner = vertexIndex % 6u;
+        if (segment + 1u >= uniforms.lineLength) {
+            output.position = vec4<f32>(0.0, 0.0, 0.0, 0.0);
+            return output;
+        }
+
+        let halfResolution = uniforms.resolution * 0.5;
+        let a = points[line * uniforms.lineLength + segment] * halfResolution;
+        let b = points[line * uniforms.lineLength + segment + 1u] * halfResolution;
+        let delta = b - a;
+        let len = length(delta);
+        var along = vec2<f32>(uniforms.lineWidth, 0.0);
+        if (len > 0.0) {
+            along = delta / len * uniforms.lineWidth;
+        }
+        let across = vec2<f32>(-along.y, along.x);
+
+        var p: vec2<f32>;
+        if (corner == 0u) {
+            p = a - along + across;
+        } else if (corner == 1u || corner == 4u) {
+            p = a - along - across;
+        } else if (corner == 2u || corner == 3u) {
+            p = b + along + across;
+        } else {
+            p = b + along - across;
+        }
+
+        output.position = vec4<f32>(p / halfResolution, 0.0, 1.0);
+        output.color = select(uniforms.color, uniforms.secondColor, line == 1u);
+        return output;
+    }
+
+    @fragment
+    fn lineFrag(input: VertexOutput) -> @location(0) vec4<f32> {
+        return input.color;
+    }
+
+    @vertex
+    fn fadeVert(@builtin(vertex_index) vertexIndex: u32) -> @builtin(position) vec4<f32> {
+        // One triangle covering the screen
+        let corner = vec2<f32>(f32((vertexIndex << 1u) & 2u), f32(vertexIndex & 2u));
+        return vec4<f32>(corner * 2.0 - 1.0, 0.0, 1.0);
+    }
+
+    @fragment
+    fn fadeFrag() -> @location(0) vec4<f32> {
+        return vec4<f32>(0.0, 0.0, 0.0, uniforms.fade);
+    }
+`;
+
+const alphaBlend = {
+    color: {
+        srcFactor: 'src-alpha',
+        dstFactor: 'one-minus-src-alpha',
+        operation: 'add'
+    },
+    alpha: {
+        srcFactor: 'one',
+        dstFactor: 'one-minus-src-alpha',
+        operation: 'add'
+    }
+};
+
+export class StereoScopeVisualizer extends Visualizer {
+    static id = 'stereo-scope';
+    static label = 'Stereo Scope';
+    static inputs = ['stereo'];
+    static params = stereoParams;
+
+    constructor(renderer) {
+        super(renderer);
+
+        // MSAA samples, fixed for this instance's pipelines ( a quality change reloads the visualizer )
+        this.sampleCount = renderer.sampleCount;
+
+        // Pipelines
+        this.linePipeline = null;
+        this.fadePipeline = null;
+
+        // Textures ( the MSAA texture keeps the trails between frames, the target gets the resolve )
+        this.msaaTexture = null;
+        this.msaaView = null;
+        this.targetView = null;
+
+        // Buffers
+        this.pointsBuffer = null;
+        this.uniforms = null; // slot in the renderer's arena
+        this.fadeBindGroup = null;
+        this.lineBindGroup = null;
+
+        // Last lines drawn, redrawn every frame until new audio arrives
+        this.lines = null;
+    }
+
+    async init() {
+        const module = this.device.createShaderModule({ code: scopeShader });
+        const multisample = { count: this.sampleCount };
+
+        this.linePipeline = this.device.createRenderPipeline({
+            layout: 'auto',
+            vertex: {
+                module: module,
+                entryPoint: 'lineVert'
+            },
+            fragment: {
+                module: module,
+                entryPoint: 'lineFrag',
+                targets: [{
+                    format: 'rgba8unorm',
+                    blend: alphaBlend
+                }]
+            },
+            primitive: {
+                topology: 'triangle-list'
+            },
+            multisample: multisample
+        });
+
+        this.fadePipeline = this.device.createRenderPipeline({
+            layout: 'auto',
+            vertex: {
+                module: module,
+                entryPoint: 'fadeVert'
+            },
+            fragment: {
+                module: module,
+                entryPoint: 'fadeFrag',
+                targets: [{
+                    format: 'rgba8unorm',
+                    blend: alphaBlend
+                }]
+            },
+            primitive: {
+                topology: 'triangle-list'
+            },
+            multisample: multisample
+        });
+
+        this.uniforms = this.renderer.uniforms.allocate(); // color, secondColor, resolution, lineLength, lineWidth, fade
+
+        this.fadeBindGroup = this.device.createBindGroup({
+            layout: this.fadePipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 1, resource: this.uniforms.binding }
+            ]
+        });
+        this.allocatePoints();
+    }
+
+    // The line points and their bind group, sized by the analysis window
+    allocatePoints() {
+        if (this.pointsBuffer) this.pointsBuffer.destroy();
+        this.pointsBuffer = this.device.createBuffer({
+            size: this.renderer.bufferLength * 2 * 8, // two lines of vec2<f32> at most
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.lineBindGroup = this.device.createBindGroup({
+            layout: this.linePipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: this.pointsBuffer } },
+                { binding: 1, resource: this.uniforms.binding }
+            ]
+        });
+    }
+
+    bufferLengthChanged() {
+        this.allocatePoints();
+        // The last lines went to the old buffer, the trails stay
+        this.lines = null;
+    }
+
+    paramsChanged() {
+        // Mode/gain changes move everything around, stop redrawing the old shape until new audio comes in
+        this.lines = null;
+    }
+
+    resize(width, height, target) {
+        super.resize(width, height);
+        if (this.msaaTexture) this.msaaTexture.destroy();
+        // Without MSAA ( low quality ) the trails live in the target itself, it persists
+        this.msaaTexture = null;
+        this.msaaView = null;
+        if (this.sampleCount > 1) {
+            this.msaaTexture = this.device.createTexture({
+                size: [width, height],
+                format: 'rgba8unorm',
+                sampleCount: this.sampleCount,
+                usage: GPUTextureUsage.RENDER_ATTACHMENT
+            });
+            this.msaaView = this.msaaTexture.createView();
+        }
+        this.targetView = target.view;
+        this.lines = null;
+    }
+
+    render(encoder, frame) {
+        const { stereoData, colorRGB, palette } = frame;
+        const { persistence, lineWidth } = this.params;
+
+        if (stereoData) {
+            this.lines = stereoLines(this.params, stereoData, this.width / this.height);
+            this.device.queue.writeBuffer(this.pointsBuffer, 0, this.lines.points);
+        }
+
+        const second = palette ? palette.secondary : secondaryColor(colorRGB);
+        const { floats, uints } = this.uniforms;
+        floats.set([colorRGB.r / 255, colorRGB.g / 255, colorRGB.b / 255, 1.0], 0);
+        floats.set([second.r / 255, second.g / 255, second.b / 255, 1.0], 4);
+        floats.set([this.width, this.height], 8);
+        uints[10] = this.lines ? this.lines.lineLength : 0;
+        floats[11] = lineWidth;
+        floats[12] = persistenceFade(persistence, frame.deltaTime || 0);
+
+        const renderPass = encoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.msaaView || this.targetView,
+                resolveTarget: this.msaaView ? this.targetView : undefined,
+                loadOp: 'load',
+                storeOp: 'store'
+            }]
+        });
+        renderPass.setPipeline(this.fadePipeline);
+        renderPass.setBindGroup(0, this.fadeBindGroup);
+        renderPass.draw(3);
+
+        if (this.lines && this.lines.lineLength > 1) {
+            renderPass.setPipeline(this.linePipeline);
+            renderPass.setBindGroup(0, this.lineBindGroup);
+            renderPass.draw((this.lines.lineLength - 1) * 6, this.lines.lineCount);
+        }
+        renderPass.end();
+    }
+
+    dispose() {
+        if (this.msaaTexture) this.msaaTexture.destroy();
+        if (this.pointsBuffer) this.pointsBuffer.destroy();
+        this.renderer.uniforms.release(this.uniforms);
+    }
+}
@@ -0,0 +1,235 @@
+// Visualizer Base Module
+// Every visualization is a subclass of Visualizer that the renderer drives through
+// init/resize/render/dispose. The renderer owns the device ( or 2D contexts ) and the
+// layers, the visualizer owns everything it needs to draw into them.
+
+// Shapes a numeric param can be animated with ( see Visualizer.animateParam )
+export const PARAM_ANIMATION_SHAPES = ['sine', 'triangle', 'saw', 'square'];
+
+// Clamp/validate a value against a param definition, falls back to the current value
+export function coerceParam(definition, value, current) {
+    switch (definition.type) {
+        case 'int':
+        case 'number': {
+            let number = Number(value);
+            if (typeof value === 'boolean' || value === null || value === '' || !isFinite(number)) {
+                return current;
+            }
+            if (definition.type === 'int') {
+                number = Math.round(number);
+            }
+            if (definition.min !== undefined) number = Math.max(number, definition.min);
+            if (definition.max !== undefined) number = Math.min(number, definition.max);
+            return number;
+        }
+        case 'boolean':
+            return Boolean(value);
+        case 'select':
+            return definition.options.includes(value) ? value : current;
+        case 'code':
+            return typeof value === 'string' ? value : current;
+        case 'color':
+            return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : current;
+        default:
+            return current;
+    }
+}
+
+// Defaults for a whole params schema ( same format as Visualizer.params ), name -> value
+export function defaultParams(definitions) {
+    const values = {};
+    for (const [name, definition] of Object.entries(definitions)) {
+        values[name] = definition.default;
+    }
+    return values;
+}
+
+// Coerce every value the schema knows about on top of current, the rest are ignored
+export function coerceParams(definitions, values, current=defaultParams(definitions)) {
+    const result = { ...current };
+    for (const [name, definition] of Object.entries(definitions)) {
+        if (values && values[name] !== undefined) {
+            result[name] = coerceParam(definition, values[name], result[name]);
+        }
+    }
+    return result;
+}
+
+// '#rrggbb' -> { r, g, b } in 0-255 like the frame's colorRGB
+export function hexToRGB(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+// -1..1 oscillator value at a position measured in periods
+function animationWave(shape, position) {
+    const t = position - Math.floor(position);
+    switch (shape) {
+        case 'triangle':
+            return 1 - 4 * Math.abs(t - 0.5);
+        case 'saw':
+            return t * 2 - 1;
+        case 'square':
+            return t < 0.5 ? 1 : -1;
+        default:
+            return Math.sin(t * Math.PI * 2);
+    }
+}
+
+// Window size a frame was analysed at ( see Visualizer.inputs ), null when it carries no analysis
+export function frameBufferLength(params) {
+    if (params.audioData) return params.audioData.length;
+    if (params.stereoData) return params.stereoData.left.length;
+    if (params.frequencyData) return params.frequencyData.length * 2;
+    return null;
+}
+
+export class Visualizer {
+    // Unique id used by the registry, the settings UI and saved state
+    static id = '';
+    // Human readable name shown in the UI
+    static label = '';
+    // Which renderer this implementation draws with, 'webgpu' or 'canvas2d'
+    static backend = 'webgpu';
+    // Analysis inputs the visualizer wants filled in each frame, renderer.bufferLength samples long
+    // 'timeDomain' -> params.audioData (0-255 with 128 as silence, a Float32Array or at byte precision a Uint8Array)
+    // 'frequency'  -> params.frequencyData (Float32Array, getFloatFrequencyData in dB)
+    // 'stereo'     -> params.stereoData ({ left, right } Float32Arrays, getFloatTimeDomainData per channel)
+    static inputs = [];
+    // Adjustable parameters, name -> { type: 'int'|'number'|'boolean'|'select'|'color'|'code', label, default,
+    // min/max/step for numbers, options for selects, '#rrggbb' for colors }. The settings UI is built from this,
+    // 'code' params ( shader source ) go through the shader editor and compile() instead.
+    static params = {};
+
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.device = renderer.device;
+        this.width = 0;
+        this.height = 0;
+
+        // Current parameter values, starting from the defaults
+        this.params = {};
+        for (const [name, definition] of Object.entries(this.constructor.params)) {
+            this.params[name] = definition.default;
+        }
+
+        // Param oscillators, name -> { amplitude, period, shape, phase }
+        this.animations = {};
+    }
+
+    // Update any number of params, unknown names and invalid values are ignored
+    setParams(values) {
+        const definitions = this.constructor.params;
+        for (const [name, value] of Object.entries(values || {})) {
+            if (definitions[name]) {
+                this.params[name] = coerceParam(definitions[name], value, this.params[name]);
+            }
+        }
+        this.paramsChanged();
+    }
+
+    // Params and animations, everything needed to bring this look back ( presets, saved state )
+    getState() {
+        const animations = {};
+        for (const [name, animation] of Object.entries(this.animations)) {
+            animations[name] = { ...animation };
+        }
+        return { params: { ...this.params }, animations: animations };
+    }
+
+    // Replace the params and animations, anything the state leaves out goes back to its default
+    setState(state) {
+        for (const [name, definition] of Object.entries(this.constructor.params)) {
+            this.params[name] = definition.default;
+        }
+        this.animations = {};
+        this.setParams(state && state.params);
+        for (const [name, animation] of Object.entries((state && state.animations) || {})) {
+            try {
+                this.animateParam(name, animation);
+            } catch (error) {
+                console.log(`Ignoring animation for "${name}":`, error.message);
+            }
+        }
+    }
+
+    // Swing a numeric param around its current value over time, null stops it
+    // animation: { amplitude, period ( seconds ), shape ( see PARAM_ANIMATION_SHAPES ), phase ( 0..1 ) }
+    animateParam(name, animation) {
+        const definition = this.constructor.params[name];
+        if (!definition || (definition.type !== 'number' && definition.type !== 'int')) {
+            throw new Error(`Param "${name}" can't be animated.`);
+        }
+        if (!animation) {
+            delete this.animations[name];
+            return;
+        }
+
+        const shape = animation.shape || 'sine';
+        if (!PARAM_ANIMATION_SHAPES.includes(shape)) {
+            throw new Error(`Unknown animation shape "${shape}".`);
+        }
+        const period = Number(animation.period);
+        if (!(period > 0)) {
+            throw new Error("Animation period must be greater than zero.");
+        }
+        this.animations[name] = {
+            amplitude: Number(animation.amplitude) || 0,
+            period: period,
+            shape: shape,
+            phase: Number(animation.phase) || 0
+        };
+    }
+
+    // Param values at a point in time ( seconds ) with the animations applied, still clamped to their ranges
+    animatedParams(time) {
+        const values = { ...this.params };
+        const definitions = this.constructor.params;
+        for (const [name, animation] of Object.entries(this.animations)) {
+            const wave = animationWave(animation.shape, time / animation.period + animation.phase);
+            values[name] = coerceParam(definitions[name], this.params[name] + animation.amplitude * wave, this.params[name]);
+        }
+        return values;
+    }
+
+    // Called after setParams so subclasses can rebuild anything derived from them
+    paramsChanged() {}
+
+    // Compile and hot swap new source for the 'code' param ( live shader editing ), resolves to
+    // { success, messages: [{ type, line, column, message }] }
+    async compile(code) {
+        throw new Error(`${this.constructor.label} doesn't take custom shaders.`);
+    }
+
+    // Create pipelines and anything that doesn't depend on the canvas size
+    async init() {}
+
+    // (Re)create size dependent resources, called once after init and on every canvas resize. target is
+    // the layer render() draws into ( { texture, view } ) on WebGPU, so views and bind groups that use
+    // it can be made here once instead of every frame ( uniforms go in this.renderer.uniforms slots )
+    resize(width, height, target) {
+        this.width = width;
+        this.height = height;
+    }
+
+    // Record the frame into encoder, drawing into frame.target (rgba8unorm, canvas sized, frame.targetView
+    // is its view)
+    // Canvas 2D implementations get the target layer's 2D context instead of an encoder
+    // and frame.target is the layer's canvas. frame.time is the frame timestamp in seconds
+    // ( what animatedParams expects ) and frame.deltaTime the seconds since the last frame, anything
+    // that moves or fades should go by it so the look doesn't change with the frame rate.
+    // frame.clearFrame counts the decay ticks since the last frame and frame.updateWaveform is set
+    // when fresh audio data came with it ( see frame-clock.js ). frame.rhythm is the beat detector's output while audio
+    // is playing ( { beat, onsets, energy, pulse, tempo, confidence, phase }, see beat-detector.js )
+    // and frame.albumArt is the current track's cover ( { texture, width, height }, or an
+    // ImageBitmap on Canvas 2D ), null when there isn't one
+    render(encoder, frame) {}
+
+    // renderer.bufferLength ( the analysis window ) changed. Reallocate what's sized by it, the audio
+    // and spectrum buffers and their bind groups, and keep everything else ( trails, history ) so the
+    // look carries straight on. Nothing to do when nothing is sized by it.
+    bufferLengthChanged() {}
+
+    // Release GPU resources, the instance is not used again afterwards
+    dispose() {}
+}
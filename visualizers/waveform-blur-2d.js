@@ -0,0 +1,136 @@
+// Waveform Blur Visualizer ( Canvas 2D )
+// Fallback version of the waveform blur for machines without WebGPU. The feedback is
+// faked by redrawing the previous frame offset by half a pixel ( the bilinear filtering
+// does the blurring ) and fading it towards black. Zoom/rotation/shift/hue shift go through
+// the context transform and filter, the radial warp has no cheap 2D equivalent so it's skipped.
+
+import { Visualizer } from './visualizer.js';
+import { WaveformBlurVisualizer, waveformShadowRGB, feedbackStep } from './waveform-blur.js';
+import { DECAY_TICK_RATE } from '../frame-clock.js';
+
+const FADE_SCALE = 6; // decay per tick -> alpha of the black laid over the trails on each decay tick
+const DRIFT_OFFSETS = { right: 0.5, left: -0.5, both: 0 }; // px the history is redrawn at
+
+export class WaveformBlur2DVisualizer extends Visualizer {
+    static id = WaveformBlurVisualizer.id;
+    static label = WaveformBlurVisualizer.label;
+    static backend = 'canvas2d';
+    static inputs = WaveformBlurVisualizer.inputs;
+    static params = WaveformBlurVisualizer.params;
+
+    constructor(renderer) {
+        super(renderer);
+
+        // Previous frame
+        this.historyCanvas = null;
+        this.historyCtx = null;
+
+        // Waveform layout, recalculated on resize ( and the slice width when the analysis window changes )
+        this.midY = 0;
+        this.heightChunks = 0;
+        this.sliceWidth = 0;
+    }
+
+    resize(width, height) {
+        super.resize(width, height);
+
+        this.historyCanvas = this.renderer.createCanvas(width, height);
+        this.historyCtx = this.historyCanvas.getContext('2d');
+
+        // Same layout as the WebGPU version
+        this.midY = height / 2;
+        this.heightChunks = (height / 256) * .8;
+        this.layoutSlices();
+    }
+
+    layoutSlices() {
+        const bufferLength = this.renderer.bufferLength;
+        if ( this.width > bufferLength ) {
+            this.sliceWidth =  this.width / (bufferLength - 1);
+        } else {
+            this.sliceWidth =  (bufferLength - 1) / this.width;
+        }
+        this.sliceWidth = Math.max(this.sliceWidth, 3);
+    }
+
+    bufferLengthChanged() {
+        this.layoutSlices();
+    }
+
+    render(ctx, frame) {
+        const {
+            target,
+            clearFrame,
+            updateWaveform,
+            audioData,
+            colorRGB,
+            palette,
+            rhythm,
+            time,
+            deltaTime
+        } = frame;
+        const params = this.animatedParams(time || 0);
+        const step = feedbackStep(params, rhythm, deltaTime || 0, clearFrame || 0);
+
+        // Keep last frame around so we can smear it back over the target
+        this.historyCtx.globalCompositeOperation = 'copy';
+        this.historyCtx.drawImage(target, 0, 0);
+
+        // Feedback transform about the centre
+        ctx.save();
+        ctx.translate(this.width * (0.5 + step.translateX), this.height * (0.5 - step.translateY));
+        ctx.rotate(step.rotation * Math.PI / 180);
+        ctx.scale(step.zoom, step.zoom);
+        ctx.translate(-this.width / 2, -this.height / 2);
+        if (step.colorShift !== 0 && 'filter' in ctx) {
+            ctx.filter = `hue-rotate(${step.colorShift}deg)`;
+        }
+
+        // Drift and average the rows above/below ( the mix weights only loosely map onto alphas here )
+        const drift = DRIFT_OFFSETS[params.drift];
+        ctx.globalCompositeOperation = 'copy';
+        ctx.globalAlpha = Math.min(params.curColorMix * 2, 1);
+        ctx.drawImage(this.historyCanvas, drift, -0.5);
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.globalAlpha = params.tmpColorMix * Math.min(step.steps, 1);
+        ctx.drawImage(this.historyCanvas, drift, 0.5);
+        ctx.restore();
+
+        if (clearFrame) {
+            // One fade per decay tick that went by
+            const fade = Math.min(params.falloff / DECAY_TICK_RATE * FADE_SCALE, 1);
+            ctx.fillStyle = `rgba(0, 0, 0, ${1 - Math.pow(1 - fade, clearFrame)})`;
+            ctx.fillRect(0, 0, this.width, this.height);
+        }
+
+        if (!updateWaveform || !audioData) return;
+
+        ctx.beginPath();
+        for (let i = 0; i < this.renderer.bufferLength; i++) {
+            const x = i * this.sliceWidth;
+            const y = this.midY + ((audioData[i] - 128) * this.heightChunks);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.lineJoin = 'round';
+
+        // Shadow first, then the waveform on top ( the GPU widths are half widths )
+        if (params.shadowWidth > 0) {
+            const shadow = waveformShadowRGB(params, palette);
+            ctx.strokeStyle = `rgb(${shadow.r}, ${shadow.g}, ${shadow.b})`;
+            ctx.lineWidth = params.shadowWidth * 2;
+            ctx.stroke();
+        }
+        ctx.strokeStyle = `rgb(${colorRGB.r}, ${colorRGB.g}, ${colorRGB.b})`;
+        ctx.lineWidth = params.lineWidth * 2;
+        ctx.stroke();
+    }
+
+    dispose() {
+        this.historyCanvas = null;
+        this.historyCtx = null;
+    }
+}
@@ -0,0 +1,603 @@
+// Waveform Blur Visualizer
+// The original visualization: a feedback blur compute pass that smears the previous
+// frame, with an antialiased waveform (plus drop shadow) drawn over the top.
+// The blur weights, decay and drift plus Milkdrop style zoom/rotation/shift/warp/hue
+// shift are all params, so they can be set ( or animated ) at runtime.
+
+import { Visualizer, hexToRGB } from './visualizer.js';
+import { DECAY_TICK_RATE } from '../frame-clock.js';
+
+// Which way the trails smear -> neighbour taps the blur blends in ( bit 0 left, bit 1 right )
+const DRIFT_TAPS = { right: 1, left: 2, both: 3 };
+
+// Zoom, shift, warp and the blur are steps at this rate, scaled by the time that really passed
+const FEEDBACK_RATE = 60;
+
+// How far the feedback moves in a frame deltaTime seconds long with decayTicks decay ticks in it
+// ( see frame-clock.js ), the same every second whatever the frame rate. Angles are in degrees.
+export function feedbackStep(params, rhythm, deltaTime, decayTicks) {
+    const steps = deltaTime * FEEDBACK_RATE;
+    const zoom = params.zoom + params.beatZoom * (rhythm ? rhythm.pulse : 0);
+    return {
+        steps: steps,
+        zoom: Math.pow(zoom, steps),
+        rotation: params.rotation * deltaTime,
+        translateX: params.translateX * steps,
+        translateY: params.translateY * steps,
+        warp: params.warp * steps,
+        colorShift: params.colorShift * deltaTime,
+        decay: params.falloff / DECAY_TICK_RATE * decayTicks
+    };
+}
+
+// Shadow colour as 0-255 { r, g, b }, the palette's unless the custom colour is picked ( or there's no palette )
+export function waveformShadowRGB(params, palette) {
+    if (params.shadowSource === 'palette' && palette) {
+        return palette.shadow;
+    }
+    return hexToRGB(params.shadowColor);
+}
+
+export class WaveformBlurVisualizer extends Visualizer {
+    static id = 'waveform-blur';
+    static label = 'Waveform Blur';
+    static inputs = ['timeDomain'];
+    // Milkdrop style feedback controls. Decay, rotation and hue shift are per second, the blur,
+    // zoom, shift and warp are per 60th of a second ( see feedbackStep )
+    static params = {
+        // These two shouldn't add up to much more than 1 or the trails blow out
+        curColorMix: { type: 'number', label: 'Trail weight', default: 0.5, min: 0, max: 1, step: 0.01 },
+        tmpColorMix: { type: 'number', label: 'Blur weight', default: 0.5, min: 0, max: 1, step: 0.01 },
+        falloff: { type: 'number', label: 'Decay (/s)', default: 0.05, min: 0, max: 0.5, step: 0.005 },
+        drift: { type: 'select', label: 'Drift', default: 'right', options: Object.keys(DRIFT_TAPS) },
+        zoom: { type: 'number', label: 'Zoom', default: 1, min: 0.9, max: 1.1, step: 0.001 },
+        beatZoom: { type: 'number', label: 'Beat zoom kick', default: 0, min: 0, max: 0.05, step: 0.001 }, // added to zoom, fading after each beat
+        rotation: { type: 'number', label: 'Rotation (°/s)', default: 0, min: -300, max: 300, step: 5 },
+        translateX: { type: 'number', label: 'Shift X', default: 0, min: -0.02, max: 0.02, step: 0.001 },
+        translateY: { type: 'number', label: 'Shift Y', default: 0, min: -0.02, max: 0.02, step: 0.001 },
+        warp: { type: 'number', label: 'Radial warp', default: 0, min: 0, max: 0.05, step: 0.001 },
+        colorShift: { type: 'number', label: 'Hue shift (°/s)', default: 0, min: -600, max: 600, step: 10 },
+        // Half widths of the waveform quads in pixels
+        lineWidth: { type: 'number', label: 'Line width', default: 1, min: 0.5, max: 6, step: 0.5 },
+        shadowWidth: { type: 'number', label: 'Shadow width', default: 3, min: 0, max: 12, step: 0.5 },
+        shadowSource: { type: 'select', label: 'Shadow colour from', default: 'palette', options: ['palette', 'custom'] },
+        shadowColor: { type: 'color', label: 'Custom shadow colour', default: '#000000' }
+    };
+
+    constructor(renderer) {
+        super(renderer);
+
+        // MSAA samples, fixed for this instance's pipelines ( a quality change reloads the visualizer )
+        this.sampleCount = renderer.sampleCount;
+
+        // Pipelines
+        this.blurPipeline = null;
+        this.blurSampler = null;
+        this.waveformPipeline = null;
+        this.compositePipeline = null;
+
+        // Textures
+        this.renderTexture = null;
+        this.msaaTexture = null;
+        this.waveformTexture = null;
+
+        // Views and bind groups, made on resize
+        this.views = null;
+        this.bindGroups = null;
+
+        // Buffers, the uniforms are slots in the renderer's arena
+        this.audioDataBuffer = null;
+        this.audioFloats = null;
+        this.blurUniforms = null;
+        this.waveUniforms = null;
+        this.waveColor = null;
+        this.shadowUniforms = null;
+        this.shadowColor = null;
+
+        // Waveform layout, recalculated on resize
+        this.midY = 0;
+        this.heightChunks = 0;
+        this.sliceWidth = 0;
+    }
+
+    async init() {
+        // Compute shader for blur effect
+        // Each pixel is pulled from where the zoom/rotation/translation/warp says it came from
+        // last frame, then blended with its neighbours ( the drift picks which side, steps how much
+        // of a full blur this frame gets ) and decayed
+        const blurShader = `
+            @group(0) @binding(0) var inputTex: texture_2d<f32>;
+            @group(0) @binding(1) var outputTex: texture_storage_2d<rgba8unorm, write>;
+            @group(0) @binding(2) var<uniform> uniforms: Uniforms;
+            @group(0) @binding(3) var inputSampler: sampler;
+
+            struct Uniforms {
+                width: u32,
+                height: u32,
+                steps: f32,           // 60ths of a second since the last frame
+                taps: u32,            // bit 0 blends the left neighbours in, bit 1 the right ones
+                curColorMix: f32,     // weight kept of the pixel itself
+                tmpColorMix: f32,     // weight of each neighbour blended in
+                decay: f32,           // subtracted this frame
+                zoom: f32,
+                rotation: f32,        // radians
+                warp: f32,
+                time: f32,            // seconds
+                colorShift: f32,      // hue rotation in radians
+                translate: vec2<f32>, // fraction of the canvas
+            }
+
+            // Where last frame's copy of this pixel sits
+            fn sourcePosition(position: vec2<f32>, size: vec2<f32>) -> vec2<f32> {
+                let center = size * 0.5;
+                var offset = position - center;
+
+                // Ripple the distance from the centre, the rings travel outwards over time
+                let radius = length(offset) / size.y;
+                offset = offset * (1.0 + uniforms.warp * sin(radius * 24.0 - uniforms.time * 2.0));
+
+                // Sampling closer in zooms the image out towards us, same idea for the rotation
+                offset = offset / uniforms.zoom;
+                let c = cos(uniforms.rotation);
+                let s = sin(uniforms.rotation);
+                offset = vec2<f32>(offset.x * c + offset.y * s, offset.y * c - offset.x * s);
+
+                return center + offset - uniforms.translate * size;
+            }
+
+            fn tap(position: vec2<f32>, size: vec2<f32>, dx: f32, dy: f32) -> vec3<f32> {
+                return textureSampleLevel(inputTex, inputSampler, (position + vec2<f32>(dx, dy)) / size, 0.0).rgb;
+            }
+
+            fn blend(color: vec3<f32>, neighbour: vec3<f32>) -> vec3<f32> {
+                return (color * uniforms.curColorMix) + (neighbour * uniforms.tmpColorMix);
+            }
+
+            // Rotate around the grey axis, keeps the brightness roughly where it was
+            fn hueShift(color: vec3<f32>, angle: f32) -> vec3<f32> {
+                let axis = vec3<f32>(0.57735027);
+                let c = cos(angle);
+                return color * c + cross(axis, color) * sin(angle) + axis * dot(axis, color) * (1.0 - c);
+            }
+
+            @compute @workgroup_size(8, 8)
+            fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+                let x = global_id.x;
+                let y = global_id.y;
+                
+                if (x >= uniforms.width || y >= uniforms.height) {
+                    return;
+                }
+
+                let size = vec2<f32>(f32(uniforms.width), f32(uniforms.height));
+                // Texel centres so an untransformed frame samples exactly
+                let position = sourcePosition(vec2<f32>(f32(x), f32(y)) + 0.5, size);
+                let useLeft = (uniforms.taps & 1u) != 0u;
+                let useRight = (uniforms.taps & 2u) != 0u;
+
+                let source = tap(position, size, 0.0, 0.0);
+                var color = source;
+
+                // Same row first, then above, then below
+                var rows = array<f32, 3>(0.0, -1.0, 1.0);
+                for (var i = 0u; i < 3u; i++) {
+                    let dy = rows[i];
+                    if ( dy != 0.0 ) {
+                        color = blend(color, tap(position, size, 0.0, dy));
+                    }
+                    if ( useLeft ) {
+                        color = blend(color, tap(position, size, -1.0, dy));
+                    }
+                    if ( useRight ) {
+                        color = blend(color, tap(position, size, 1.0, dy));
+                    }
+                }
+
+                // Less than a full blur on frames shorter than a step ( it can't do more than one )
+                color = mix(source, color, min(uniforms.steps, 1.0));
+
+                if ( uniforms.colorShift != 0.0 ) {
+                    color = hueShift(color, uniforms.colorShift);
+                }
+                color = color - vec3<f32>(uniforms.decay);
+
+                textureStore(outputTex, vec2<i32>(i32(x), i32(y)), vec4<f32>(max(color, vec3<f32>(0.0)), 1.0));
+            }
+        `;
+
+        // Waveform vertex shader
+        const waveformVertexShader = `
+            struct VertexOutput {
+                @builtin(position) position: vec4<f32>,
+            }
+
+            @group(0) @binding(0) var<storage, read> audioData: array<f32>;
+            @group(0) @binding(1) var<uniform> uniforms: WaveUniforms;
+
+            struct WaveUniforms {
+                width: f32,
+                height: f32,
+                midY: f32,
+                heightChunks: f32,
+                bufferLength: u32,
+                sliceWidth: f32,
+                lineWidth: f32,
+            }
+
+            @vertex
+            fn main(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
+                var output: VertexOutput;
+                
+                // Each audio sample generates 6 vertices (2 triangles for a quad)
+                let audioIndex = vertexIndex / 6u;
+                let vertexInQuad = vertexIndex % 6u;
+                
+                if (audioIndex >= uniforms.bufferLength - 1u) {
+                    output.position = vec4<f32>(0.0, 0.0, 0.0, 0.0);
+                    return output;
+                }
+                
+                // Get current and next audio values
+                let value1 = audioData[audioIndex] - 128.0;
+                let value2 = audioData[audioIndex + 1u] - 128.0;
+                
+                let x1 = f32(audioIndex) * uniforms.sliceWidth;
+                let y1 = uniforms.midY + (value1 * uniforms.heightChunks);
+                let x2 = f32(audioIndex + 1u) * uniforms.sliceWidth;
+                let y2 = uniforms.midY + (value2 * uniforms.heightChunks);
+                
+                // Calculate perpendicular offset for line thickness
+                let dx = x2 - x1;
+                let dy = y2 - y1;
+                let len = sqrt(dx * dx + dy * dy);
+                var perpX = 0.0;
+                var perpY = 0.0;
+                if (len > 0.0) {
+                    perpX = -dy / len * uniforms.lineWidth;
+                    perpY = dx / len * uniforms.lineWidth;
+                }
+                
+                // Generate quad vertices
+                var x: f32;
+                var y: f32;
+                
+                if (vertexInQuad == 0u) {
+                    x = x1 + perpX;
+                    y = y1 + perpY;
+                } else if (vertexInQuad == 1u) {
+                    x = x1 - perpX;
+                    y = y1 - perpY;
+                } else if (vertexInQuad == 2u) {
+                    x = x2 + perpX;
+                    y = y2 + perpY;
+                } else if (vertexInQuad == 3u) {
+                    x = x2 + perpX;
+                    y = y2 + perpY;
+                } else if (vertexInQuad == 4u) {
+                    x = x1 - perpX;
+                    y = y1 - perpY;
+                } else {
+                    x = x2 - perpX;
+                    y = y2 - perpY;
+                }
+                
+                // Convert to NDC
+                let ndcX = (x / uniforms.width) * 2.0 - 1.0;
+                let ndcY = 1.0 - (y / uniforms.height) * 2.0;
+                
+                output.position = vec4<f32>(ndcX, ndcY, 0.0, 1.0);
+                return output;
+            }
+        `;
+
+        // Waveform fragment shader
+        const waveformFragmentShader = `
+            @group(0) @binding(2) var<uniform> color: vec4<f32>;
+
+            @fragment
+            fn main() -> @location(0) vec4<f32> {
+                return color;
+            }
+        `;
+
+        // Create compute pipeline for blur
+        const blurModule = this.device.createShaderModule({ code: blurShader });
+        this.blurPipeline = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: {
+                module: blurModule,
+                entryPoint: 'main'
+            }
+        });
+
+        // Bilinear so fractional zoom/rotation/shift steps don't snap to whole pixels
+        this.blurSampler = this.device.createSampler({
+            magFilter: 'linear',
+            minFilter: 'linear'
+        });
+
+        // Create render pipeline for waveform
+        const waveformVertModule = this.device.createShaderModule({ code: waveformVertexShader });
+        const waveformFragModule = this.device.createShaderModule({ code: waveformFragmentShader });
+        
+        this.waveformPipeline = this.device.createRenderPipeline({
+            layout: 'auto',
+            vertex: {
+                module: waveformVertModule,
+                entryPoint: 'main'
+            },
+            fragment: {
+                module: waveformFragModule,
+                entryPoint: 'main',
+                targets: [{
+                    format: 'rgba8unorm',
+                    blend: {
+                        color: {
+                            srcFactor: 'src-alpha',
+                            dstFactor: 'one-minus-src-alpha',
+                            operation: 'add'
+                        },
+                        alpha: {
+                            srcFactor: 'one',
+                            dstFactor: 'one-minus-src-alpha',
+                            operation: 'add'
+                        }
+                    }
+                }]
+            },
+            primitive: {
+                topology: 'triangle-list'
+            },
+            multisample: {
+                count: this.sampleCount
+            }
+        });
+
+        // Composite pipeline for laying the waveform over the blurred background
+        this.compositePipeline = this.renderer.createBlitPipeline('rgba8unorm', {
+            color: {
+                srcFactor: 'src-alpha',
+                dstFactor: 'one-minus-src-alpha',
+                operation: 'add'
+            },
+            alpha: {
+                srcFactor: 'one',
+                dstFactor: 'one-minus-src-alpha',
+                operation: 'add'
+            }
+        });
+
+        // Uniform slots, filled each frame and uploaded along with everyone else's
+        const uniforms = this.renderer.uniforms;
+        this.blurUniforms = uniforms.allocate();
+        this.waveUniforms = uniforms.allocate();
+        this.waveColor = uniforms.allocate();
+        this.shadowUniforms = uniforms.allocate();
+        this.shadowColor = uniforms.allocate();
+    }
+
+    resize(width, height, target) {
+        super.resize(width, height);
+
+        // Clean up old resources
+        this.destroyResources();
+
+        // Previous frame, copied out of the frame target so the blur can read it while writing the target
+        this.renderTexture = this.device.createTexture({
+            size: [width, height],
+            format: 'rgba8unorm',
+            usage: GPUTextureUsage.TEXTURE_BINDING | 
+                   GPUTextureUsage.STORAGE_BINDING | 
+                   GPUTextureUsage.COPY_SRC |
+                   GPUTextureUsage.COPY_DST |
+                   GPUTextureUsage.RENDER_ATTACHMENT
+        });
+
+        // Create separate texture for waveform rendering with MSAA
+        this.waveformTexture = this.device.createTexture({
+            size: [width, height],
+            format: 'rgba8unorm',
+            usage: GPUTextureUsage.TEXTURE_BINDING | 
+                   GPUTextureUsage.RENDER_ATTACHMENT
+        });
+
+        // Create MSAA texture for antialiasing ( none at low quality, the waveform draws straight in )
+        this.msaaTexture = null;
+        if (this.sampleCount > 1) {
+            this.msaaTexture = this.device.createTexture({
+                size: [width, height],
+                format: 'rgba8unorm',
+                sampleCount: this.sampleCount,
+                usage: GPUTextureUsage.RENDER_ATTACHMENT
+            });
+        }
+
+        this.views = {
+            render: this.renderTexture.createView(),
+            waveform: this.waveformTexture.createView(),
+            msaa: this.msaaTexture ? this.msaaTexture.createView() : null,
+            target: target.view
+        };
+
+        // Everything the passes bind, only the contents change from frame to frame
+        this.bindGroups = {
+            blur: this.device.createBindGroup({
+                layout: this.blurPipeline.getBindGroupLayout(0),
+                entries: [
+                    { binding: 0, resource: this.views.render },
+                    { binding: 1, resource: this.views.target },
+                    { binding: 2, resource: this.blurUniforms.binding },
+                    { binding: 3, resource: this.blurSampler }
+                ]
+            }),
+            composite: this.renderer.createBlitBindGroup(this.compositePipeline, this.views.waveform)
+        };
+
+        // Waveform layout for this size, adjust height chunks based on canvas size
+        this.midY = height / 2;
+        this.heightChunks = (height / 256) * .8;
+        this.allocateAudio();
+    }
+
+    // The audio data buffer, the bind groups that read it and the waveform layout, all sized by the
+    // analysis window ( the textures and trails aren't )
+    allocateAudio() {
+        const bufferLength = this.renderer.bufferLength;
+        if (this.audioDataBuffer) this.audioDataBuffer.destroy();
+        this.audioDataBuffer = this.device.createBuffer({
+            size: bufferLength * 4, // f32 array, the *4 converts from element count to byte size
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.audioFloats = new Float32Array(bufferLength);
+
+        const waveformLayout = this.waveformPipeline.getBindGroupLayout(0);
+        this.bindGroups.shadow = this.device.createBindGroup({
+            layout: waveformLayout,
+            entries: [
+                { binding: 0, resource: { buffer: this.audioDataBuffer } },
+                { binding: 1, resource: this.shadowUniforms.binding },
+                { binding: 2, resource: this.shadowColor.binding }
+            ]
+        });
+        this.bindGroups.wave = this.device.createBindGroup({
+            layout: waveformLayout,
+            entries: [
+                { binding: 0, resource: { buffer: this.audioDataBuffer } },
+                { binding: 1, resource: this.waveUniforms.binding },
+                { binding: 2, resource: this.waveColor.binding }
+            ]
+        });
+
+        // Slice width depends on how many samples go across
+        if ( this.width > bufferLength ) {
+            this.sliceWidth =  this.width / (bufferLength - 1);
+        } else {
+            this.sliceWidth =  (bufferLength - 1) / this.width;
+        }
+        this.sliceWidth = Math.max(this.sliceWidth, 3);
+    }
+
+    bufferLengthChanged() {
+        if (this.bindGroups) {
+            this.allocateAudio();
+        }
+    }
+
+    render(encoder, frame) {
+        const {
+            target,
+            clearFrame,
+            updateWaveform,
+            audioData,
+            colorRGB,
+            palette,
+            rhythm,
+            time,
+            deltaTime
+        } = frame;
+        const bufferLength = this.renderer.bufferLength;
+        const params = this.animatedParams(time || 0);
+        const step = feedbackStep(params, rhythm, deltaTime || 0, clearFrame || 0);
+
+        // The action layer persists, so it still holds last frame ( plus anything drawn over it afterwards )
+        encoder.copyTextureToTexture(
+            { texture: target },
+            { texture: this.renderTexture },
+            [this.width, this.height]
+        );
+
+        // Run blur compute shader
+        {
+            // width, height, steps, taps, mixes, decay, transforms, time, colorShift, translate
+            const { floats, uints } = this.blurUniforms;
+            uints[0] = this.width;
+            uints[1] = this.height;
+            floats[2] = step.steps;
+            uints[3] = DRIFT_TAPS[params.drift];
+            floats.set([
+                params.curColorMix,
+                params.tmpColorMix,
+                step.decay,
+                step.zoom,
+                step.rotation * Math.PI / 180,
+                step.warp,
+                time || 0,
+                step.colorShift * Math.PI / 180,
+                step.translateX,
+                -step.translateY // positive shifts up
+            ], 4);
+
+            const passEncoder = encoder.beginComputePass();
+            passEncoder.setPipeline(this.blurPipeline);
+            passEncoder.setBindGroup(0, this.bindGroups.blur);
+            passEncoder.dispatchWorkgroups(
+                Math.ceil(this.width / 8),
+                Math.ceil(this.height / 8)
+            );
+            passEncoder.end();
+        }
+
+        // Draw waveform if needed
+        if (updateWaveform && audioData) {
+            // Upload audio data to GPU
+            for (let i = 0; i < bufferLength; i++) {
+                this.audioFloats[i] = audioData[i];
+            }
+            this.device.queue.writeBuffer(this.audioDataBuffer, 0, this.audioFloats);
+
+            // width, height, midY, heightChunks, bufferLength, sliceWidth, lineWidth
+            const layout = [this.width, this.height, this.midY, this.heightChunks, bufferLength, this.sliceWidth];
+            this.waveUniforms.floats.set(layout, 0);
+            this.waveUniforms.floats[6] = params.lineWidth;
+            this.waveColor.floats.set([colorRGB.r / 255, colorRGB.g / 255, colorRGB.b / 255, 1.0], 0);
+
+            // Shadow is the same line, thicker
+            const shadowRGB = waveformShadowRGB(params, palette);
+            this.shadowUniforms.floats.set(layout, 0);
+            this.shadowUniforms.floats[6] = params.shadowWidth;
+            this.shadowColor.floats.set([shadowRGB.r / 255, shadowRGB.g / 255, shadowRGB.b / 255, 1.0], 0);
+
+            // Draw waveform with shadow
+            {
+                const renderPass = encoder.beginRenderPass({
+                    colorAttachments: [{
+                        view: this.views.msaa || this.views.waveform,
+                        resolveTarget: this.views.msaa ? this.views.waveform : undefined,
+                        loadOp: 'clear',
+                        clearValue: { r: 0, g: 0, b: 0, a: 0 },
+                        storeOp: 'store'
+                    }]
+                });
+
+                renderPass.setPipeline(this.waveformPipeline);
+
+                // Draw shadow first
+                renderPass.setBindGroup(0, this.bindGroups.shadow);
+                renderPass.draw((bufferLength - 1) * 6);
+
+                // Draw actual waveform on top
+                renderPass.setBindGroup(0, this.bindGroups.wave);
+                renderPass.draw((bufferLength - 1) * 6);
+
+                renderPass.end();
+            }
+
+            // Composite waveform over blurred background
+            this.renderer.blit(encoder, this.compositePipeline, this.bindGroups.composite, this.views.target, 'load');
+        }
+    }
+
+    destroyResources() {
+        if (this.renderTexture) this.renderTexture.destroy();
+        if (this.msaaTexture) this.msaaTexture.destroy();
+        if (this.waveformTexture) this.waveformTexture.destroy();
+        if (this.audioDataBuffer) this.audioDataBuffer.destroy();
+    }
+
+    dispose() {
+        this.destroyResources();
+        for (const slot of [this.blurUniforms, this.waveUniforms, this.waveColor, this.shadowUniforms, this.shadowColor]) {
+            this.renderer.uniforms.release(slot);
+        }
+    }
+}
@@ -2,11 +2,22 @@ import { defineConfig } from 'vite';
 import { NodeGlobalsPolyfillPlugin } from '@esbuild-plugins/node-globals-polyfill'
 import { NodeModulesPolyfillPlugin } from '@esbuild-plugins/node-modules-polyfill'
 
+// Cross origin isolation lets the analysis worklet share its ring buffer ( SharedArrayBuffer )
+// instead of posting it over, host the build with the same headers
+const isolationHeaders = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'require-corp'
+};
+
 export default defineConfig({
   base: '',
   server: {
     port: 3000,
-    open: true
+    open: true,
+    headers: isolationHeaders
+  },
+  preview: {
+    headers: isolationHeaders
   },
   define: {
     global: 'globalThis',
@@ -21,12 +32,17 @@ export default defineConfig({
     outDir: 'dist',
     sourcemap: true,
     rollupOptions: {
+      // The pop out window is a page of its own
+      input: {
+        main: 'index.html',
+        popout: 'popout.html'
+      },
       output: {
         manualChunks: {
           'music-metadata-browser': ['music-metadata-browser'],
           'vendor': ['notyf', 'stats.js'],
           'ionicons': ['ionicons/icons', 'ionicons'],
-          'webgpu': ['./webgpu-renderer.js']
+          'webgpu': ['./webgpu-renderer.js', './canvas2d-renderer.js', './compositor.js', './visualizers/index.js']
         }
       }
     }
@@ -1,38 +1,78 @@
 // WebGPU Renderer Module
-// Handles all WebGPU initialization, pipeline creation, and rendering
+// Handles WebGPU initialization and presenting frames, the actual drawing is done by
+// the active visualizer module ( see visualizers/ ) into the compositor's layers
+
+import { getVisualizer, defaultVisualizerId } from './visualizers/index.js';
+import { frameBufferLength } from './visualizers/visualizer.js';
+import { Compositor } from './compositor.js';
+import { NowPlayingOverlay } from './now-playing-overlay.js';
+import { AlbumArt } from './album-art.js';
+import { UniformArena, GpuCounters } from './gpu-resources.js';
+
+const RESTORE_ATTEMPTS = 5;
+const RESTORE_DELAY = 1000; // ms before the first retry, doubled each time
 
 export class WebGPURenderer {
-    constructor() {
+    // countAllocations wraps the device in GpuCounters for the Stats panels, it's for debugging
+    constructor({ countAllocations=false }={}) {
         // GPU resources
         this.device = null;
         this.gpuContext = null;
         this.canvasFormat = null;
         
+        // Every per frame uniform, uploaded once per frame ( see gpu-resources.js )
+        this.uniforms = null;
+
+        // Allocation and upload counts, for checking the frame loop doesn't allocate ( null unless asked for )
+        this.countAllocations = countAllocations;
+        this.counters = null;
+
         // Pipelines
-        this.blurPipeline = null;
-        this.waveformPipeline = null;
-        this.copyPipeline = null;
-        this.compositePipeline = null;
+        this.copyModule = null;
         
-        // Textures
-        this.renderTexture = null;
-        this.tempTexture = null;
-        this.msaaTexture = null;
-        this.waveformTexture = null;
+        // Layer stack ( background, action, overlay ) merged onto the canvas
+        this.compositor = null;
+
+        // Track announcement drawn over the visualizer
+        this.nowPlaying = null;
+
+        // Current track's cover art, as a texture and optionally in the background layer
+        this.albumArt = null;
         
-        // Buffers
-        this.uniformBuffer = null;
-        this.audioDataBuffer = null;
-        this.colorUniformBuffer = null;
+        // Samplers
         this.copySampler = null;
+
+        // Texture and buffer readFrame copies through, kept while the size stays the same. reading
+        // settles once the last read queued so far is done with it ( null when nothing's reading ).
+        this.readback = null;
+        this.reading = null;
+
+        // Active visualizer module
+        this.visualizer = null;
+        this.visualizerId = null;
+
+        // Device loss handling: renderFrame skips frames while restoring, the app hears about it
+        // through these ( onDeviceLost( message ), onDeviceRestored(), onError( error ) )
+        this.restoring = false;
+        this.onDeviceLost = null;
+        this.onDeviceRestored = null;
+        this.onError = null;
+        this.reportedErrors = new Set(); // uncaptured errors repeat every frame, say each one once
+
+        // Kept so they can be put back on a new device
+        this.albumArtBitmap = null;
+        this.fixedSize = null; // { width, height } from resizeCanvas, null when following the page
         
         // Config
+        this.backend = 'webgpu';
         this.sampleCount = 4; // MSAA sample count
-        this.scaleFactor = 1.3; // Canvas scaling factor for better quality
+        this.nativeScaleFactor = 1.3; // Canvas scaling factor for better quality
+        this.scaleFactor = this.nativeScaleFactor; // what's in use, quality levels scale it ( see setQuality )
+        this.actionScale = 1; // action layer's scale, kept here too so a restore can't lose a change
         this.bufferLength = null;
     }
 
-    async initialize(canvas,bufferLength=512) {
+    async initialize(canvas,bufferLength=512,visualizerId=defaultVisualizerId) {
         this.canvas = canvas;
         this.bufferLength = bufferLength;
         
@@ -41,23 +81,292 @@ export class WebGPURenderer {
             throw new Error("WebGPU not supported on this browser.");
         }
         
+        this.gpuContext = canvas.getContext('webgpu');
+        this.canvasFormat = navigator.gpu.getPreferredCanvasFormat();
+
+        await this.createDevice();
+        // Fall back to the default if a stale id was handed to us
+        await this.setVisualizer(getVisualizer(visualizerId, this.backend) ? visualizerId : defaultVisualizerId);
+    }
+
+    // Adapter, device and everything built on it apart from the visualizer
+    async createDevice() {
         const adapter = await navigator.gpu.requestAdapter();
         if (!adapter) {
             throw new Error("Failed to get GPU adapter.");
         }
-        
-        this.device = await adapter.requestDevice();
-        this.gpuContext = canvas.getContext('webgpu');
-        
-        this.canvasFormat = navigator.gpu.getPreferredCanvasFormat();
+
+        const device = await adapter.requestDevice();
+        this.device = device;
+        this.counters = this.countAllocations ? new GpuCounters(device, this.gpuContext) : null;
+        this.uniforms = new UniformArena(device);
+        this.readback = null;
+        device.lost.then((info) => this.deviceLost(device, info));
+        device.addEventListener('uncapturederror', (e) => this.uncapturedError(e.error));
+
         this.gpuContext.configure({
-            device: this.device,
+            device: device,
             format: this.canvasFormat,
             alphaMode: 'opaque'
         });
-        
-        await this.initWebGPUPipelines();
+
         await this.initCopyPipeline();
+        await this.initCompositor();
+        this.nowPlaying = new NowPlayingOverlay(device, this.uniforms);
+        await this.nowPlaying.init();
+        this.albumArt = new AlbumArt(device, this.uniforms);
+        await this.albumArt.init();
+    }
+
+    // Driver reset, GPU process crash, a long time in the background... get a new device and
+    // rebuild everything on it, picking up where the old one left off
+    async deviceLost(device, info) {
+        if (device !== this.device || this.restoring) return;
+        this.restoring = true;
+        const message = info.message || info.reason || 'unknown reason';
+        console.error('GPU device lost:', message);
+        if (this.onDeviceLost) {
+            this.onDeviceLost(message);
+        }
+
+        // Everything worth keeping is CPU side, taken once so a failed attempt can't lose any of it.
+        // The old visualizer isn't disposed, its uniform slots were in the old arena.
+        const lost = {
+            layers: this.compositor.layers.map((layer) => ({
+                name: layer.name,
+                options: {
+                    scale: layer.scale,
+                    clear: layer.clear,
+                    blend: layer.blend,
+                    opacity: layer.opacity,
+                    clearColor: layer.clearColor,
+                    enabled: layer.enabled
+                }
+            })),
+            nowPlaying: this.nowPlaying,
+            albumArt: this.albumArt,
+            visualizerId: this.visualizerId,
+            visualizerState: this.visualizerState
+        };
+        this.visualizer = null;
+
+        for (let attempt = 0; attempt < RESTORE_ATTEMPTS; attempt++) {
+            try {
+                await this.restoreDevice(lost);
+                this.restoring = false;
+                this.reportedErrors.clear();
+                if (this.onDeviceRestored) {
+                    this.onDeviceRestored();
+                }
+                return;
+            } catch (error) {
+                console.error(`Restoring the GPU device failed ( attempt ${attempt + 1} ):`, error);
+                // Drop whatever the attempt got, restoring is still set so its loss is ignored
+                this.visualizer = null;
+                if (this.device) {
+                    this.device.destroy();
+                }
+                await new Promise((resolve) => setTimeout(resolve, RESTORE_DELAY * Math.pow(2, attempt)));
+            }
+        }
+        if (this.onError) {
+            this.onError(new Error("Couldn't get the GPU back, reload the page."));
+        }
+    }
+
+    async restoreDevice(lost) {
+        await this.createDevice();
+
+        for (const layer of lost.layers) {
+            this.compositor.configureLayer(layer.name, layer.options);
+        }
+        this.compositor.configureLayer('action', { scale: this.actionScale });
+        const { options, track, shownAt, startPending } = lost.nowPlaying;
+        Object.assign(this.nowPlaying, { options, track, shownAt, startPending });
+        this.albumArt.opacity = lost.albumArt.opacity;
+        this.albumArt.set(this.albumArtBitmap);
+
+        // Size everything ( as it was, or to the page if it changed meanwhile ), then a fresh visualizer
+        this.layoutCanvas(this.fixedSize);
+        await this.loadVisualizer(lost.visualizerId);
+        this.visualizer.setState(lost.visualizerState);
+    }
+
+    // Validation and out of memory errors nobody caught with an error scope
+    uncapturedError(error) {
+        if (this.reportedErrors.has(error.message)) return;
+        this.reportedErrors.add(error.message);
+        console.error('WebGPU error:', error.message);
+        if (this.onError) {
+            this.onError(error);
+        }
+    }
+
+    // Swap the active visualizer without tearing down the device
+    async setVisualizer(id) {
+        if (this.restoring) {
+            throw new Error("The GPU is being restored, try again in a moment.");
+        }
+        return this.loadVisualizer(id);
+    }
+
+    async loadVisualizer(id) {
+        const VisualizerClass = getVisualizer(id, this.backend);
+        if (!VisualizerClass) {
+            throw new Error(`Unknown visualizer "${id}".`);
+        }
+
+        const visualizer = new VisualizerClass(this);
+        await visualizer.init();
+        const action = this.compositor.getLayer('action');
+        if (action.texture) {
+            visualizer.resize(action.width, action.height, action);
+        }
+
+        if (this.visualizer) {
+            this.visualizer.dispose();
+        }
+        this.visualizer = visualizer;
+        this.visualizerId = id;
+
+        // Don't let the old visualizer's last frame linger
+        if (action.texture) {
+            this.clearOutput();
+        }
+    }
+
+    async initCompositor() {
+        this.compositor = new Compositor(this.device, this.canvasFormat, this.uniforms);
+        await this.compositor.init();
+
+        // Solid colour underneath everything, cheap so it runs at half resolution
+        this.compositor.addLayer('background', {
+            scale: 0.5,
+            clear: 'clear',
+            blend: 'alpha',
+            clearColor: { r: 0, g: 0, b: 0, a: 1 }
+        });
+        // Where the visualizer draws, it manages its own feedback so it's left alone between frames
+        this.compositor.addLayer('action', {
+            scale: 1,
+            clear: 'persist',
+            blend: 'screen'
+        });
+        // Text and other things that shouldn't get smeared by the feedback
+        this.compositor.addLayer('overlay', {
+            scale: 1,
+            clear: 'clear',
+            blend: 'alpha'
+        });
+    }
+
+    // Change a layer's resolution, clear policy, blend mode, opacity, colour or visibility
+    configureLayer(name, options) {
+        const layer = this.compositor.configureLayer(name, options);
+        if (name === 'action' && options.scale !== undefined && this.visualizer && layer.texture) {
+            this.visualizer.resize(layer.width, layer.height, layer);
+            this.clearOutput();
+        }
+        if (name === 'overlay' && options.scale !== undefined && layer.texture) {
+            this.nowPlaying.resize(layer.width, layer.height);
+        }
+        return layer;
+    }
+
+    // Apply a quality level ( see quality.js ): canvas scale, MSAA samples and the action layer's
+    // scale, which the visualizers' compute passes cover. MSAA is baked into the visualizer's
+    // pipelines, so changing it reloads the visualizer with its state.
+    async setQuality(level) {
+        const sampleCountChanged = level.sampleCount !== this.sampleCount;
+        this.scaleFactor = this.nativeScaleFactor * level.renderScale;
+        this.sampleCount = level.sampleCount;
+        this.actionScale = level.actionScale;
+        // A restore picks these up when it lays out the new device
+        if (this.restoring) return;
+
+        if (sampleCountChanged && this.visualizer) {
+            const state = this.visualizerState;
+            await this.loadVisualizer(this.visualizerId);
+            this.visualizer.setState(state);
+        }
+        // Nothing to await from here on, so no frame sees the layers half resized
+        this.compositor.configureLayer('action', { scale: level.actionScale });
+        this.layoutCanvas(this.fixedSize);
+    }
+
+    // Change the analysis window size. The visualizer reallocates its audio buffers for it and keeps
+    // its trails and history, frames analysed at the old size are dropped from here on
+    async setBufferLength(length) {
+        if (length === this.bufferLength) return;
+        this.bufferLength = length;
+        // A restore builds its visualizer at the new size anyway
+        if (this.restoring || !this.visualizer) return;
+        this.visualizer.bufferLengthChanged();
+    }
+
+    // Announce a track ( { title, artist, album } ) over the visualization
+    showNowPlaying(track) {
+        this.nowPlaying.show(track);
+    }
+
+    // Change the announcement's font, position, duration, melt or enabled options
+    configureNowPlaying(options) {
+        this.nowPlaying.configure(options);
+    }
+
+    // Show an ImageBitmap as the current cover art ( null when the track has none )
+    setAlbumArt(bitmap) {
+        this.albumArtBitmap = bitmap;
+        this.albumArt.set(bitmap);
+    }
+
+    // How strongly the cover art shows in the background layer, 0 ( off ) to 1
+    configureAlbumArt(options) {
+        if (options.opacity !== undefined) {
+            this.albumArt.opacity = options.opacity;
+        }
+    }
+
+    // Adjust the active visualizer's params ( see Visualizer.params )
+    setVisualizerParams(values) {
+        if (this.visualizer) {
+            this.visualizer.setParams(values);
+        }
+    }
+
+    // Snapshot of the active visualizer's params and animations ( see Visualizer.getState )
+    get visualizerState() {
+        return this.visualizer ? this.visualizer.getState() : { params: {}, animations: {} };
+    }
+
+    // Replace the active visualizer's params and animations, missing params reset to defaults
+    setVisualizerState(state) {
+        if (this.visualizer) {
+            this.visualizer.setState(state);
+        }
+    }
+
+    // Oscillate one of the active visualizer's numeric params ( see Visualizer.animateParam )
+    animateVisualizerParam(name, animation) {
+        if (this.visualizer) {
+            this.visualizer.animateParam(name, animation);
+        }
+    }
+
+    // Live shader editing, hands new source to the active visualizer's compile()
+    async compileVisualizerShader(code) {
+        if (!this.visualizer) {
+            throw new Error("No active visualizer.");
+        }
+        if (this.restoring) {
+            throw new Error("The GPU is being restored, try again in a moment.");
+        }
+        return this.visualizer.compile(code);
+    }
+
+    // Which analysis inputs the frame loop has to collect for the active visualizer
+    get inputs() {
+        return this.visualizer ? this.visualizer.constructor.inputs : [];
     }
 
     async initCopyPipeline() {
@@ -100,50 +409,31 @@ export class WebGPURenderer {
             }
         `;
 
-        const copyModule = this.device.createShaderModule({ code: copyShader });
-        this.copyPipeline = this.device.createRenderPipeline({
-            layout: 'auto',
-            vertex: {
-                module: copyModule,
-                entryPoint: 'vertMain'
-            },
-            fragment: {
-                module: copyModule,
-                entryPoint: 'fragMain',
-                targets: [{
-                    format: this.canvasFormat
-                }]
-            },
-            primitive: {
-                topology: 'triangle-list'
-            }
+        this.copyModule = this.device.createShaderModule({ code: copyShader });
+
+        // Create sampler for texture copying
+        this.copySampler = this.device.createSampler({
+            magFilter: 'nearest',
+            minFilter: 'nearest'
         });
-        
-        // Create composite pipeline for rgba8unorm with blending
-        this.compositePipeline = this.device.createRenderPipeline({
+    }
+
+    // Fullscreen textured quad pipeline, visualizers use this for their own composites
+    createBlitPipeline(format, blend) {
+        const target = { format: format };
+        if (blend) {
+            target.blend = blend;
+        }
+        return this.device.createRenderPipeline({
             layout: 'auto',
             vertex: {
-                module: copyModule,
+                module: this.copyModule,
                 entryPoint: 'vertMain'
             },
             fragment: {
-                module: copyModule,
+                module: this.copyModule,
                 entryPoint: 'fragMain',
-                targets: [{
-                    format: 'rgba8unorm',
-                    blend: {
-                        color: {
-                            srcFactor: 'src-alpha',
-                            dstFactor: 'one-minus-src-alpha',
-                            operation: 'add'
-                        },
-                        alpha: {
-                            srcFactor: 'one',
-                            dstFactor: 'one-minus-src-alpha',
-                            operation: 'add'
-                        }
-                    }
-                }]
+                targets: [target]
             },
             primitive: {
                 topology: 'triangle-list'
@@ -151,349 +441,74 @@ export class WebGPURenderer {
         });
     }
 
-    async initWebGPUPipelines() {
-        // Compute shader for blur effect
-        const blurShader = `
-            @group(0) @binding(0) var inputTex: texture_2d<f32>;
-            @group(0) @binding(1) var outputTex: texture_storage_2d<rgba8unorm, write>;
-            @group(0) @binding(2) var<uniform> uniforms: Uniforms;
-
-            struct Uniforms {
-                width: u32,
-                height: u32,
-                clearFrame: u32,
-            }
-
-            @compute @workgroup_size(8, 8)
-            fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
-                let x = global_id.x;
-                let y = global_id.y;
-                
-                if (x >= uniforms.width || y >= uniforms.height) {
-                    return;
-                }
-
-                let halfHeight = uniforms.height / 2u;
-                let coords = vec2<i32>(i32(x), i32(y));
-                let currentColor = textureLoad(inputTex, coords, 0);
-                
-                var newColor: vec4<f32> = currentColor;
-
-                var totalPixels = 0u;
-                var newColor_r = newColor.r;
-                var newColor_g = newColor.g;
-                var newColor_b = newColor.b;
-                // These two cannot be greater than 1
-                let curColorMix = 0.5;
-                let tmpColorMix = 0.5;
-                let falloff = 0.005;
-
-                if ( x >= 0 ) {
-                    let lftCoords = vec2<i32>(i32(x) - 1, i32(y));
-                    var tmpColor = textureLoad(inputTex, lftCoords, 0);
-                    newColor_r = (newColor_r * curColorMix) + (tmpColor.r * tmpColorMix);
-                    newColor_g = (newColor_g * curColorMix) + (tmpColor.g * tmpColorMix);
-                    newColor_b = (newColor_b * curColorMix) + (tmpColor.b * tmpColorMix);
-                    totalPixels++;
-                }
-                if ( x < uniforms.width && false ) {
-                    let rgtCoords = vec2<i32>(i32(x) + 1, i32(y));
-                    var tmpColor = textureLoad(inputTex, rgtCoords, 0);
-                    newColor_r = (newColor_r * curColorMix) + (tmpColor.r * tmpColorMix);
-                    newColor_g = (newColor_g * curColorMix) + (tmpColor.g * tmpColorMix);
-                    newColor_b = (newColor_b * curColorMix) + (tmpColor.b * tmpColorMix);
-                    totalPixels++;
-                }
-                if ( y > 0 ) {
-                    let upCoords = vec2<i32>(i32(x), i32(y) - 1);
-                    let tmpColor = textureLoad(inputTex, upCoords, 0);
-                    newColor_r = (newColor_r * curColorMix) + (tmpColor.r * tmpColorMix);
-                    newColor_g = (newColor_g * curColorMix) + (tmpColor.g * tmpColorMix);
-                    newColor_b = (newColor_b * curColorMix) + (tmpColor.b * tmpColorMix);
-                    totalPixels++;
-                    if ( x > 0 ) {
-                        let lftCoords = vec2<i32>(i32(x) - 1, i32(y) - 1);
-                        var tmpColor = textureLoad(inputTex, lftCoords, 0);
-                        newColor_r = (newColor_r * curColorMix) + (tmpColor.r * tmpColorMix);
-                        newColor_g = (newColor_g * curColorMix) + (tmpColor.g * tmpColorMix);
-                        newColor_b = (newColor_b * curColorMix) + (tmpColor.b * tmpColorMix);
-                        totalPixels++;
-                    }
-                    if ( x < uniforms.width && false ) {
-                        let rgtCoords = vec2<i32>(i32(x) + 1, i32(y) - 1);
-                        var tmpColor = textureLoad(inputTex, rgtCoords, 0);
-                        newColor_r = (newColor_r * curColorMix) + (tmpColor.r * tmpColorMix);
-                        newColor_g = (newColor_g * curColorMix) + (tmpColor.g * tmpColorMix);
-                        newColor_b = (newColor_b * curColorMix) + (tmpColor.b * tmpColorMix);
-                        totalPixels++;
-                    }
-                }
-                if ( y < uniforms.height ) {
-                    let dnCoords = vec2<i32>(i32(x), i32(y) + 1);
-                    let tmpColor = textureLoad(inputTex, dnCoords, 0);
-                    newColor_r = (newColor_r * curColorMix) + (tmpColor.r * tmpColorMix);
-                    newColor_g = (newColor_g * curColorMix) + (tmpColor.g * tmpColorMix);
-                    newColor_b = (newColor_b * curColorMix) + (tmpColor.b * tmpColorMix);
-                    totalPixels++;
-                    if ( x > 0 ) {
-                        let lftCoords = vec2<i32>(i32(x) - 1, i32(y) + 1);
-                        var tmpColor = textureLoad(inputTex, lftCoords, 0);
-                        newColor_r = (newColor_r * curColorMix) + (tmpColor.r * tmpColorMix);
-                        newColor_g = (newColor_g * curColorMix) + (tmpColor.g * tmpColorMix);
-                        newColor_b = (newColor_b * curColorMix) + (tmpColor.b * tmpColorMix);
-                        totalPixels++;
-                    }
-                    if ( x < uniforms.width && false) {
-                        let rgtCoords = vec2<i32>(i32(x) + 1, i32(y) + 1);
-                        var tmpColor = textureLoad(inputTex, rgtCoords, 0);
-                        newColor_r = (newColor_r * curColorMix) + (tmpColor.r * tmpColorMix);
-                        newColor_g = (newColor_g * curColorMix) + (tmpColor.g * tmpColorMix);
-                        newColor_b = (newColor_b * curColorMix) + (tmpColor.b * tmpColorMix);
-                        totalPixels++;
-                    }                        
-                }
-                if ( uniforms.clearFrame == 1u ) {
-                    newColor = vec4<f32>(
-                        max(newColor_r - falloff, 0.0),
-                        max(newColor_g - falloff, 0.0),
-                        max(newColor_b - falloff, 0.0),
-                        1.0
-                    );
-                } else {
-                    newColor = vec4<f32>(
-                        max(newColor_r, 0.0),
-                        max(newColor_g, 0.0),
-                        max(newColor_b, 0.0),
-                        1.0
-                    );
-                }
-            
-                textureStore(outputTex, coords, newColor);
-            }
-        `;
-
-        // Waveform vertex shader
-        const waveformVertexShader = `
-            struct VertexOutput {
-                @builtin(position) position: vec4<f32>,
-            }
-
-            @group(0) @binding(0) var<storage, read> audioData: array<f32>;
-            @group(0) @binding(1) var<uniform> uniforms: WaveUniforms;
-
-            struct WaveUniforms {
-                width: f32,
-                height: f32,
-                midY: f32,
-                heightChunks: f32,
-                bufferLength: u32,
-                sliceWidth: f32,
-                lineWidth: f32,
-            }
-
-            @vertex
-            fn main(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
-                var output: VertexOutput;
-                
-                // Each audio sample generates 6 vertices (2 triangles for a quad)
-                let audioIndex = vertexIndex / 6u;
-                let vertexInQuad = vertexIndex % 6u;
-                
-                if (audioIndex >= uniforms.bufferLength - 1u) {
-                    output.position = vec4<f32>(0.0, 0.0, 0.0, 0.0);
-                    return output;
-                }
-                
-                // Get current and next audio values
-                let value1 = audioData[audioIndex] - 128.0;
-                let value2 = audioData[audioIndex + 1u] - 128.0;
-                
-                let x1 = f32(audioIndex) * uniforms.sliceWidth;
-                let y1 = uniforms.midY + (value1 * uniforms.heightChunks);
-                let x2 = f32(audioIndex + 1u) * uniforms.sliceWidth;
-                let y2 = uniforms.midY + (value2 * uniforms.heightChunks);
-                
-                // Calculate perpendicular offset for line thickness
-                let dx = x2 - x1;
-                let dy = y2 - y1;
-                let len = sqrt(dx * dx + dy * dy);
-                var perpX = 0.0;
-                var perpY = 0.0;
-                if (len > 0.0) {
-                    perpX = -dy / len * uniforms.lineWidth;
-                    perpY = dx / len * uniforms.lineWidth;
-                }
-                
-                // Generate quad vertices
-                var x: f32;
-                var y: f32;
-                
-                if (vertexInQuad == 0u) {
-                    x = x1 + perpX;
-                    y = y1 + perpY;
-                } else if (vertexInQuad == 1u) {
-                    x = x1 - perpX;
-                    y = y1 - perpY;
-                } else if (vertexInQuad == 2u) {
-                    x = x2 + perpX;
-                    y = y2 + perpY;
-                } else if (vertexInQuad == 3u) {
-                    x = x2 + perpX;
-                    y = y2 + perpY;
-                } else if (vertexInQuad == 4u) {
-                    x = x1 - perpX;
-                    y = y1 - perpY;
-                } else {
-                    x = x2 - perpX;
-                    y = y2 - perpY;
-                }
-                
-                // Convert to NDC
-                let ndcX = (x / uniforms.width) * 2.0 - 1.0;
-                let ndcY = 1.0 - (y / uniforms.height) * 2.0;
-                
-                output.position = vec4<f32>(ndcX, ndcY, 0.0, 1.0);
-                return output;
-            }
-        `;
-
-        // Waveform fragment shader
-        const waveformFragmentShader = `
-            @group(0) @binding(2) var<uniform> color: vec4<f32>;
-
-            @fragment
-            fn main() -> @location(0) vec4<f32> {
-                return color;
-            }
-        `;
-
-        // Create compute pipeline for blur
-        const blurModule = this.device.createShaderModule({ code: blurShader });
-        this.blurPipeline = this.device.createComputePipeline({
-            layout: 'auto',
-            compute: {
-                module: blurModule,
-                entryPoint: 'main'
-            }
-        });
-
-        // Create render pipeline for waveform
-        const waveformVertModule = this.device.createShaderModule({ code: waveformVertexShader });
-        const waveformFragModule = this.device.createShaderModule({ code: waveformFragmentShader });
-        
-        this.waveformPipeline = this.device.createRenderPipeline({
-            layout: 'auto',
-            vertex: {
-                module: waveformVertModule,
-                entryPoint: 'main'
-            },
-            fragment: {
-                module: waveformFragModule,
-                entryPoint: 'main',
-                targets: [{
-                    format: 'rgba8unorm',
-                    blend: {
-                        color: {
-                            srcFactor: 'src-alpha',
-                            dstFactor: 'one-minus-src-alpha',
-                            operation: 'add'
-                        },
-                        alpha: {
-                            srcFactor: 'one',
-                            dstFactor: 'one-minus-src-alpha',
-                            operation: 'add'
-                        }
-                    }
-                }]
-            },
-            primitive: {
-                topology: 'triangle-list'
-            },
-            multisample: {
-                count: 4
-            }
+    // Bind group that reads src ( a texture view ) for blit, make it along with src rather than per frame
+    createBlitBindGroup(pipeline, src) {
+        return this.device.createBindGroup({
+            layout: pipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: src },
+                { binding: 1, resource: this.copySampler }
+            ]
         });
     }
 
-    resizeCanvas() {
-        // Render at higher resolution and scale down for better quality
-        this.canvas.width = this.canvas.clientWidth * this.scaleFactor;
-        this.canvas.height = this.canvas.clientHeight * this.scaleFactor;
-        
-        // Clean up old resources
-        if (this.renderTexture) this.renderTexture.destroy();
-        if (this.tempTexture) this.tempTexture.destroy();
-        if (this.msaaTexture) this.msaaTexture.destroy();
-        if (this.waveformTexture) this.waveformTexture.destroy();
-        if (this.uniformBuffer) this.uniformBuffer.destroy();
-        if (this.audioDataBuffer) this.audioDataBuffer.destroy();
-        if (this.colorUniformBuffer) this.colorUniformBuffer.destroy();
-        
-        // Create render textures for blur effect (ping-pong buffers)
-        this.renderTexture = this.device.createTexture({
-            size: [this.canvas.width, this.canvas.height],
-            format: 'rgba8unorm',
-            usage: GPUTextureUsage.TEXTURE_BINDING | 
-                   GPUTextureUsage.STORAGE_BINDING | 
-                   GPUTextureUsage.COPY_SRC |
-                   GPUTextureUsage.COPY_DST |
-                   GPUTextureUsage.RENDER_ATTACHMENT
-        });
-
-        this.tempTexture = this.device.createTexture({
-            size: [this.canvas.width, this.canvas.height],
-            format: 'rgba8unorm',
-            usage: GPUTextureUsage.TEXTURE_BINDING | 
-                   GPUTextureUsage.STORAGE_BINDING | 
-                   GPUTextureUsage.COPY_SRC |
-                   GPUTextureUsage.COPY_DST |
-                   GPUTextureUsage.RENDER_ATTACHMENT
-        });
-
-        // Create separate texture for waveform rendering with MSAA
-        this.waveformTexture = this.device.createTexture({
-            size: [this.canvas.width, this.canvas.height],
-            format: 'rgba8unorm',
-            usage: GPUTextureUsage.TEXTURE_BINDING | 
-                   GPUTextureUsage.RENDER_ATTACHMENT
-        });
-
-        // Create MSAA texture for antialiasing
-        this.msaaTexture = this.device.createTexture({
-            size: [this.canvas.width, this.canvas.height],
-            format: 'rgba8unorm',
-            sampleCount: this.sampleCount,
-            usage: GPUTextureUsage.RENDER_ATTACHMENT
+    // Draw a source over dst ( a texture view ) with a pipeline from createBlitPipeline and a
+    // bind group from createBlitBindGroup
+    blit(encoder, pipeline, bindGroup, dst, loadOp='load') {
+        const renderPass = encoder.beginRenderPass({
+            colorAttachments: [{
+                view: dst,
+                loadOp: loadOp,
+                clearValue: { r: 0, g: 0, b: 0, a: 1 },
+                storeOp: 'store'
+            }]
         });
 
-        // Create uniform buffer for compute shader
-        this.uniformBuffer = this.device.createBuffer({
-            size: 16, // 4 x u32
-            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
-        });
+        renderPass.setPipeline(pipeline);
+        renderPass.setBindGroup(0, bindGroup);
+        renderPass.draw(6);
+        renderPass.end();
+    }
 
-        // Create audio data buffer
-        this.audioDataBuffer = this.device.createBuffer({
-            size: this.bufferLength * 4, // f32 array, the *4 converts from element count to byte size
-            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-        });
+    // Pass a width and height to render at an exact size ( offline renders ), otherwise it follows the page
+    resizeCanvas(width=null, height=null) {
+        this.fixedSize = width && height ? { width: width, height: height } : null;
+        // A restore sizes everything itself once the new device is ready
+        if (!this.restoring) {
+            this.layoutCanvas(this.fixedSize);
+        }
+    }
 
-        // Create color uniform buffer
-        this.colorUniformBuffer = this.device.createBuffer({
-            size: 28, // width, height, midY, heightChunks, bufferLength, sliceWidth, lineWidth
-            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
-        });
+    // Size the canvas to size ( { width, height } ) or the page and everything that follows it
+    layoutCanvas(size) {
+        if (size) {
+            this.canvas.width = size.width;
+            this.canvas.height = size.height;
+        } else {
+            // Render at higher resolution and scale down for better quality
+            this.canvas.width = this.canvas.clientWidth * this.scaleFactor;
+            this.canvas.height = this.canvas.clientHeight * this.scaleFactor;
+        }
+        
+        // Reallocate the layers for the new size ( their views and bind groups come along )
+        this.compositor.resize(this.canvas.width, this.canvas.height);
+        this.destroyReadback();
 
-        // Create sampler for texture copying
-        if (!this.copySampler) {
-            this.copySampler = this.device.createSampler({
-                magFilter: 'nearest',
-                minFilter: 'nearest'
-            });
+        if (this.visualizer) {
+            const action = this.compositor.getLayer('action');
+            this.visualizer.resize(action.width, action.height, action);
         }
+
+        const overlay = this.compositor.getLayer('overlay');
+        this.nowPlaying.resize(overlay.width, overlay.height);
         
-        // Clear the canvas
+        this.clearOutput();
+    }
+
+    clearOutput() {
+        // Clear every layer and the canvas
         const encoder = this.device.createCommandEncoder();
+        this.compositor.clearAll(encoder);
         const canvasTexture = this.gpuContext.getCurrentTexture();
         const renderPass = encoder.beginRenderPass({
             colorAttachments: [{
@@ -508,204 +523,136 @@ export class WebGPURenderer {
     }
 
     renderFrame(params) {
-        const {
-            clearFrame,
-            updateWaveform,
-            audioData,
-            colorRGB,
-            mid_y,
-            heightChunks,
-            sliceWidth
-        } = params;
+        // Frames keep coming while the device is restored, there's just nothing to draw them with
+        if (!this.visualizer || this.restoring) return;
+        // Nor for frames analysed at another size ( a pop out catching up )
+        const length = frameBufferLength(params);
+        if (length !== null && length !== this.bufferLength) return;
 
         const encoder = this.device.createCommandEncoder();
         const canvasTexture = this.gpuContext.getCurrentTexture();
-        
-        // Run blur compute shader
-        {
-            const uniformData = new Uint32Array([
-                this.canvas.width,
-                this.canvas.height,
-                clearFrame,
-            ]);
-            this.device.queue.writeBuffer(this.uniformBuffer, 0, uniformData);
-
-            const bindGroup = this.device.createBindGroup({
-                layout: this.blurPipeline.getBindGroupLayout(0),
-                entries: [
-                    { binding: 0, resource: this.renderTexture.createView() },
-                    { binding: 1, resource: this.tempTexture.createView() },
-                    { binding: 2, resource: { buffer: this.uniformBuffer } }
-                ]
-            });
 
-            const passEncoder = encoder.beginComputePass();
-            passEncoder.setPipeline(this.blurPipeline);
-            passEncoder.setBindGroup(0, bindGroup);
-            passEncoder.dispatchWorkgroups(
-                Math.ceil(this.canvas.width / 8),
-                Math.ceil(this.canvas.height / 8)
-            );
-            passEncoder.end();
+        // The palette's background colour fills the background layer
+        if (params.palette) {
+            const { r, g, b } = params.palette.background;
+            this.compositor.getLayer('background').clearColor = { r: r / 255, g: g / 255, b: b / 255, a: 1 };
         }
+        
+        // Wipe the layers that don't persist
+        this.compositor.beginFrame(encoder);
+
+        // Cover art over the background colour
+        const layers = this.compositor.layerMap;
+        this.albumArt.render(encoder, layers.background);
+
+        // Let the active visualizer draw into the action layer ( it can reach the others too )
+        this.visualizer.render(encoder, {
+            ...params,
+            target: layers.action.texture,
+            targetView: layers.action.view,
+            layers: layers,
+            albumArt: this.albumArt.art
+        });
 
-        // Draw waveform if needed
-        if (updateWaveform && audioData) {
-            // Upload audio data to GPU
-            const audioDataFloat = new Float32Array(this.bufferLength);
-            for (let i = 0; i < this.bufferLength; i++) {
-                audioDataFloat[i] = audioData[i];
-            }
-            this.device.queue.writeBuffer(this.audioDataBuffer, 0, audioDataFloat);
+        // Track announcement on top ( and melting into the action layer if enabled )
+        this.nowPlaying.render(encoder, layers, params.time, params.deltaTime || 0);
 
-            // Create waveform uniforms buffer
-            const waveformColorBuffer = this.device.createBuffer({
-                size: 16, // vec4<f32>
-                usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
-            });
-            const colorData = new Float32Array([
-                colorRGB.r / 255, colorRGB.g / 255, colorRGB.b / 255, 1.0
-            ]);
-            this.device.queue.writeBuffer(waveformColorBuffer, 0, colorData);
-
-            // Update waveform uniforms
-            const waveformUniformsData = new Float32Array([
-                this.canvas.width,
-                this.canvas.height,
-                mid_y,
-                heightChunks,
-                this.bufferLength,
-                sliceWidth,
-                1.0  // line width in pixels
-            ]);
-            this.device.queue.writeBuffer(this.colorUniformBuffer, 0, waveformUniformsData);
-
-            // Create separate buffers for shadow pass
-            const shadowUniformsBuffer = this.device.createBuffer({
-                size: 28,
-                usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
-            });
-            
-            const shadowColorBuffer = this.device.createBuffer({
-                size: 16,
-                usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
-            });
-            
-            // Shadow uniforms (thicker line)
-            const shadowUniformsData = new Float32Array([
-                this.canvas.width,
-                this.canvas.height,
-                mid_y,
-                heightChunks,
-                this.bufferLength,
-                sliceWidth,
-                3.0  // shadow line width
-            ]);
-            this.device.queue.writeBuffer(shadowUniformsBuffer, 0, shadowUniformsData);
-            
-            // Shadow color (black)
-            const shadowColorData = new Float32Array([0.0, 0.0, 0.0, 1.0]);
-            this.device.queue.writeBuffer(shadowColorBuffer, 0, shadowColorData);
-
-            // Draw waveform with shadow
-            {
-                const renderPass = encoder.beginRenderPass({
-                    colorAttachments: [{
-                        view: this.msaaTexture.createView(),
-                        resolveTarget: this.waveformTexture.createView(),
-                        loadOp: 'clear',
-                        clearValue: { r: 0, g: 0, b: 0, a: 0 },
-                        storeOp: 'store'
-                    }]
-                });
-
-                renderPass.setPipeline(this.waveformPipeline);
-                
-                // Draw shadow first
-                const shadowBindGroup = this.device.createBindGroup({
-                    layout: this.waveformPipeline.getBindGroupLayout(0),
-                    entries: [
-                        { binding: 0, resource: { buffer: this.audioDataBuffer } },
-                        { binding: 1, resource: { buffer: shadowUniformsBuffer } },
-                        { binding: 2, resource: { buffer: shadowColorBuffer } }
-                    ]
-                });
-                
-                renderPass.setBindGroup(0, shadowBindGroup);
-                renderPass.draw((this.bufferLength - 1) * 6);
-                
-                // Draw actual waveform on top
-                const mainBindGroup = this.device.createBindGroup({
-                    layout: this.waveformPipeline.getBindGroupLayout(0),
-                    entries: [
-                        { binding: 0, resource: { buffer: this.audioDataBuffer } },
-                        { binding: 1, resource: { buffer: this.colorUniformBuffer } },
-                        { binding: 2, resource: { buffer: waveformColorBuffer } }
-                    ]
-                });
-                
-                renderPass.setBindGroup(0, mainBindGroup);
-                renderPass.draw((this.bufferLength - 1) * 6);
-                
-                renderPass.end();
-            }
+        // Merge the layers onto the canvas ( its texture changes every frame, so this view can't be kept )
+        this.compositor.composite(encoder, canvasTexture.createView());
 
-            // Composite waveform over blurred background
-            {
-                const bindGroup = this.device.createBindGroup({
-                    layout: this.compositePipeline.getBindGroupLayout(0),
-                    entries: [
-                        { binding: 0, resource: this.waveformTexture.createView() },
-                        { binding: 1, resource: this.copySampler }
-                    ]
-                });
-
-                const renderPass = encoder.beginRenderPass({
-                    colorAttachments: [{
-                        view: this.tempTexture.createView(),
-                        loadOp: 'load',
-                        storeOp: 'store'
-                    }]
-                });
-
-                renderPass.setPipeline(this.compositePipeline);
-                renderPass.setBindGroup(0, bindGroup);
-                renderPass.draw(6);
-                renderPass.end();
-            }
+        // Everything filled in its uniform slot above, one upload for the lot
+        this.uniforms.upload();
+        this.device.queue.submit([encoder.finish()]);
+        if (this.counters) {
+            this.counters.endFrame();
         }
+    }
 
-        // Copy final result to canvas texture
-        {
-            const bindGroup = this.device.createBindGroup({
-                layout: this.copyPipeline.getBindGroupLayout(0),
-                entries: [
-                    { binding: 0, resource: this.tempTexture.createView() },
-                    { binding: 1, resource: this.copySampler }
-                ]
-            });
+    // Copy the last frame back as { width, height, data ( rgba bytes ) }, at the internal resolution
+    // ( scaleFactor included ). The layers still hold the last frame, so they're composited again
+    // into a texture we can copy from, the canvas texture is gone once the browser has presented it.
+    // One read at a time, the readback buffer is shared: a read waits for the ones before it.
+    readFrame() {
+        const previous = this.reading || Promise.resolve();
+        const read = previous.then(() => this.copyFrame());
+        const settled = read.then(() => {}, () => {});
+        this.reading = settled;
+        settled.then(() => {
+            if (this.reading === settled) {
+                this.reading = null;
+            }
+        });
+        return read;
+    }
 
-            const renderPass = encoder.beginRenderPass({
-                colorAttachments: [{
-                    view: canvasTexture.createView(),
-                    loadOp: 'load',
-                    storeOp: 'store'
-                }]
+    async copyFrame() {
+        if (this.restoring) {
+            throw new Error("The GPU is being restored, try again in a moment.");
+        }
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const bytesPerRow = Math.ceil(width * 4 / 256) * 256; // copies need 256 byte aligned rows
+        if (!this.readback || this.readback.width !== width || this.readback.height !== height) {
+            this.destroyReadback();
+            const texture = this.device.createTexture({
+                size: [width, height],
+                format: this.canvasFormat,
+                usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC
             });
-
-            renderPass.setPipeline(this.copyPipeline);
-            renderPass.setBindGroup(0, bindGroup);
-            renderPass.draw(6);
-            renderPass.end();
+            this.readback = {
+                width: width,
+                height: height,
+                texture: texture,
+                view: texture.createView(),
+                buffer: this.device.createBuffer({
+                    size: bytesPerRow * height,
+                    usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+                })
+            };
         }
+        const { texture, view, buffer } = this.readback;
 
-        // Copy tempTexture back to renderTexture for next frame
-        encoder.copyTextureToTexture(
-            { texture: this.tempTexture },
-            { texture: this.renderTexture },
-            [this.canvas.width, this.canvas.height]
-        );
-
+        const encoder = this.device.createCommandEncoder();
+        this.compositor.composite(encoder, view);
+        encoder.copyTextureToBuffer({ texture: texture }, { buffer: buffer, bytesPerRow: bytesPerRow }, [width, height]);
+        // Layer settings changed while paused haven't been uploaded by a renderFrame yet
+        this.uniforms.upload();
         this.device.queue.submit([encoder.finish()]);
+
+        await buffer.mapAsync(GPUMapMode.READ);
+        const mapped = new Uint8Array(buffer.getMappedRange());
+        const data = new Uint8ClampedArray(width * height * 4);
+        const bgra = this.canvasFormat === 'bgra8unorm';
+        for (let y = 0; y < height; y++) {
+            const row = mapped.subarray(y * bytesPerRow, y * bytesPerRow + width * 4);
+            data.set(row, y * width * 4);
+            for (let i = y * width * 4; i < (y + 1) * width * 4; i += 4) {
+                if (bgra) {
+                    const blue = data[i];
+                    data[i] = data[i + 2];
+                    data[i + 2] = blue;
+                }
+                // The canvas is presented opaque whatever alpha the layers left behind
+                data[i + 3] = 255;
+            }
+        }
+        buffer.unmap();
+        return { width: width, height: height, data: data };
+    }
+
+    // A read in flight keeps its texture and buffer till it's done, destroying a buffer mid map aborts it
+    destroyReadback() {
+        const readback = this.readback;
+        if (!readback) return;
+        this.readback = null;
+        const destroy = () => {
+            readback.texture.destroy();
+            readback.buffer.destroy();
+        };
+        if (this.reading) {
+            this.reading.then(destroy);
+        } else {
+            destroy();
+        }
     }
 }
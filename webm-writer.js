@@ -0,0 +1,241 @@
+// WebM Writer Module
+// Just enough of a WebM ( Matroska ) muxer to put WebCodecs output into a playable file: one
+// video track and optionally one audio track, SimpleBlocks grouped into clusters that start on
+// video keyframes. There are no cues so some players seek slowly, fine for a rendered clip.
+
+const TIMECODE_SCALE = 1000000; // ns per timecode unit, so timecodes are in ms
+const MAX_CLUSTER_SPAN = 30000; // ms, block timecodes are int16 relative to their cluster
+
+// Element ids, with their length marker bits
+const IDS = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Duration: 0x4489,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    CodecID: 0x86,
+    CodecPrivate: 0x63A2,
+    CodecDelay: 0x56AA,
+    SeekPreRoll: 0x56BB,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Audio: 0xE1,
+    SamplingFrequency: 0xB5,
+    Channels: 0x9F,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3
+};
+
+const VIDEO_TRACK = 1;
+const AUDIO_TRACK = 2;
+
+function concat(parts) {
+    const length = parts.reduce((total, part) => total + part.length, 0);
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+    return bytes;
+}
+
+function idBytes(id) {
+    const bytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) {
+        bytes.unshift(value & 0xff);
+    }
+    return Uint8Array.from(bytes);
+}
+
+// Unsigned big endian in as few bytes as it takes
+function uintBytes(value, length=0) {
+    const bytes = [];
+    for (let remaining = value; remaining > 0 || bytes.length === 0; remaining = Math.floor(remaining / 256)) {
+        bytes.unshift(remaining % 256);
+    }
+    while (bytes.length < length) bytes.unshift(0);
+    return Uint8Array.from(bytes);
+}
+
+// EBML variable length size
+function sizeBytes(size) {
+    for (let length = 1; length <= 8; length++) {
+        // All ones is reserved for "unknown size"
+        if (size < Math.pow(2, 7 * length) - 1) {
+            const bytes = uintBytes(size, length);
+            bytes[0] |= 1 << (8 - length);
+            return bytes;
+        }
+    }
+    throw new Error("WebM element too big.");
+}
+
+function element(id, payload) {
+    const data = Array.isArray(payload) ? concat(payload) : payload;
+    return concat([idBytes(id), sizeBytes(data.length), data]);
+}
+
+function uintElement(id, value) {
+    return element(id, uintBytes(value));
+}
+
+function floatElement(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return element(id, bytes);
+}
+
+function stringElement(id, value) {
+    return element(id, new TextEncoder().encode(value));
+}
+
+// Identification header Opus needs as CodecPrivate when the encoder doesn't hand us one
+export function opusHead(channels, sampleRate, preSkip=0) {
+    const bytes = new Uint8Array(19);
+    const view = new DataView(bytes.buffer);
+    bytes.set(new TextEncoder().encode('OpusHead'), 0);
+    view.setUint8(8, 1); // version
+    view.setUint8(9, channels);
+    view.setUint16(10, preSkip, true);
+    view.setUint32(12, sampleRate, true);
+    view.setInt16(16, 0, true); // output gain
+    view.setUint8(18, 0); // mono/stereo mapping
+    return bytes;
+}
+
+export class WebMWriter {
+    // video is { codec ( 'V_VP9'... ), width, height }, audio is { codec ( 'A_OPUS' ), sampleRate, channels, codecPrivate }
+    constructor({ video, audio=null }) {
+        this.video = video;
+        this.audio = audio;
+        this.blocks = []; // { track, timecode ( ms ), keyFrame, data }
+        this.duration = 0;
+    }
+
+    // Add an EncodedVideoChunk/EncodedAudioChunk
+    addChunk(track, chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        const timecode = Math.round(chunk.timestamp / 1000);
+        this.blocks.push({
+            track: track,
+            timecode: timecode,
+            keyFrame: chunk.type === 'key',
+            data: data
+        });
+        this.duration = Math.max(this.duration, timecode + Math.round((chunk.duration || 0) / 1000));
+    }
+
+    addVideoChunk(chunk) {
+        this.addChunk(VIDEO_TRACK, chunk);
+    }
+
+    addAudioChunk(chunk) {
+        this.addChunk(AUDIO_TRACK, chunk);
+    }
+
+    header() {
+        return element(IDS.EBML, [
+            uintElement(IDS.EBMLVersion, 1),
+            uintElement(IDS.EBMLReadVersion, 1),
+            uintElement(IDS.EBMLMaxIDLength, 4),
+            uintElement(IDS.EBMLMaxSizeLength, 8),
+            stringElement(IDS.DocType, 'webm'),
+            uintElement(IDS.DocTypeVersion, 4),
+            uintElement(IDS.DocTypeReadVersion, 2)
+        ]);
+    }
+
+    tracks() {
+        const entries = [element(IDS.TrackEntry, [
+            uintElement(IDS.TrackNumber, VIDEO_TRACK),
+            uintElement(IDS.TrackUID, VIDEO_TRACK),
+            uintElement(IDS.TrackType, 1),
+            stringElement(IDS.CodecID, this.video.codec),
+            element(IDS.Video, [
+                uintElement(IDS.PixelWidth, this.video.width),
+                uintElement(IDS.PixelHeight, this.video.height)
+            ])
+        ])];
+        if (this.audio) {
+            const audio = [
+                uintElement(IDS.TrackNumber, AUDIO_TRACK),
+                uintElement(IDS.TrackUID, AUDIO_TRACK),
+                uintElement(IDS.TrackType, 2),
+                stringElement(IDS.CodecID, this.audio.codec)
+            ];
+            if (this.audio.codecPrivate) {
+                audio.push(element(IDS.CodecPrivate, this.audio.codecPrivate));
+            }
+            if (this.audio.codec === 'A_OPUS') {
+                audio.push(uintElement(IDS.SeekPreRoll, 80000000)); // 80ms, what the Opus mapping asks for
+            }
+            audio.push(element(IDS.Audio, [
+                floatElement(IDS.SamplingFrequency, this.audio.sampleRate),
+                uintElement(IDS.Channels, this.audio.channels)
+            ]));
+            entries.push(element(IDS.TrackEntry, audio));
+        }
+        return element(IDS.Tracks, entries);
+    }
+
+    // Blocks in time order, a new cluster on each video keyframe ( or when the int16 offsets would run out )
+    clusters() {
+        const blocks = this.blocks.slice().sort((a, b) => a.timecode - b.timecode || a.track - b.track);
+        const clusters = [];
+        let current = null;
+        const flush = () => {
+            if (current) {
+                clusters.push(element(IDS.Cluster, [uintElement(IDS.Timecode, current.timecode), ...current.blocks]));
+            }
+        };
+        for (const block of blocks) {
+            const newCluster = !current ||
+                (block.track === VIDEO_TRACK && block.keyFrame && current.blocks.length > 0) ||
+                block.timecode - current.timecode > MAX_CLUSTER_SPAN;
+            if (newCluster) {
+                flush();
+                current = { timecode: block.timecode, blocks: [] };
+            }
+            const blockHeader = new Uint8Array(4);
+            const view = new DataView(blockHeader.buffer);
+            blockHeader[0] = 0x80 | block.track; // track number as a one byte vint
+            view.setInt16(1, block.timecode - current.timecode);
+            blockHeader[3] = block.keyFrame || block.track === AUDIO_TRACK ? 0x80 : 0;
+            current.blocks.push(element(IDS.SimpleBlock, [blockHeader, block.data]));
+        }
+        flush();
+        return clusters;
+    }
+
+    // The finished file
+    finish() {
+        const info = element(IDS.Info, [
+            uintElement(IDS.TimecodeScale, TIMECODE_SCALE),
+            stringElement(IDS.MuxingApp, 'JSMusicVis'),
+            stringElement(IDS.WritingApp, 'JSMusicVis'),
+            floatElement(IDS.Duration, this.duration)
+        ]);
+        // The segment goes straight into the Blob rather than being copied into one big array
+        const children = [info, this.tracks(), ...this.clusters()];
+        const length = children.reduce((total, child) => total + child.length, 0);
+        return new Blob([this.header(), idBytes(IDS.Segment), sizeBytes(length), ...children], { type: 'video/webm' });
+    }
+}